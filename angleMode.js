@@ -0,0 +1,198 @@
+/**
+ * 角度の単位（度数法 DEG・弧度法 RAD・グラード GRAD）
+ * DEG / GRAD モードの数値計算では、三角関数の引数を弧度に、逆三角関数の結果を選択中の単位に
+ * 変換するよう抽象構文木を書き換えてから計算します
+ * nerdamer による記号計算（変数を含む式、極限・微分・積分・方程式）は弧度法のまま計算し、結果に「ラジアン」と表示します
+ */
+
+// 角度の単位ごとの表示名と半回転（180°）の大きさ
+const ANGLE_MODES = {
+  deg: { label: 'DEG', halfTurn: '180' },
+  rad: { label: 'RAD', halfTurn: 'pi' },
+  grad: { label: 'GRAD', halfTurn: '200' }
+};
+
+// 引数が角度の三角関数
+const TRIGONOMETRIC_FUNCTIONS = ['\\sin', '\\cos', '\\tan', '\\sec', '\\csc', '\\cot'];
+
+// 結果が角度の関数（逆三角関数、複素数の偏角）
+const INVERSE_TRIGONOMETRIC_FUNCTIONS = ['\\arcsin', '\\arccos', '\\arctan', 'atan2', '\\arg'];
+
+// 直角の整数倍とみなす誤差（直角を単位とした相対誤差）
+const QUARTER_TURN_TOLERANCE = 1e-12;
+
+/**
+ * 数値（180, 200）または π の抽象構文木を作る関数
+ */
+function angleConstantNode(value) {
+  return value === 'pi'
+    ? { type: 'Identifier', value: 'pi' }
+    : { type: 'NumberLiteral', value };
+}
+
+/**
+ * 角度を単位 from から単位 to に変換する式（(角度)*(to/from)）を作る関数
+ * @param {Object} node - 角度の式
+ * @param {string} from - 変換前の単位の半回転の大きさ
+ * @param {string} to - 変換後の単位の半回転の大きさ
+ * @returns {Object} - 変換した式の抽象構文木
+ */
+function convertAngleNode(node, from, to) {
+  if (from === to) {
+    return node;
+  }
+  return {
+    type: 'ParenthesizedExpression',
+    expression: {
+      type: 'BinaryExpression',
+      operator: '*',
+      left: { type: 'ParenthesizedExpression', expression: node },
+      right: {
+        type: 'ParenthesizedExpression',
+        expression: {
+          type: 'BinaryExpression',
+          operator: '/',
+          left: angleConstantNode(to),
+          right: angleConstantNode(from)
+        }
+      }
+    }
+  };
+}
+
+/**
+ * 抽象構文木を角度の単位に合わせて書き換える関数
+ * 三角関数と極形式（r \angle θ）の角度は選択中の単位から弧度へ、逆三角関数と偏角の結果は弧度から選択中の単位へ、
+ * 度の記号（30°）は度から選択中の単位へ変換する
+ * 極限・微分・積分・方程式は記号計算のため弧度法のまま残す
+ * @param {Object} node - 抽象構文木のノード
+ * @param {string} angleMode - 角度の単位（'deg' / 'rad' / 'grad'）
+ * @returns {Object} - 書き換えた新しい抽象構文木
+ */
+function applyAngleMode(node, angleMode = 'rad') {
+  if (!node || angleMode === 'rad') {
+    return node;
+  }
+
+  const halfTurn = ANGLE_MODES[angleMode].halfTurn;
+  const convert = child => applyAngleMode(child, angleMode);
+
+  switch (node.type) {
+    case 'PostfixExpression':
+      if (node.operator === '°') {
+        return convertAngleNode(convert(node.operand), '180', halfTurn);
+      }
+      return mapChildNodes(node, convert);
+
+    case 'BinaryExpression':
+      if (node.operator === '∠') {
+        return { ...node, left: convert(node.left), right: convertAngleNode(convert(node.right), halfTurn, 'pi') };
+      }
+      return mapChildNodes(node, convert);
+
+    case 'FunctionCall':
+      const args = node.arguments.map(convert);
+      // 角度の単位付きの引数（\sin(30 deg)）はそのまま math.js で計算する
+      if (TRIGONOMETRIC_FUNCTIONS.includes(node.name)) {
+        return { ...node, arguments: args.map(arg => containsUnit(arg) ? arg : convertAngleNode(arg, halfTurn, 'pi')) };
+      }
+      if (INVERSE_TRIGONOMETRIC_FUNCTIONS.includes(node.name)) {
+        return convertAngleNode({ ...node, arguments: args }, 'pi', halfTurn);
+      }
+      return { ...node, arguments: args };
+
+    case 'Limit':
+    case 'Derivative':
+    case 'Integral':
+    case 'EquationSystem':
+      return node;
+
+    default:
+      return mapChildNodes(node, convert);
+  }
+}
+
+/**
+ * 式が角度を扱う関数（三角関数・逆三角関数・偏角）、極形式または度の記号を含むかどうか
+ */
+function containsAngle(node) {
+  if (!node) return false;
+
+  if (
+    (node.type === 'PostfixExpression' && node.operator === '°') ||
+    (node.type === 'BinaryExpression' && node.operator === '∠')
+  ) {
+    return true;
+  }
+  if (
+    node.type === 'FunctionCall' &&
+    (TRIGONOMETRIC_FUNCTIONS.includes(node.name) || INVERSE_TRIGONOMETRIC_FUNCTIONS.includes(node.name))
+  ) {
+    return true;
+  }
+  return getChildNodes(node).some(containsAngle);
+}
+
+/**
+ * DEG / GRAD モードで弧度法のまま計算した記号計算の結果に「ラジアン」と表示する関数
+ * @param {Object} result - 計算エンジンと結果のLaTeX表現
+ * @param {Object} ast - 計算した抽象構文木
+ * @param {string} angleMode - 角度の単位
+ * @returns {Object} - 表示を追加した結果
+ */
+function labelRadianResult(result, ast, angleMode = 'rad') {
+  if (angleMode === 'rad' || result.latex.startsWith('エラー') || !containsAngle(ast)) {
+    return result;
+  }
+  return { ...result, latex: `${result.latex} \\quad (\\text{ラジアン})` };
+}
+
+/**
+ * 弧度が直角（π/2）の何倍かを返す関数（整数倍でない場合や実数でない場合は null）
+ */
+function countQuarterTurns(radians) {
+  if (typeof radians !== 'number' || !Number.isFinite(radians)) {
+    return null;
+  }
+  const turns = radians / (Math.PI / 2);
+  const rounded = Math.round(turns);
+  return Math.abs(turns - rounded) < QUARTER_TURN_TOLERANCE * Math.max(1, Math.abs(turns)) ? rounded : null;
+}
+
+/**
+ * DEG / GRAD モードの数値計算で使う三角関数を math.js のスコープとして返す関数
+ * 90° や 180° の値が π の丸め誤差で 6.1e-17 のようにならないよう、直角の整数倍では厳密な値を返す
+ * @param {string} angleMode - 角度の単位
+ * @returns {Object} - 関数名 → 関数（RAD モードでは空）
+ */
+function angleModeScope(angleMode = 'rad') {
+  if (angleMode === 'rad') {
+    return {};
+  }
+
+  const quarterTurnValue = (x, values, fallback) => {
+    const turns = countQuarterTurns(x);
+    return turns === null ? fallback(x) : values[((turns % 4) + 4) % 4];
+  };
+  const sin = x => quarterTurnValue(x, [0, 1, 0, -1], math.sin);
+  const cos = x => quarterTurnValue(x, [1, 0, -1, 0], math.cos);
+  // 直角の整数倍では sin, cos の比で求め、分母が 0 になる角度（tan 90°）はエラーにする
+  const ratio = (name, numerator, denominator, fallback) => x => {
+    if (countQuarterTurns(x) === null) {
+      return fallback(x);
+    }
+    if (denominator(x) === 0) {
+      throw new Error(`${name} の値が定義されない角度です`);
+    }
+    return numerator(x) / denominator(x);
+  };
+
+  return {
+    sin,
+    cos,
+    tan: ratio('tan', sin, cos, math.tan),
+    cot: ratio('cot', cos, sin, math.cot),
+    sec: ratio('sec', () => 1, cos, math.sec),
+    csc: ratio('csc', () => 1, sin, math.csc)
+  };
+}
@@ -17,7 +17,14 @@ function appendToEditor(value) {
 /***** 編集エリア＆表示更新 *****/
 document.getElementById('editor').addEventListener('input', updateDisplay);
 
+// 下線表示レイヤーをテキストエリアのスクロールに追従させる
+document.getElementById('editor').addEventListener('scroll', function() {
+  document.getElementById('editorHighlight').scrollTop = this.scrollTop;
+});
+
 function updateDisplay() {
+  // 入力が変わったら以前の構文エラー表示は消す
+  clearSyntaxErrors();
   const currentExpr = document.getElementById('editor').value;
   document.getElementById('display').innerHTML = `$$${currentExpr}$$`;
   MathJax.typeset();
@@ -39,26 +46,47 @@ document.getElementById('calculate').addEventListener('click', runCalculation);
 function runCalculation() {
   const input = document.getElementById('editor').value;
 
-  // 省略乗算（例: 2x → 2*x）を補完
-  const fixedInput = input.replace(/(\d)([a-zA-Z\\])/g, "$1*$2");
+  clearSyntaxErrors();
 
   try {
     // 字句解析
-    const tokens = lex(fixedInput);
+    const tokens = lex(input);
     console.log("Tokens:", tokens);
     
-    // 構文解析
-    const ast = parse(tokens);
+    // 構文解析（ユーザー定義関数の呼び出し f(2) を解析できるよう関数名と引数の数を、
+    // 単位名と同じ名前の変数（m = 3）を変数として解析できるよう変数名を渡す）
+    const ast = parse(tokens, { functions: getUserFunctionArities(), variables: getUserVariableNames() });
     console.log("AST:", ast);
     
     // 計算と結果の生成
     let result;
+    // ans として保存する値の抽象構文木
+    let value;
     
     // 自作の評価関数を使用して計算と LaTeX 変換を行う
-    result = evaluateExpressionToLatex(ast);
+    // 変数・関数の定義は保存して定義一覧を更新し、それ以外は定義済みの変数・関数・計算結果（ans）を置き換えて計算する
+    // プログラマーモードでは BigInt による整数演算を使う
+    // 小数点表示・分数表示の切り替えは evaluateExpressionToLatex に表示形式として渡す
+    const displayMode = document.querySelector('input[name="displayMode"]:checked').value;
+    if (isUserDefinition(ast)) {
+      result = evaluateDefinitionToLatex(ast, getDisplayOptions());
+      renderUserDefinitions();
+      value = getDefinedValue(ast);
+    } else if (displayMode === 'programmer') {
+      value = resolveUserDefinitions(ast);
+      result = evaluateProgrammerExpression(value, getProgrammerOptions());
+    } else {
+      value = resolveUserDefinitions(ast);
+      result = evaluateExpressionToLatex(value, getDisplayOptions());
+    }
     
     // デバッグ情報
     console.log("Result:", result);
+    
+    // 計算結果を ans, ans_n として保存（エラーは保存しない）
+    // 保存する値はこの時点の角度の単位・ワードサイズで計算する（極限は計算済みの値 result.value を使う）
+    const storeOptions = { ...getDisplayOptions(), programmer: getProgrammerOptions() };
+    const resultNumber = result.latex.startsWith('エラー') ? null : recordPreviousResult(value, storeOptions, result.value);
 
     // 結果の描画
     const resultDiv = document.getElementById('result');
@@ -67,15 +95,429 @@ function runCalculation() {
     resultDiv.innerHTML = `
       <button id="copyAnswer" title="LaTeX形式でコピー">📋</button>
       <span id="resultText">${latex}</span>
+      ${resultNumberHtml(resultNumber)}
+      ${angleModeIndicatorHtml()}
     `;
     MathJax.typeset();
+    recordHistory(input, result.latex, result.engine);
+
+    // 変数を1つ含む式、x と y の等式、(x(t), y(t)) はグラフに追加
+    if (displayMode !== 'programmer') {
+      plotCalculation(input, ast);
+    }
   } catch (e) {
     console.error("Calculation error:", e);
+    // 構文エラー以外（未定義の ans_n の参照など）はメッセージを表示する
+    const errorLatex = e instanceof ParseError ? '\\text{構文エラー}' : 'エラー: ' + e.message;
     const resultDiv = document.getElementById('result');
     resultDiv.setAttribute('data-latex', '');
-    resultDiv.innerHTML = `<span id="resultText">$$\\text{構文エラー}$$</span>`;
+    resultDiv.innerHTML = `<span id="resultText">$$${errorLatex}$$</span>${angleModeIndicatorHtml()}`;
     MathJax.typeset();
+    recordHistory(input, errorLatex, 'error');
+
+    // エラー位置を入力上に表示
+    if (e instanceof ParseError) {
+      showSyntaxErrors(input, e.errors);
+    }
+  }
+}
+
+/***** 計算結果の参照（ans） *****/
+// 結果の番号の表示（ans_n, \#n で参照できる）
+function resultNumberHtml(resultNumber) {
+  if (resultNumber === null) {
+    return '';
+  }
+  return `<span id="resultNumber" title="ans_${resultNumber} または \\#${resultNumber} で参照できます">#${resultNumber}</span>`;
+}
+
+// 空の入力欄で演算子・後置演算子（!, %）を入力した場合は直前の結果（ans）に続けて入力する
+const ANS_OPERATORS = ['+', '-', '*', '/', '^', '!', '%'];
+
+function prependAnsIfEmpty(operator) {
+  const editor = document.getElementById('editor');
+  if (editor.value === '' && ANS_OPERATORS.includes(operator) && hasPreviousResult()) {
+    editor.value = 'ans';
+    editor.selectionStart = editor.selectionEnd = editor.value.length;
+  }
+}
+
+document.getElementById('editor').addEventListener('keydown', function(e) {
+  if (!e.ctrlKey && !e.metaKey && !e.altKey) {
+    prependAnsIfEmpty(e.key);
+  }
+});
+
+/***** 計算履歴 *****/
+// 計算結果を履歴に追加して一覧を更新（空の入力は記録しない）
+function recordHistory(input, latex, engine) {
+  if (input.trim() === '') {
+    return;
+  }
+  addHistoryEntry({ input, latex, engine });
+  renderHistory();
+}
+
+// 検索語に一致する履歴を一覧に表示
+function renderHistory() {
+  const list = document.getElementById('historyList');
+  const entries = searchHistory(document.getElementById('historySearch').value);
+  
+  if (entries.length === 0) {
+    list.innerHTML = '<li class="history-empty">履歴はありません</li>';
+    return;
   }
+  list.innerHTML = entries.map(entry => `
+    <li class="history-entry${entry.pinned ? ' pinned' : ''}" data-id="${escapeHtml(entry.id)}" title="クリックで入力欄に読み込み">
+      <div class="history-body">
+        <span class="history-input">\\(${escapeHtml(entry.input)}\\)</span>
+        <span class="history-result">\\(= ${escapeHtml(entry.latex)}\\)</span>
+        <span class="history-meta">${escapeHtml(new Date(entry.timestamp).toLocaleString('ja-JP'))} / ${escapeHtml(entry.engine)}</span>
+      </div>
+      <button class="history-pin" title="${entry.pinned ? 'ピン留めを外す' : 'ピン留め'}">${entry.pinned ? '★' : '☆'}</button>
+      <button class="history-delete" title="削除">×</button>
+    </li>
+  `).join('');
+  MathJax.typeset();
+}
+
+// 履歴のクリック（ピン留め・削除ボタン、または入力欄への読み込み）
+document.getElementById('historyList').addEventListener('click', function(e) {
+  const item = e.target.closest('.history-entry');
+  if (!item) {
+    return;
+  }
+  const id = item.getAttribute('data-id');
+  if (e.target.classList.contains('history-pin')) {
+    toggleHistoryPin(id);
+    renderHistory();
+  } else if (e.target.classList.contains('history-delete')) {
+    deleteHistoryEntry(id);
+    renderHistory();
+  } else {
+    const editor = document.getElementById('editor');
+    editor.value = getHistoryEntry(id).input;
+    updateDisplay();
+    editor.focus();
+  }
+});
+
+document.getElementById('historySearch').addEventListener('input', renderHistory);
+
+document.getElementById('clearHistory').addEventListener('click', function() {
+  if (confirm('ピン留めした履歴も含めてすべての履歴を削除しますか？')) {
+    clearHistory();
+    renderHistory();
+  }
+});
+
+// 保存済みの履歴を表示
+document.addEventListener('DOMContentLoaded', renderHistory);
+
+/***** グラフ *****/
+// 描画中の線と印を付ける点（グラフや表示範囲を変えたときに計算し直す）
+let graphPlot = null;
+
+// ドラッグ中のカーソルの位置と開始時の表示範囲
+let graphDrag = null;
+
+// 描画領域の大きさ（canvas の解像度）
+function getGraphSize() {
+  const canvas = document.getElementById('graphCanvas');
+  return { width: canvas.width, height: canvas.height };
+}
+
+// 媒介変数の範囲（入力欄の式を math.js で計算、計算できない場合は既定の範囲）
+function getParameterRange() {
+  const read = (id, defaultValue) => {
+    try {
+      const value = math.evaluate(document.getElementById(id).value);
+      return typeof value === 'number' && Number.isFinite(value) ? value : defaultValue;
+    } catch (e) {
+      return defaultValue;
+    }
+  };
+  return {
+    min: read('parameterMin', DEFAULT_PARAMETER_RANGE.min),
+    max: read('parameterMax', DEFAULT_PARAMETER_RANGE.max)
+  };
+}
+
+// 計算した式をグラフにできる場合は追加してグラフを表示（新しいグラフは縦軸の範囲、回帰は横軸の範囲もデータに合わせる）
+function plotCalculation(input, ast) {
+  const curve = createGraphCurve(input, ast, getAngleMode());
+  if (!curve) {
+    return;
+  }
+  if (addGraphCurve(curve)) {
+    if (curve.data) {
+      Object.assign(graphView, dataGraphXRange(curve.data));
+    }
+    fitGraphYRange();
+  }
+  document.getElementById('graphPanel').open = true;
+  renderGraphList();
+  refreshGraph();
+}
+
+// 縦軸の範囲をグラフに合わせる
+function fitGraphYRange() {
+  const size = getGraphSize();
+  Object.assign(graphView, autoGraphYRange(graphCurves, graphView, getParameterRange(), size.height / size.width));
+}
+
+// 線と点を計算し直して描画
+function refreshGraph() {
+  graphPlot = computeGraphPlot(graphCurves, graphView, getGraphSize(), getParameterRange());
+  drawCurrentGraph(null);
+}
+
+// 計算済みの線と点、トレースの点を描画
+function drawCurrentGraph(trace) {
+  const context = document.getElementById('graphCanvas').getContext('2d');
+  if (context && graphPlot) {
+    drawGraph(context, graphPlot, graphView, getGraphSize(), trace);
+  }
+}
+
+// グラフの一覧（色と式、削除ボタン）を表示
+function renderGraphList() {
+  const list = document.getElementById('graphList');
+  if (graphCurves.length === 0) {
+    list.innerHTML = '<li class="graph-empty">グラフはありません（例: \\sin x, y = x^2 - 2, x^2 + y^2 = 4, (\\cos t, \\sin t)）</li>';
+    return;
+  }
+  list.innerHTML = graphCurves.map((curve, i) => `
+    <li data-index="${i}">
+      <span class="graph-color" style="background: ${curve.color}"></span>
+      <span class="graph-input">\\(${escapeHtml(curve.input)}\\)</span>
+      <button class="graph-delete" title="削除">×</button>
+    </li>
+  `).join('');
+  MathJax.typeset();
+}
+
+// マウスイベントの位置を canvas のピクセルの位置に変換
+function getGraphCursor(e) {
+  const canvas = document.getElementById('graphCanvas');
+  const rect = canvas.getBoundingClientRect();
+  return {
+    x: (e.clientX - rect.left) * canvas.width / rect.width,
+    y: (e.clientY - rect.top) * canvas.height / rect.height
+  };
+}
+
+document.getElementById('graphList').addEventListener('click', function(e) {
+  const item = e.target.closest('li[data-index]');
+  if (item && e.target.classList.contains('graph-delete')) {
+    removeGraphCurve(Number(item.getAttribute('data-index')));
+    renderGraphList();
+    refreshGraph();
+  }
+});
+
+document.getElementById('clearGraph').addEventListener('click', function() {
+  clearGraphCurves();
+  renderGraphList();
+  refreshGraph();
+});
+
+document.getElementById('graphReset').addEventListener('click', function() {
+  Object.assign(graphView, DEFAULT_GRAPH_X_RANGE);
+  fitGraphYRange();
+  refreshGraph();
+});
+
+// ボタンでの拡大・縮小は表示範囲の中心を基準にする
+[['graphZoomIn', 1 / 1.5], ['graphZoomOut', 1.5]].forEach(([id, factor]) => {
+  document.getElementById(id).addEventListener('click', function() {
+    zoomGraphView(graphView, factor, { x: (graphView.xMin + graphView.xMax) / 2, y: (graphView.yMin + graphView.yMax) / 2 });
+    refreshGraph();
+  });
+});
+
+['parameterMin', 'parameterMax'].forEach(id => {
+  document.getElementById(id).addEventListener('change', refreshGraph);
+});
+
+// ホイールでカーソルの位置を基準に拡大・縮小
+document.getElementById('graphCanvas').addEventListener('wheel', function(e) {
+  e.preventDefault();
+  const center = graphPixelToPoint(graphView, getGraphSize(), getGraphCursor(e));
+  zoomGraphView(graphView, e.deltaY < 0 ? 1 / 1.2 : 1.2, center);
+  refreshGraph();
+}, { passive: false });
+
+// ドラッグで表示範囲を移動
+document.getElementById('graphCanvas').addEventListener('mousedown', function(e) {
+  graphDrag = { cursor: getGraphCursor(e), view: { ...graphView } };
+  this.classList.add('dragging');
+});
+
+window.addEventListener('mouseup', function() {
+  graphDrag = null;
+  document.getElementById('graphCanvas').classList.remove('dragging');
+});
+
+// ドラッグ中でなければトレース（カーソルに近い関数のグラフ上の点の座標を表示）
+document.getElementById('graphCanvas').addEventListener('mousemove', function(e) {
+  const size = getGraphSize();
+  const cursor = getGraphCursor(e);
+  if (graphDrag) {
+    const { view } = graphDrag;
+    const dx = (cursor.x - graphDrag.cursor.x) * (view.xMax - view.xMin) / size.width;
+    const dy = (cursor.y - graphDrag.cursor.y) * (view.yMax - view.yMin) / size.height;
+    Object.assign(graphView, { xMin: view.xMin - dx, xMax: view.xMax - dx, yMin: view.yMin + dy, yMax: view.yMax + dy });
+    refreshGraph();
+    return;
+  }
+  if (!graphPlot) {
+    return;
+  }
+  const trace = traceGraph(graphPlot, graphCurves, graphView, size, cursor);
+  document.getElementById('graphCoordinates').textContent = describeGraphPoint(trace, graphView);
+  drawCurrentGraph(trace);
+});
+
+document.getElementById('graphCanvas').addEventListener('mouseleave', function() {
+  document.getElementById('graphCoordinates').innerHTML = '&nbsp;';
+  drawCurrentGraph(null);
+});
+
+// 座標軸を描画
+document.addEventListener('DOMContentLoaded', refreshGraph);
+
+/***** 数表 *****/
+// 作成した数表（コピーに使う）
+let currentValueTable = null;
+
+// 入力欄の式を解析して数表を作成・表示
+function renderValueTable() {
+  const input = document.getElementById('editor').value;
+  const container = document.getElementById('valueTable');
+  currentValueTable = null;
+  try {
+    const ast = parse(lex(input), { functions: getUserFunctionArities(), variables: getUserVariableNames() });
+    currentValueTable = createValueTable(ast, input, {
+      variable: document.getElementById('tableVariable').value,
+      start: document.getElementById('tableStart').value,
+      end: document.getElementById('tableEnd').value,
+      step: document.getElementById('tableStep').value,
+      list: document.getElementById('tableValues').value
+    }, getDisplayOptions());
+    container.classList.remove('error');
+    container.textContent = `$$${valueTableToLatex(currentValueTable)}$$`;
+    MathJax.typeset();
+  } catch (e) {
+    console.error("Table error:", e);
+    container.classList.add('error');
+    container.textContent = e instanceof ParseError ? '式に構文エラーがあります' : e.message;
+  }
+  document.getElementById('copyTableCsv').disabled = !currentValueTable;
+  document.getElementById('copyTableLatex').disabled = !currentValueTable;
+}
+
+document.getElementById('createTable').addEventListener('click', renderValueTable);
+
+// 数表を CSV / LaTeX の tabular としてコピー
+[['copyTableCsv', 'CSV'], ['copyTableLatex', 'LaTeX']].forEach(([id, label]) => {
+  document.getElementById(id).addEventListener('click', function() {
+    if (!currentValueTable) {
+      return;
+    }
+    const text = label === 'CSV' ? valueTableToCsv(currentValueTable) : valueTableToTabular(currentValueTable);
+    navigator.clipboard.writeText(text).then(() => {
+      alert(`数表を${label}形式でコピーしました`);
+    }).catch(() => {
+      alert("コピーに失敗しました");
+    });
+  });
+});
+
+/***** 変数・関数の定義一覧 *****/
+function renderUserDefinitions() {
+  const list = document.getElementById('definitionList');
+  const definitions = getUserDefinitions();
+  
+  if (definitions.length === 0) {
+    list.innerHTML = '<li class="definition-empty">定義はありません（例: a = 3, f(x) = x^2 + 1）</li>';
+    return;
+  }
+  list.innerHTML = definitions.map(definition => `
+    <li>
+      <span>\\(${escapeHtml(definition.latex)}\\)</span>
+      <button class="definition-delete" data-name="${escapeHtml(definition.name)}" title="削除">×</button>
+    </li>
+  `).join('');
+  MathJax.typeset();
+}
+
+// 削除ボタン
+document.getElementById('definitionList').addEventListener('click', function(e) {
+  if (e.target.classList.contains('definition-delete')) {
+    deleteUserDefinition(e.target.getAttribute('data-name'));
+    renderUserDefinitions();
+  }
+});
+
+/***** 構文エラー表示 *****/
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * 構文エラーを表示する
+ * 編集エリアの該当範囲に下線を引き、結果の下にメッセージとキャレット表示を出す
+ * @param {string} input - 編集エリアの入力文字列
+ * @param {Array} errors - 位置情報（start, end）付きのエラー一覧
+ */
+function showSyntaxErrors(input, errors) {
+  const highlight = document.getElementById('editorHighlight');
+  const errorDiv = document.getElementById('errorMessage');
+  
+  // 重なった範囲は先頭側を優先して下線を引く
+  const ranges = errors
+    .map(error => ({ start: error.start, end: error.end }))
+    .sort((a, b) => a.start - b.start);
+  let html = '';
+  let position = 0;
+  ranges.forEach(range => {
+    if (range.start < position) return;
+    html += escapeHtml(input.substring(position, range.start));
+    // 入力の終わりを指す場合など、幅0の範囲は空白1文字分に下線を引く
+    const marked = input.substring(range.start, range.end) || ' ';
+    html += `<mark>${escapeHtml(marked)}</mark>`;
+    position = Math.max(range.end, range.start);
+  });
+  html += escapeHtml(input.substring(position));
+  highlight.innerHTML = html;
+  highlight.scrollTop = document.getElementById('editor').scrollTop;
+  
+  // メッセージとキャレット表示
+  errorDiv.innerHTML = errors.map(error => {
+    const lineStart = input.lastIndexOf('\n', error.start - 1) + 1;
+    const lineEndIndex = input.indexOf('\n', error.start);
+    const lineEnd = lineEndIndex === -1 ? input.length : lineEndIndex;
+    const lineNumber = input.substring(0, lineStart).split('\n').length;
+    const column = error.start - lineStart + 1;
+    const caretLength = Math.max(1, Math.min(error.end, lineEnd) - error.start);
+    const caret = ' '.repeat(error.start - lineStart) + '^'.repeat(caretLength);
+    
+    return `<div>${lineNumber}行目 ${column}文字目: ${escapeHtml(error.message)}</div>` +
+      `<pre>${escapeHtml(input.substring(lineStart, lineEnd))}\n${caret}</pre>`;
+  }).join('');
+  errorDiv.classList.add('active');
+}
+
+function clearSyntaxErrors() {
+  document.getElementById('editorHighlight').innerHTML = '';
+  const errorDiv = document.getElementById('errorMessage');
+  errorDiv.innerHTML = '';
+  errorDiv.classList.remove('active');
 }
 
 // 計算ボタンの登録
@@ -121,6 +563,90 @@ function updateResultDisplay() {
 
 document.querySelectorAll('input[name="displayMode"]').forEach(radio => {
   radio.addEventListener('change', updateResultDisplay);
+  radio.addEventListener('change', updateProgrammerOptions);
+  radio.addEventListener('change', updateFractionOptions);
+});
+
+/***** 分数表示 *****/
+// 表示形式（小数点・分数）、帯分数で表示するかどうか、数値の表示設定、角度の単位を取得
+function getDisplayOptions() {
+  return {
+    displayMode: document.querySelector('input[name="displayMode"]:checked').value,
+    mixedNumber: document.getElementById('mixedNumber').checked,
+    format: getFormatSettings(),
+    angleMode: getAngleMode()
+  };
+}
+
+// 分数表示の時だけ帯分数の切り替えを表示
+function updateFractionOptions() {
+  const displayMode = document.querySelector('input[name="displayMode"]:checked').value;
+  document.getElementById('fractionOptions').classList.toggle('active', displayMode === 'fraction');
+}
+
+document.getElementById('mixedNumber').addEventListener('change', updateResultDisplay);
+
+/***** 角度の単位（DEG / RAD / GRAD） *****/
+function getAngleMode() {
+  return document.querySelector('input[name="angleMode"]:checked').value;
+}
+
+// 結果エリアに表示する角度の単位
+function angleModeIndicatorHtml() {
+  return `<span id="angleModeIndicator">${ANGLE_MODES[getAngleMode()].label}</span>`;
+}
+
+document.querySelectorAll('input[name="angleMode"]').forEach(radio => {
+  radio.addEventListener('change', () => {
+    document.getElementById('angleModeIndicator').textContent = ANGLE_MODES[getAngleMode()].label;
+    recompileGraphCurves(getAngleMode());
+    refreshGraph();
+    updateResultDisplay();
+  });
+});
+
+/***** 数値の表示設定 *****/
+// 入力欄の整数値を範囲内に収めて取得（不正な値は既定値）
+function readIntegerSetting(id, min, max, defaultValue) {
+  const value = parseInt(document.getElementById(id).value, 10);
+  return Number.isNaN(value) ? defaultValue : Math.min(max, Math.max(min, value));
+}
+
+// 表示設定パネルの値を取得（有効桁数は1桁以上、小数点以下の桁数は0桁以上）
+function getFormatSettings() {
+  const precisionMode = document.getElementById('precisionMode').value;
+  return {
+    precisionMode,
+    digits: readIntegerSetting('digits', precisionMode === 'significant' ? 1 : 0, 15, DEFAULT_FORMAT_SETTINGS.digits),
+    notation: document.getElementById('notation').value,
+    grouping: document.getElementById('grouping').checked,
+    lowerExponent: readIntegerSetting('lowerExponent', -300, 0, DEFAULT_FORMAT_SETTINGS.lowerExponent),
+    upperExponent: readIntegerSetting('upperExponent', 1, 300, DEFAULT_FORMAT_SETTINGS.upperExponent),
+    complexForm: document.getElementById('complexForm').value
+  };
+}
+
+document.querySelectorAll('#formatSettings select, #formatSettings input').forEach(input => {
+  input.addEventListener('change', updateResultDisplay);
+});
+
+/***** プログラマーモード *****/
+// ワードサイズと符号の有無を取得
+function getProgrammerOptions() {
+  return {
+    wordSize: Number(document.getElementById('wordSize').value),
+    signed: document.getElementById('signedness').value === 'signed'
+  };
+}
+
+// プログラマーモードの時だけワードサイズ選択を表示
+function updateProgrammerOptions() {
+  const displayMode = document.querySelector('input[name="displayMode"]:checked').value;
+  document.getElementById('programmerOptions').classList.toggle('active', displayMode === 'programmer');
+}
+
+document.querySelectorAll('#programmerOptions select').forEach(select => {
+  select.addEventListener('change', updateResultDisplay);
 });
 
 /***** キーパッドタブ処理 *****/
@@ -142,6 +668,7 @@ document.querySelectorAll('.keypad-tab-contents button').forEach(button => {
     if(val === "・") {
       val = "\\cdot";
     }
+    prependAnsIfEmpty(val);
     appendToEditor(val);
   });
 });
@@ -156,7 +683,8 @@ document.querySelectorAll('.tab-btn').forEach(button => {
   });
 });
 
-document.querySelectorAll('.tab-content button').forEach(button => {
+// 挿入する値（data-value）を持つボタンのみ（履歴の操作ボタンなどは除く）
+document.querySelectorAll('.tab-content button[data-value]').forEach(button => {
   button.addEventListener('click', function() {
     // 「ベクトル記号」ボタンは行列テンプレート生成用に変更
     if(this.textContent.trim() === "ベクトル記号") {
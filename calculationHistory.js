@@ -0,0 +1,119 @@
+/**
+ * 計算履歴
+ * 計算ごとに入力・結果の LaTeX・計算エンジン・日時を記録し、localStorage に保存してページを再読み込みしても残します
+ * ピン留めした履歴は件数の上限を超えても削除しません
+ */
+
+// localStorage のキー
+const HISTORY_STORAGE_KEY = 'calculationHistory';
+
+// 保存するピン留めしていない履歴の上限
+const HISTORY_LIMIT = 100;
+
+// 履歴（新しい順）: { id, input, latex, engine, timestamp, pinned }
+const calculationHistory = loadHistory();
+
+/**
+ * localStorage から履歴を読み込む関数（保存されていない場合や壊れている場合は空）
+ */
+function loadHistory() {
+  try {
+    const entries = JSON.parse(localStorage.getItem(HISTORY_STORAGE_KEY) || '[]');
+    return Array.isArray(entries) ? entries : [];
+  } catch (e) {
+    console.error("Failed to load history:", e);
+    return [];
+  }
+}
+
+/**
+ * 履歴を localStorage に保存する関数
+ */
+function saveHistory() {
+  try {
+    localStorage.setItem(HISTORY_STORAGE_KEY, JSON.stringify(calculationHistory));
+  } catch (e) {
+    console.error("Failed to save history:", e);
+  }
+}
+
+/**
+ * 計算結果を履歴に追加する関数
+ * 直前の履歴と同じ入力の再計算（表示形式の切り替えなど）は新しい結果で置き換える
+ * @param {Object} entry - 入力（input）、結果の LaTeX（latex）、計算エンジン（engine）
+ */
+function addHistoryEntry({ input, latex, engine }) {
+  const latest = calculationHistory[0];
+  const pinned = latest?.input === input ? calculationHistory.shift().pinned : false;
+
+  calculationHistory.unshift({
+    id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    input,
+    latex,
+    engine,
+    timestamp: Date.now(),
+    pinned
+  });
+
+  // 上限を超えた分はピン留めしていない古い履歴から削除する
+  let unpinnedCount = calculationHistory.filter(item => !item.pinned).length;
+  for (let i = calculationHistory.length - 1; i >= 0 && unpinnedCount > HISTORY_LIMIT; i--) {
+    if (!calculationHistory[i].pinned) {
+      calculationHistory.splice(i, 1);
+      unpinnedCount--;
+    }
+  }
+  saveHistory();
+}
+
+/**
+ * ID の履歴を返す関数
+ */
+function getHistoryEntry(id) {
+  return calculationHistory.find(entry => entry.id === id);
+}
+
+/**
+ * 検索語を入力または結果に含む履歴を、ピン留め、新しい順に返す関数
+ * @param {string} query - 検索語（空の場合はすべて）
+ * @returns {Array} - 履歴の配列
+ */
+function searchHistory(query = '') {
+  const keyword = query.trim().toLowerCase();
+  const matches = calculationHistory.filter(entry =>
+    keyword === '' ||
+    entry.input.toLowerCase().includes(keyword) ||
+    entry.latex.toLowerCase().includes(keyword)
+  );
+  return [...matches.filter(entry => entry.pinned), ...matches.filter(entry => !entry.pinned)];
+}
+
+/**
+ * 履歴のピン留めを切り替える関数
+ */
+function toggleHistoryPin(id) {
+  const entry = getHistoryEntry(id);
+  if (entry) {
+    entry.pinned = !entry.pinned;
+    saveHistory();
+  }
+}
+
+/**
+ * 履歴を1件削除する関数
+ */
+function deleteHistoryEntry(id) {
+  const index = calculationHistory.findIndex(entry => entry.id === id);
+  if (index !== -1) {
+    calculationHistory.splice(index, 1);
+    saveHistory();
+  }
+}
+
+/**
+ * ピン留めを含むすべての履歴を削除する関数
+ */
+function clearHistory() {
+  calculationHistory.length = 0;
+  saveHistory();
+}
@@ -0,0 +1,80 @@
+/**
+ * 微分の評価
+ * nerdamer の diff で記号的に導関数を求め、評価点 |_{x=a} があればその値を代入します
+ */
+
+/**
+ * 式の中で使われている未定義の関数（\sin のようなコマンドでない関数名）を探す関数
+ * @param {Object} node - 抽象構文木のノード
+ * @returns {string|null} - 見つかった関数名（なければ null）
+ */
+function findUndefinedFunction(node) {
+  if (!node) return null;
+
+  if (node.type === 'FunctionCall' && !node.name.startsWith('\\')) {
+    return node.name;
+  }
+  for (const child of getChildNodes(node)) {
+    const name = findUndefinedFunction(child);
+    if (name) return name;
+  }
+  return null;
+}
+
+/**
+ * 導関数を記号的に計算する関数
+ * 高階微分や偏微分は variables の順に1回ずつ微分する
+ * @param {Object} node - Derivative ノード
+ * @returns {Object} - nerdamer の式
+ */
+function computeDerivative(node) {
+  const nerdamerInstance = getNerdamer();
+  if (!nerdamerInstance) {
+    throw new Error('微分の計算には nerdamer が必要です');
+  }
+
+  // 定義されていない関数は nerdamer が変数の積として扱ってしまうため先に弾く
+  const undefinedFunction = findUndefinedFunction(node.body);
+  if (undefinedFunction) {
+    throw new Error(`関数 ${undefinedFunction} が定義されていません`);
+  }
+
+  let derivative = nerdamerInstance(astToString(node.body));
+  node.variables.forEach(variable => {
+    derivative = nerdamerInstance.diff(derivative, variable);
+  });
+
+  if (node.point) {
+    // 代入しただけでは cos(0) のように関数が残るため、式を読み直して値を計算する
+    const substituted = derivative.sub(node.point.variable, `(${astToString(node.point.value)})`);
+    derivative = nerdamerInstance(substituted.text('fractions'));
+  }
+  console.log("Nerdamer derivative result:", derivative.text('fractions'));
+  return derivative;
+}
+
+/**
+ * 微分を評価して LaTeX 形式に変換する関数
+ * 評価点での値が整数でない場合（cos(1) など）は小数の近似値も併せて表示する
+ * @param {Object} node - Derivative ノード
+ * @returns {Object} - 計算エンジンと結果のLaTeX表現
+ */
+function evaluateDerivativeToLatex(node) {
+  try {
+    const result = computeDerivative(node).text('fractions');
+    let latex = getNerdamer()(result).toTeX();
+
+    if (collectFreeVariables(node).size === 0 && !/^-?\d+$/.test(result)) {
+      const value = Number(getNerdamer()(result).evaluate().text('decimals'));
+      const approximate = math.format(value, { precision: 10 });
+      if (Number.isFinite(value) && approximate !== latex) {
+        latex += ` \\approx ${approximate}`;
+      }
+    }
+
+    return { engine: 'nerdamer', latex: `\\displaystyle ${latex}` };
+  } catch (e) {
+    console.error("Derivative calculation error:", e);
+    return { engine: 'nerdamer', latex: 'エラー: ' + e.message };
+  }
+}
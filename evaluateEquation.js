@@ -0,0 +1,906 @@
+/**
+ * 方程式の評価
+ * nerdamer の solve / solveEquations で方程式・連立方程式を解き、解の集合を LaTeX で表示します
+ * nerdamer の解は複素数解などで誤ることがあるため、元の方程式に代入して検算します
+ */
+
+// 検算で解とみなす残差（解の絶対値に対する相対値）
+const SOLUTION_TOLERANCE = 1e-6;
+
+// 多項式の根を数値的に求める反復（デュラン・ケルナー法）の最大回数
+const ROOT_FINDING_MAX_ITERATIONS = 500;
+
+// nerdamer が数値的に求めた解（長い小数、または桁数の多い分数で近似された解）
+const APPROXIMATE_SOLUTION_PATTERN = /\d\.\d{6,}|\d{7,}\/\d{7,}/;
+
+// 周期的な方程式として一般解を求める三角関数（math.js の関数名）
+const PERIODIC_FUNCTIONS = ['sin', 'cos', 'tan', 'sec', 'csc', 'cot'];
+
+// 1周期の解を探すときの分割数（最も短い三角関数の周期あたり）と分割数の上限
+const PERIODIC_SAMPLES_PER_PERIOD = 720;
+const PERIODIC_MAX_SAMPLES = 20000;
+
+// 周期や解を π の有理数倍として表すときの分母の上限
+const PERIODIC_MAX_DENOMINATOR = 360;
+
+/**
+ * 式を math.js で数値（実数または複素数）として計算する関数
+ * @returns {number|Object} - 計算結果（計算できない場合は NaN）
+ */
+function evaluateSolutionValue(text, scope) {
+  try {
+    const value = math.evaluate(text, scope);
+    return typeof value === 'number' || math.typeOf(value) === 'Complex' ? value : NaN;
+  } catch (e) {
+    return NaN;
+  }
+}
+
+/**
+ * 2つの数値（複素数を含む）が一致するかチェックする関数
+ */
+function isSameSolutionValue(a, b) {
+  const difference = math.abs(math.subtract(a, b));
+  return difference <= SOLUTION_TOLERANCE * Math.max(1, math.abs(a), math.abs(b));
+}
+
+/**
+ * 方程式 left = right を left - right の形の文字列に変換する関数
+ */
+function equationToString(equation) {
+  return `(${astToString(equation.left)})-(${astToString(equation.right)})`;
+}
+
+/**
+ * 値を代入したときに方程式が成り立つかチェックする関数
+ * @param {Array} equations - ComparisonExpression ノードの配列
+ * @param {Object} scope - 変数に代入する値
+ * @returns {boolean} - 検算できない場合（計算できない関数を含むなど）も true
+ */
+function satisfiesEquations(equations, scope) {
+  return equations.every(equation => {
+    const residual = evaluateSolutionValue(equationToString(equation), scope);
+    if (Number.isNaN(residual)) {
+      return true;
+    }
+    const scale = Math.max(1, ...Object.values(scope).map(value => math.abs(value)));
+    return math.abs(residual) <= SOLUTION_TOLERANCE * scale;
+  });
+}
+
+/**
+ * 多項式の係数を求める関数
+ * @param {string} expression - 式（= 0 の左辺）
+ * @param {string} variable - 変数名
+ * @returns {Array|null} - 低次から順の係数の文字列（多項式でない場合は null）
+ */
+function getPolynomialCoefficients(expression, variable) {
+  const nerdamerInstance = getNerdamer();
+  const parseToNumber = nerdamerInstance.get('PARSE2NUMBER');
+  try {
+    const coefficients = nerdamerInstance.coeffs(expression, variable).symbol.elements
+      .map(coefficient => coefficient.toString());
+    const isPolynomial = coefficients.every(
+      coefficient => !nerdamerInstance(coefficient).variables().includes(variable)
+    );
+    return isPolynomial ? coefficients : null;
+  } catch (e) {
+    // 多項式でない式では nerdamer が例外を投げる
+    // （例外の前に数値に変換する設定にしたまま戻さないため、以降の計算で √2 が小数にならないよう元に戻す）
+    nerdamerInstance.set('PARSE2NUMBER', parseToNumber);
+    return null;
+  }
+}
+
+/**
+ * デュラン・ケルナー法で多項式のすべての根（複素数を含む）を数値的に求める関数
+ * @param {Array} coefficients - 低次から順の係数（実数または複素数）
+ * @returns {Array} - 根（math.js の複素数）の配列
+ */
+function findPolynomialRoots(coefficients) {
+  const degree = coefficients.length - 1;
+  const monic = coefficients.map(c => math.divide(c, coefficients[degree]));
+  const evaluatePolynomial = z => monic.reduceRight(
+    (sum, coefficient) => math.add(math.multiply(sum, z), coefficient),
+    math.complex(0, 0)
+  );
+
+  // 初期値は単位円からずらした点の累乗
+  let roots = Array.from({ length: degree }, (_, k) => math.pow(math.complex(0.4, 0.9), k));
+  for (let iteration = 0; iteration < ROOT_FINDING_MAX_ITERATIONS; iteration++) {
+    let maxChange = 0;
+    roots = roots.map((root, k) => {
+      const denominator = roots.reduce(
+        (product, other, j) => j === k ? product : math.multiply(product, math.subtract(root, other)),
+        math.complex(1, 0)
+      );
+      const change = math.divide(evaluatePolynomial(root), denominator);
+      maxChange = Math.max(maxChange, math.abs(change));
+      return math.subtract(root, change);
+    });
+    if (maxChange < 1e-15) break;
+  }
+  return roots;
+}
+
+/**
+ * 多項式の方程式を解く関数
+ * 2次までは解の公式で厳密に、3次以上は数値的にすべての根を求める
+ * （3次以上でも nerdamer の厳密解が検算で確かめられた根は厳密解で表示する）
+ * @returns {Array|null} - 解（text: 解の文字列, approximate: 近似値か）の配列（解けない場合は null）
+ */
+function solvePolynomialEquation(coefficients, variable, equation, scope) {
+  const degree = coefficients.length - 1;
+  const [c, b, a] = coefficients.map(coefficient => `(${coefficient})`);
+  const nerdamerInstance = getNerdamer();
+
+  if (degree === 1) {
+    return [{ text: nerdamerInstance(`-${c}/${b}`).text('fractions'), approximate: false }];
+  }
+  if (degree === 2) {
+    const discriminant = `sqrt(${b}^2-4*${a}*${c})`;
+    return [`+${discriminant}`, `-${discriminant}`].map(sign => ({
+      text: nerdamerInstance(`(-${b}${sign})/(2*${a})`).text('fractions'),
+      approximate: false
+    }));
+  }
+
+  // 3次以上は係数がすべて数値の場合のみ数値的に解く
+  const numericCoefficients = coefficients.map(coefficient => evaluateSolutionValue(coefficient, {}));
+  if (!numericCoefficients.every(Number.isFinite)) {
+    return null;
+  }
+  // nerdamer の厳密解で多項式を割って次数を下げ（重解の分も割る）、残りの根を数値的に求める
+  let remaining = numericCoefficients;
+  const solutions = [];
+  solveWithNerdamer(equation, variable, scope)
+    .filter(solution => !solution.approximate)
+    .forEach(solution => {
+      const value = evaluateSolutionValue(solution.text, scope);
+      while (remaining.length > 1 && isPolynomialRoot(remaining, value)) {
+        remaining = deflatePolynomial(remaining, value);
+        solutions.push(solution);
+      }
+    });
+
+  // 残りが2次以下で係数が有理数なら解の公式で厳密に解く（x^3 = 8 の -1 ± √3 i）
+  const exactRemaining = remaining.length > 1 && remaining.length <= 3 ? solveRationalPolynomial(remaining) : null;
+  if (exactRemaining) {
+    solutions.push(...exactRemaining);
+  } else if (remaining.length > 1) {
+    findPolynomialRoots(remaining).forEach(root => {
+      solutions.push(snapToIntegerSolution(root, equation, variable, scope));
+    });
+  }
+  return solutions;
+}
+
+/**
+ * 数値の係数が有理数に十分近い2次以下の多項式を解の公式で厳密に解く関数
+ * 厳密解が元の係数の多項式の根であることを確かめる
+ * @param {Array} coefficients - 低次から順の係数（実数または複素数）
+ * @returns {Array|null} - 解の配列（有理数でない係数がある場合や確かめられない場合は null）
+ */
+function solveRationalPolynomial(coefficients) {
+  const fractions = coefficients.map(coefficient =>
+    math.im(coefficient) === 0 ? toSmallFraction(math.re(coefficient)) : null
+  );
+  if (!fractions.every(Boolean)) {
+    return null;
+  }
+  const rational = fractions.map(fraction => math.format(fraction, { fraction: 'ratio' }));
+  const solutions = solvePolynomialEquation(rational, 'x');
+  const verified = solutions.every(solution => isPolynomialRoot(coefficients, evaluateSolutionValue(solution.text, {})));
+  return verified ? solutions : null;
+}
+
+/**
+ * 値が多項式の根かどうか（係数の大きさに対して十分に 0 に近いか）をチェックする関数
+ * @param {Array} coefficients - 低次から順の係数
+ */
+function isPolynomialRoot(coefficients, value) {
+  let residual = math.complex(0, 0);
+  let scale = 0;
+  coefficients.forEach((coefficient, k) => {
+    const term = math.multiply(coefficient, math.pow(value, k));
+    residual = math.add(residual, term);
+    scale += math.abs(term);
+  });
+  return math.abs(residual) <= 1e-9 * Math.max(1, scale);
+}
+
+/**
+ * 多項式を (x - root) で割る関数（組立除法）
+ * @param {Array} coefficients - 低次から順の係数
+ * @returns {Array} - 商の係数（低次から順）
+ */
+function deflatePolynomial(coefficients, root) {
+  const degree = coefficients.length - 1;
+  const quotient = new Array(degree);
+  quotient[degree - 1] = coefficients[degree];
+  for (let k = degree - 1; k > 0; k--) {
+    quotient[k - 1] = math.add(coefficients[k], math.multiply(root, quotient[k]));
+  }
+  return quotient;
+}
+
+/**
+ * 数値的に求めた根の実部・虚部が整数に十分近く、代入して方程式を満たす場合は厳密解とする関数
+ * （x^4 = 16 の ±2i など）
+ */
+function snapToIntegerSolution(root, equation, variable, scope) {
+  const re = Math.round(math.re(root));
+  const im = Math.round(math.im(root));
+  const candidate = math.complex(re, im);
+  if (
+    isSameSolutionValue(candidate, root) &&
+    math.abs(evaluateSolutionValue(equationToString(equation), { ...scope, [variable]: candidate })) === 0
+  ) {
+    return { text: im === 0 ? `${re}` : `${re}+(${im})*i`, approximate: false };
+  }
+  return { text: root, approximate: true };
+}
+
+/**
+ * nerdamer の solve で方程式を解き、検算で確かめられた解のみを返す関数
+ * @returns {Array} - 解（text: 解の文字列, approximate: 近似値か）の配列
+ */
+function solveWithNerdamer(equation, variable, scope) {
+  const nerdamerInstance = getNerdamer();
+  const equationString = `${astToString(equation.left)}=${astToString(equation.right)}`;
+  const solutions = nerdamerInstance.solve(equationString, variable).symbol;
+  const elements = solutions.elements || [solutions];
+
+  return elements
+    .map(element => element.toString())
+    .filter(text => {
+      const value = evaluateSolutionValue(text, scope);
+      return Number.isNaN(value) || satisfiesEquations([equation], { ...scope, [variable]: value });
+    })
+    .map(text => {
+      if (APPROXIMATE_SOLUTION_PATTERN.test(text)) {
+        return { text: evaluateSolutionValue(text, scope), approximate: true };
+      }
+      return { text, approximate: false };
+    });
+}
+
+/**
+ * 小数を分母が PERIODIC_MAX_DENOMINATOR 以下の分数で表す関数
+ * @returns {Object|null} - Fraction（十分に近い分数がない場合は null）
+ */
+function toSmallFraction(value, tolerance = 1e-9) {
+  for (let denominator = 1; denominator <= PERIODIC_MAX_DENOMINATOR; denominator++) {
+    const numerator = Math.round(value * denominator);
+    if (Math.abs(value - numerator / denominator) <= tolerance * Math.max(1, Math.abs(value))) {
+      return math.fraction(numerator, denominator);
+    }
+  }
+  return null;
+}
+
+/**
+ * 方程式が変数について周期的な場合に周期を求める関数
+ * 変数が sin(a x + b) などの三角関数の引数にだけ現れ、a が有理数か有理数 × π の場合に周期的とする
+ * @param {string} expression - 式（= 0 の左辺）
+ * @returns {Object|null} - 周期（multiple: 単位に対する倍率の Fraction, unit: π なら 'pi'、1 なら ''）、
+ *                          周期の値（value）と最も短い三角関数の周期（shortest）（周期的でない場合は null）
+ */
+function findEquationPeriod(expression, variable) {
+  const periods = [];
+  let isPeriodic = true;
+  let rest;
+  try {
+    rest = math.parse(expression).transform(node => {
+      if (!node.isFunctionNode || !PERIODIC_FUNCTIONS.includes(node.fn.name) || node.args.length !== 1) {
+        return node;
+      }
+      const coefficients = getPolynomialCoefficients(node.args[0].toString(), variable);
+      if (!coefficients || coefficients.length > 2) {
+        isPeriodic = false;
+      } else if (coefficients.length === 2) {
+        const slope = Math.abs(evaluateSolutionValue(coefficients[1], {}));
+        // sin(x) の周期は 2π、sin(πx) の周期は 2
+        const inPi = toSmallFraction(2 / slope);
+        const inOne = inPi ? null : toSmallFraction(2 * Math.PI / slope);
+        if (inPi || inOne) {
+          periods.push({ multiple: inPi || inOne, unit: inPi ? 'pi' : '', value: 2 * Math.PI / slope });
+        } else {
+          isPeriodic = false;
+        }
+      }
+      return new math.SymbolNode('_');
+    });
+  } catch (e) {
+    return null;
+  }
+
+  const containsVariable = rest.filter(node => node.isSymbolNode && node.name === variable).length > 0;
+  if (!isPeriodic || containsVariable || periods.length === 0 || periods.some(period => period.unit !== periods[0].unit)) {
+    return null;
+  }
+
+  // 共通の周期は分子の最小公倍数 / 分母の最大公約数
+  const numerator = periods.reduce((lcm, period) => math.lcm(lcm, period.multiple.n), 1);
+  const denominator = periods.reduce((gcd, period) => math.gcd(gcd, period.multiple.d), 0);
+  const multiple = math.fraction(numerator, denominator);
+  const unitValue = periods[0].unit === 'pi' ? Math.PI : 1;
+  return {
+    multiple,
+    unit: periods[0].unit,
+    value: math.number(multiple) * unitValue,
+    shortest: Math.min(...periods.map(period => period.value))
+  };
+}
+
+/**
+ * 区間 [0, length) にある関数の零点をすべて求める関数
+ * 符号が変わる区間は二分法で、符号が変わらずに 0 に接する点（sin x = 1 など）は |f| の極小点として求める
+ * @param {Function} f - 実数の関数（計算できない点では NaN）
+ * @param {number} length - 区間の長さ（周期）
+ * @param {number} samples - 区間の分割数
+ * @returns {Array} - 零点の配列（昇順）
+ */
+function findRootsInPeriod(f, length, samples) {
+  const step = length / samples;
+  // 区間の端の零点も見つけられるよう、両側に1点ずつ広げて調べる
+  const xs = Array.from({ length: samples + 3 }, (_, j) => (j - 1) * step);
+  const ys = xs.map(f);
+  const candidates = [];
+
+  for (let j = 0; j + 1 < xs.length; j++) {
+    if (ys[j] === 0) {
+      candidates.push(xs[j]);
+    } else if (ys[j] * ys[j + 1] < 0) {
+      let [low, high] = [xs[j], xs[j + 1]];
+      for (let iteration = 0; iteration < 100 && low < high; iteration++) {
+        const middle = (low + high) / 2;
+        if (middle === low || middle === high) break;
+        if (Math.sign(f(middle)) === Math.sign(ys[j])) {
+          low = middle;
+        } else {
+          high = middle;
+        }
+      }
+      candidates.push((low + high) / 2);
+    }
+    if (j > 0 && Math.abs(ys[j]) < Math.abs(ys[j - 1]) && Math.abs(ys[j]) <= Math.abs(ys[j + 1])) {
+      // 黄金分割探索で |f| の極小点を求める
+      const ratio = (Math.sqrt(5) - 1) / 2;
+      let [low, high] = [xs[j - 1], xs[j + 1]];
+      for (let iteration = 0; iteration < 100; iteration++) {
+        const left = high - ratio * (high - low);
+        const right = low + ratio * (high - low);
+        if (Math.abs(f(left)) <= Math.abs(f(right))) {
+          high = right;
+        } else {
+          low = left;
+        }
+      }
+      candidates.push((low + high) / 2);
+    }
+  }
+
+  // 極（tan x の π/2 など）をまたぐ符号の変化や 0 にならない極小点を除き、周期で割った余りの重複をまとめる
+  const tolerance = 1e-7 * Math.max(1, length);
+  const roots = [];
+  candidates
+    .filter(x => Math.abs(f(x)) <= 1e-9)
+    .map(x => ((x % length) + length) % length)
+    .sort((a, b) => a - b)
+    .forEach(x => {
+      const isDuplicate = roots.some(root => Math.abs(root - x) <= tolerance || length - Math.abs(root - x) <= tolerance);
+      if (!isDuplicate) {
+        roots.push(x);
+      }
+    });
+  return roots;
+}
+
+/**
+ * 周期的な方程式（三角方程式）の一般解を LaTeX 形式で返す関数
+ * 1周期の中の解をすべて求め、解の集合がより短い周期で繰り返す場合はその周期にまとめる
+ * 解は π の有理数倍（周期が有理数の場合は有理数）で表せて代入して成り立つ場合は厳密な値とする
+ * @param {string} expression - 式（= 0 の左辺）
+ * @returns {string|null} - 一般解の LaTeX 表現（周期的でない場合、実数解がない場合は null）
+ */
+function solvePeriodicEquation(expression, variable) {
+  const period = findEquationPeriod(expression, variable);
+  if (!period) {
+    return null;
+  }
+  const samples = Math.ceil(PERIODIC_SAMPLES_PER_PERIOD * period.value / period.shortest);
+  if (samples > PERIODIC_MAX_SAMPLES) {
+    return null;
+  }
+
+  const compiled = math.compile(expression);
+  const f = x => {
+    try {
+      const value = compiled.evaluate({ [variable]: x });
+      return typeof value === 'number' ? value : NaN;
+    } catch (e) {
+      return NaN;
+    }
+  };
+  let roots = findRootsInPeriod(f, period.value, samples);
+  if (roots.length === 0) {
+    return null;
+  }
+
+  // 解の集合が周期の 1/m ずらしても変わらない場合は周期を 1/m にする（tan x = 1 の周期 π など）
+  let multiple = period.multiple;
+  let length = period.value;
+  const tolerance = 1e-7 * Math.max(1, length);
+  for (let m = roots.length; m >= 2; m--) {
+    const shift = length / m;
+    const isInvariant = roots.every(root => roots.some(other => {
+      const difference = Math.abs((root + shift) % length - other);
+      return difference <= tolerance || length - difference <= tolerance;
+    }));
+    if (roots.length % m === 0 && isInvariant) {
+      multiple = math.divide(multiple, m);
+      length = shift;
+      roots = roots.filter(root => root < shift - tolerance);
+      break;
+    }
+  }
+
+  // 解を単位（π または 1）の有理数倍で表し、代入して成り立つ場合は厳密な値とする
+  const unitValue = period.unit === 'pi' ? Math.PI : 1;
+  const unitLatex = period.unit === 'pi' ? '\\pi' : '';
+  let hasApproximate = false;
+  const solutions = roots.map(root => {
+    const exact = toSmallFraction(root / unitValue, 1e-7);
+    if (exact && Math.abs(f(math.number(exact) * unitValue)) <= 1e-12) {
+      return math.equal(exact, 0) ? null : rationalMultipleToLatex(exact, unitLatex);
+    }
+    hasApproximate = true;
+    return formatApproximateSolution(root);
+  });
+
+  const periodLatex = rationalMultipleToLatex(multiple, `k${unitLatex}`);
+  const terms = solutions.map(solution => solution === null ? periodLatex : `${solution} + ${periodLatex}`);
+  const latex = `${variableNameToLatex(variable)} \\in \\left\\{ ${terms.join(', ')} \\;\\middle|\\; k \\in \\mathbb{Z} \\right\\}`;
+  return hasApproximate ? `${latex} \\quad (\\text{近似値を含む})` : latex;
+}
+
+/**
+ * 正の有理数 × 単位（\\pi, k\\pi など）を LaTeX 形式に変換する関数（単位が空の場合は有理数のみ）
+ */
+function rationalMultipleToLatex(fraction, unitLatex) {
+  const numerator = unitLatex === '' ? `${fraction.n}` : `${fraction.n === 1 ? '' : fraction.n}${unitLatex}`;
+  return fraction.d === 1 ? numerator : `\\frac{${numerator}}{${fraction.d}}`;
+}
+
+/**
+ * 式が変数を引数に含む三角関数を含むかどうかをチェックする関数
+ */
+function containsPeriodicFunctionOf(expression, variable) {
+  try {
+    return math.parse(expression).filter(node =>
+      node.isFunctionNode &&
+      PERIODIC_FUNCTIONS.includes(node.fn.name) &&
+      node.args.some(argument => argument.filter(child => child.isSymbolNode && child.name === variable).length > 0)
+    ).length > 0;
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * 解の数値（近似値の解はその値、厳密解は計算した値）を返す関数
+ */
+function solutionValue(solution, scope) {
+  return solution.approximate ? solution.text : evaluateSolutionValue(solution.text, scope);
+}
+
+/**
+ * 重複した解（重解など）を取り除く関数
+ */
+function removeDuplicateSolutions(solutions, scope) {
+  const values = [];
+  return solutions.filter(solution => {
+    const value = solutionValue(solution, scope);
+    if (Number.isNaN(value)) {
+      return true;
+    }
+    if (values.some(other => isSameSolutionValue(value, other))) {
+      return false;
+    }
+    values.push(value);
+    return true;
+  });
+}
+
+/**
+ * 解を実部、虚部の昇順に並べる関数（数値に変換できない解は末尾に残す）
+ */
+function sortSolutions(solutions) {
+  const keyed = solutions.map(solution => ({
+    solution,
+    value: solutionValue(solution, {})
+  }));
+  const sortable = keyed.filter(({ value }) => !Number.isNaN(value));
+  const others = keyed.filter(({ value }) => Number.isNaN(value));
+  sortable.sort((a, b) => (math.re(a.value) - math.re(b.value)) || (math.im(a.value) - math.im(b.value)));
+  return [...sortable, ...others].map(({ solution }) => solution);
+}
+
+/**
+ * 近似値の解（実数または複素数）を LaTeX 形式に変換する関数
+ */
+function formatApproximateSolution(value) {
+  const scale = Math.max(1, math.abs(value));
+  const clean = part => Math.abs(part) < 1e-10 * scale ? 0 : part;
+  const re = clean(math.re(value));
+  const im = clean(math.im(value));
+  if (im === 0) {
+    return math.format(re, { precision: 10 });
+  }
+  return math.format(math.complex(re, im), { precision: 10 });
+}
+
+/**
+ * 解を LaTeX 形式に変換する関数
+ */
+function formatSolution(solution) {
+  return solution.approximate
+    ? formatApproximateSolution(solution.text)
+    : getNerdamer()(solution.text).toTeX();
+}
+
+/**
+ * 1つの方程式のすべての解を求める関数
+ * 多項式は solvePolynomialEquation、それ以外は nerdamer の solve で解き、重解を除いて並べる
+ * @param {Array|null} coefficients - 多項式の係数（getPolynomialCoefficients の結果）
+ * @returns {Array} - 解（text: 解の文字列, approximate: 近似値か）の配列
+ */
+function findSolutions(equation, variable, scope, coefficients) {
+  let solutions = coefficients ? solvePolynomialEquation(coefficients, variable, equation, scope) : null;
+  if (!solutions) {
+    solutions = solveWithNerdamer(equation, variable, scope);
+  }
+  solutions = removeDuplicateSolutions(solutions, scope);
+  return Object.keys(scope).length === 0 ? sortSolutions(solutions) : solutions;
+}
+
+/**
+ * 1つの方程式を解いて解の集合を LaTeX 形式で返す関数
+ */
+function solveSingleEquation(equation, variable, scope) {
+  const expression = equationToString(equation);
+  const coefficients = getPolynomialCoefficients(expression, variable);
+
+  // 変数を含まない（定数 = 0 の）方程式は恒等式か解なし
+  if (coefficients && coefficients.length === 1) {
+    const value = evaluateSolutionValue(coefficients[0], scope);
+    if (value === 0) {
+      return `\\text{すべての } ${variableNameToLatex(variable)} \\text{ が解です}`;
+    }
+    return `${variableNameToLatex(variable)} \\in \\emptyset`;
+  }
+
+  // 三角方程式は一般解で表す
+  if (!coefficients && Object.keys(scope).length === 0) {
+    const periodic = solvePeriodicEquation(expression, variable);
+    if (periodic) {
+      return periodic;
+    }
+  }
+
+  const solutions = findSolutions(equation, variable, scope, coefficients);
+  if (solutions.length === 0) {
+    return `${variableNameToLatex(variable)} \\in \\emptyset`;
+  }
+  const latex = `${variableNameToLatex(variable)} \\in \\left\\{ ${solutions.map(formatSolution).join(', ')} \\right\\}`;
+  if (!solutions.some(solution => solution.approximate)) {
+    return latex;
+  }
+  // 一般解を求められない三角関数を含む方程式では、nerdamer は一部の範囲の解しか数値的に求めない
+  return containsPeriodicFunctionOf(expression, variable)
+    ? `${latex} \\quad (\\text{数値的に見つかった解の一部})`
+    : `${latex} \\quad (\\text{近似値を含む})`;
+}
+
+/**
+ * nerdamer の solveEquations が返した連立方程式の解の値を変換する関数
+ * 小数で返された値は分母の小さい分数に十分近い場合のみ分数とし、それ以外は近似値とする
+ * 式の解は簡約した形（検算で一致する場合のみ）に直す
+ * @returns {Object} - 解（text: 解の文字列, approximate: 近似値か）
+ */
+function toSystemSolution(value, scope) {
+  const text = value.toString();
+  const number = typeof value === 'number' ? value : evaluateSolutionValue(text, {});
+  if (typeof number === 'number' && Number.isFinite(number)) {
+    const fraction = math.fraction(number);
+    if (fraction.d <= 1000000 && Math.abs(math.number(fraction) - number) < 1e-12 * Math.max(1, Math.abs(number))) {
+      return { text: math.format(fraction, { fraction: 'ratio' }), approximate: false };
+    }
+    return { text: number, approximate: true };
+  }
+  if (math.typeOf(number) === 'Complex' && /\d\.\d/.test(text)) {
+    return { text: number, approximate: true };
+  }
+
+  try {
+    const simplified = getNerdamer()(`simplify(${text})`).text('fractions');
+    const original = evaluateSolutionValue(text, scope);
+    const candidate = evaluateSolutionValue(simplified, scope);
+    if (!Number.isNaN(original) && !Number.isNaN(candidate) && isSameSolutionValue(original, candidate)) {
+      return { text: simplified, approximate: false };
+    }
+  } catch (e) {
+    console.error("Simplify error:", e);
+  }
+  return { text, approximate: false };
+}
+
+/**
+ * 連立方程式を代入法で解き、すべての解を求める関数
+ * 1次の変数があればその変数について解いて他の式に代入し、
+ * 最後に残った1変数の方程式の解（findSolutions）から順に他の変数の値を求める
+ * @param {Array} expressions - 式（= 0 の左辺）の文字列の配列
+ * @param {Array} variables - 解く変数名の配列
+ * @param {Object} scope - パラメータに代入する検算用の値
+ * @returns {Object|null} - 解（変数名 → {text, approximate}）の配列（solutions）と、
+ *                          数値的に一部の解しか求まっていないか（partial）（代入法で解けない場合は null）
+ */
+function solveBySubstitution(expressions, variables, scope) {
+  const nerdamerInstance = getNerdamer();
+  const containsUnknown = expression => nerdamerInstance(expression).variables().some(name => variables.includes(name));
+  const isNonzeroConstant = expression => {
+    const value = evaluateSolutionValue(expression, scope);
+    return !Number.isNaN(value) && value !== 0;
+  };
+
+  // 解く変数を含まない式は成り立つかどうかだけを確かめる
+  const constants = expressions.filter(expression => !containsUnknown(expression));
+  const isConsistent = constants.every(expression => {
+    const value = evaluateSolutionValue(expression, scope);
+    return Number.isNaN(value) || math.abs(value) <= SOLUTION_TOLERANCE;
+  });
+  if (!isConsistent) {
+    return { solutions: [], partial: false };
+  }
+  const remaining = expressions.filter(containsUnknown);
+  if (variables.length === 0) {
+    return { solutions: [{}], partial: false };
+  }
+  if (remaining.length < variables.length) {
+    // 解が無数にある
+    return null;
+  }
+
+  for (const [index, expression] of remaining.entries()) {
+    for (const variable of variables) {
+      const coefficients = getPolynomialCoefficients(expression, variable);
+      if (!coefficients || coefficients.length !== 2) {
+        continue;
+      }
+      // 係数が他の変数を含む場合（x y = 12 の y）は、係数が 0 のとき定数項も 0 でなければならないため、
+      // 定数項が 0 でない定数の場合のみ係数で割る
+      const [constant, linear] = coefficients;
+      const canDivide = containsUnknown(linear)
+        ? !containsUnknown(constant) && isNonzeroConstant(constant)
+        : isNonzeroConstant(linear);
+      if (!canDivide) {
+        continue;
+      }
+
+      // variable = -c / b を他の式に代入する
+      const value = nerdamerInstance(`-(${constant})/(${linear})`).text('fractions');
+      const others = remaining
+        .filter((_, i) => i !== index)
+        .map(other => nerdamerInstance(other).sub(variable, `(${value})`).toString());
+      const result = solveBySubstitution(others, variables.filter(name => name !== variable), scope);
+      return result && {
+        ...result,
+        solutions: result.solutions.map(solution => ({
+          ...solution,
+          [variable]: substituteSystemSolution(value, solution, scope)
+        }))
+      };
+    }
+  }
+
+  if (variables.length > 1) {
+    return null;
+  }
+
+  // 1変数の方程式は1つ目の式のすべての解から、他の式も満たすものを選ぶ
+  const variable = variables[0];
+  const equation = {
+    type: 'ComparisonExpression',
+    operator: '=',
+    left: engineTextToAst(remaining[0]),
+    right: { type: 'NumberLiteral', value: '0' }
+  };
+  const others = remaining.slice(1).map(expression => ({ ...equation, left: engineTextToAst(expression) }));
+  const coefficients = getPolynomialCoefficients(remaining[0], variable);
+  const solutions = findSolutions(equation, variable, scope, coefficients).filter(solution => {
+    const value = solutionValue(solution, scope);
+    return Number.isNaN(value) || satisfiesEquations(others, { ...scope, [variable]: value });
+  });
+  // 三角関数を含む方程式では nerdamer は一部の範囲の解しか数値的に求めない
+  const partial = !coefficients &&
+    solutions.some(solution => solution.approximate) &&
+    containsPeriodicFunctionOf(remaining[0], variable);
+  return { solutions: solutions.map(solution => ({ [variable]: solution })), partial };
+}
+
+/**
+ * 代入法で求めた変数の式に、他の変数の解を代入して値を求める関数
+ * 近似値の解を含む場合は数値的に計算し、それ以外は nerdamer で厳密に計算する
+ * @returns {Object} - 解（text: 解の文字列, approximate: 近似値か）
+ */
+function substituteSystemSolution(value, solution, scope) {
+  const entries = Object.entries(solution);
+  if (entries.some(([, other]) => other.approximate)) {
+    const values = Object.fromEntries(entries.map(([name, other]) => [name, solutionValue(other, scope)]));
+    return { text: evaluateSolutionValue(value, { ...scope, ...values }), approximate: true };
+  }
+  const substituted = entries.reduce(
+    (expression, [name, other]) => expression.sub(name, `(${other.text})`),
+    getNerdamer()(value)
+  );
+  return { text: substituted.text('fractions'), approximate: false };
+}
+
+/**
+ * 連立方程式の解を変数の順に実部、虚部の昇順で並べる関数（数値に変換できない解は末尾に残す）
+ */
+function sortSystemSolutions(solutions, variables) {
+  const keyed = solutions.map(solution => ({
+    solution,
+    values: variables.map(name => solutionValue(solution[name], {}))
+  }));
+  const sortable = keyed.filter(({ values }) => !values.some(value => Number.isNaN(value)));
+  const others = keyed.filter(({ values }) => values.some(value => Number.isNaN(value)));
+  const compare = (a, b) => (math.re(a) - math.re(b)) || (math.im(a) - math.im(b));
+  sortable.sort((a, b) => a.values.reduce((order, value, i) => order || compare(value, b.values[i]), 0));
+  return [...sortable, ...others].map(({ solution }) => solution);
+}
+
+/**
+ * 連立方程式の解を LaTeX 形式に変換する関数
+ * 解が1つの場合は cases 環境で、複数の場合は変数の組の集合で表す
+ * @param {Array} solutions - 解（変数名 → {text, approximate}）の配列
+ * @param {Array} variables - 解く変数名の配列
+ */
+function systemSolutionsToLatex(solutions, variables) {
+  const tuple = values => values.length === 1 ? values[0] : `\\left( ${values.join(', ')} \\right)`;
+  const names = tuple(variables.map(variableNameToLatex));
+  if (solutions.length === 0) {
+    return `${names} \\in \\emptyset`;
+  }
+  if (solutions.length === 1) {
+    const rows = variables.map(name => {
+      const solution = solutions[0][name];
+      return `${variableNameToLatex(name)} ${solution.approximate ? '\\approx' : '='} ${formatSolution(solution)}`;
+    });
+    return `\\begin{cases} ${rows.join(' \\\\ ')} \\end{cases}`;
+  }
+
+  const tuples = solutions.map(solution => tuple(variables.map(name => formatSolution(solution[name]))));
+  const latex = `${names} \\in \\left\\{ ${tuples.join(', ')} \\right\\}`;
+  return solutions.some(solution => variables.some(name => solution[name].approximate))
+    ? `${latex} \\quad (\\text{近似値を含む})`
+    : latex;
+}
+
+/**
+ * 連立方程式を解いて LaTeX 形式で返す関数
+ * 連立一次方程式は nerdamer の solveEquations で、それ以外は代入法ですべての解を求める
+ * 代入法で解けない場合は変数を指定せずに nerdamer で解き直す（解は1つしか求まらない）
+ */
+function solveEquationSystem(equations, variables, scope) {
+  const nerdamerInstance = getNerdamer();
+  const equationStrings = equations.map(
+    equation => `${astToString(equation.left)}=${astToString(equation.right)}`
+  );
+
+  // 変数を指定すると nerdamer は連立一次方程式として解くため、検算で確かめられない場合は代入法で解き直す
+  const solveWithSolveEquations = attemptArguments => {
+    const solution = {};
+    nerdamerInstance.solveEquations(...attemptArguments).forEach(([name, value]) => {
+      solution[name] = toSystemSolution(value, scope);
+    });
+    const values = Object.fromEntries(Object.entries(solution).map(([name, value]) => [name, solutionValue(value, scope)]));
+    const solved = variables.every(name => name in solution) && satisfiesEquations(equations, { ...scope, ...values });
+    return solved ? solution : null;
+  };
+
+  let failure = '連立方程式を解けませんでした';
+  try {
+    const solution = solveWithSolveEquations([equationStrings, variables]);
+    if (solution) {
+      return systemSolutionsToLatex([solution], variables);
+    }
+  } catch (e) {
+    failure = '連立方程式の解が1つに定まりません（解がないか、無数にあります）';
+  }
+
+  const substitution = solveBySubstitution(equations.map(equationToString), variables, scope);
+  if (substitution) {
+    // 係数で割って求めた解などを元の方程式で検算する
+    const solutions = substitution.solutions.filter(solution => satisfiesEquations(equations, {
+      ...scope,
+      ...Object.fromEntries(variables.map(name => [name, solutionValue(solution[name], scope)]))
+    }));
+    const sorted = Object.keys(scope).length === 0 ? sortSystemSolutions(solutions, variables) : solutions;
+    const latex = systemSolutionsToLatex(sorted, variables);
+    return substitution.partial ? `${latex} \\quad (\\text{数値的に見つかった解の一部})` : latex;
+  }
+
+  // 非線形の連立方程式では nerdamer は解を1つしか返さない
+  if (Object.keys(scope).length === 0) {
+    try {
+      const solution = solveWithSolveEquations([equationStrings]);
+      if (solution) {
+        return `${systemSolutionsToLatex([solution], variables)} \\quad (\\text{解の1つ})`;
+      }
+    } catch (e) {
+      console.error("Nonlinear system solving error:", e);
+    }
+  }
+  throw new Error(failure);
+}
+
+/**
+ * 解く変数を決める関数
+ * 指定がなければ方程式に含まれるすべての変数とし、方程式が1つで変数が複数ある場合は x を優先する
+ */
+function chooseUnknowns(equations, specified) {
+  if (specified.length > 0) {
+    return specified;
+  }
+
+  const variables = new Set();
+  equations.forEach(equation => collectFreeVariables(equation, variables));
+  const unknowns = [...variables].sort();
+  if (equations.length === 1 && unknowns.length > 1) {
+    if (unknowns.includes('x')) {
+      return ['x'];
+    }
+    throw new Error(`解く変数を「, ${unknowns[0]}」のように指定してください`);
+  }
+  if (unknowns.length > equations.length) {
+    throw new Error(`変数が方程式より多いため、解く変数を「, ${unknowns.slice(0, equations.length).join(', ')}」のように指定してください`);
+  }
+  return unknowns;
+}
+
+/**
+ * 方程式・連立方程式を解いて LaTeX 形式に変換する関数
+ * @param {Object} ast - EquationSystem ノード、または等号の ComparisonExpression ノード
+ * @returns {Object} - 計算エンジンと結果のLaTeX表現
+ */
+function evaluateEquationToLatex(ast) {
+  try {
+    if (!isNerdamerAvailable()) {
+      throw new Error('方程式を解くには nerdamer が必要です');
+    }
+
+    const equations = ast.type === 'EquationSystem' ? ast.equations : [ast];
+    const unknowns = chooseUnknowns(equations, ast.type === 'EquationSystem' ? ast.variables : []);
+    if (unknowns.length === 0) {
+      throw new Error('方程式に変数が含まれていません');
+    }
+
+    // 解く変数以外の変数（パラメータ）には検算用の値を代入する
+    const parameters = new Set();
+    equations.forEach(equation => collectFreeVariables(equation, parameters));
+    unknowns.forEach(name => parameters.delete(name));
+    const sampleScope = createSampleScope(parameters);
+
+    const latex = unknowns.length === 1 && equations.length === 1
+      ? solveSingleEquation(equations[0], unknowns[0], sampleScope)
+      : solveEquationSystem(equations, unknowns, sampleScope);
+
+    return { engine: 'nerdamer', latex: `\\displaystyle ${latex}` };
+  } catch (e) {
+    console.error("Equation solving error:", e);
+    return { engine: 'nerdamer', latex: 'エラー: ' + e.message };
+  }
+}
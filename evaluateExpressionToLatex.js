@@ -9,19 +9,34 @@ function astToString(node) {
   
   switch (node.type) {
     case 'NumberLiteral':
-      return node.value;
+      return numberLiteralToString(node.value);
       
     case 'Identifier':
-      // 特殊定数の変換
+      // 特殊定数の変換（τ, φ は字句解析でギリシャ文字の識別子名 tau, phi になる）
       if (node.value === 'π') return 'pi';
-      if (node.value === 'τ') return '2*pi';
-      if (node.value === 'φ') return '(1+sqrt(5))/2'; // 黄金比
+      if (node.value === 'tau') return '(2*pi)';
+      if (node.value === 'phi') return '((1+sqrt(5))/2)'; // 黄金比
       return node.value;
       
     case 'BinaryExpression':
       const left = astToString(node.left);
       const right = astToString(node.right);
       
+      // 電卓式の百分率の加減算 200 + 10% は 200 の 10% を加減する（200 * 1.1）
+      if ((node.operator === '+' || node.operator === '-') && isPercentNode(node.right)) {
+        return `(${left})*(1${node.operator}${right})`;
+      }
+      
+      // ビット演算子は math.js の関数に変換
+      if (node.operator in BITWISE_FUNCTIONS) {
+        return `${BITWISE_FUNCTIONS[node.operator]}(${left},${right})`;
+      }
+      
+      // 極形式 r \angle θ は r e^{iθ} にする
+      if (node.operator === '∠') {
+        return `(${left})*e^(i*(${right}))`;
+      }
+      
       // 演算子の優先順位に基づいて括弧を付ける
       const needsParensLeft = needsParentheses(node.left, node, 'left');
       const needsParensRight = needsParentheses(node.right, node, 'right');
@@ -33,6 +48,9 @@ function astToString(node) {
       
     case 'UnaryExpression':
       const operand = astToString(node.operand);
+      if (node.operator === 'not') {
+        return `bitNot(${operand})`;
+      }
       // 単項演算子の場合、オペランドが複合式なら括弧が必要
       const needsParens = needsParenthesesForUnary(node.operand);
       return `${node.operator}${needsParens ? `(${operand})` : operand}`;
@@ -44,17 +62,43 @@ function astToString(node) {
           const numerator = astToString(node.arguments[0]);
           const denominator = astToString(node.arguments[1]);
           
-          return `(${numerator})/(${denominator})`;
+          // 累乗の底になる場合（\frac{1}{2}^2）も分数全体を1つの項とする
+          return `((${numerator})/(${denominator}))`;
         }
       }
-      // その他の関数
-      const funcName = node.name.replace('\\', '');
+      // \arctan(y, x) は2引数の逆正接 atan2(y, x) とする
+      if (node.name === '\\arctan' && node.arguments.length === 2) {
+        return `atan2(${node.arguments.map(astToString).join(',')})`;
+      }
+      // その他の関数（\arcsin などは計算エンジンの関数名に変換する）
+      const funcName = FUNCTION_NAMES[node.name] || node.name.replace('\\', '');
       const args = node.arguments.map(astToString).join(',');
       return `${funcName}(${args})`;
       
     case 'ParenthesizedExpression':
       return `(${astToString(node.expression)})`;
       
+    case 'PostfixExpression':
+      return postfixToString(node);
+      
+    case 'Subscript':
+      // 添字付きの変数（x_1）は1つの変数名として扱う
+      return node.name;
+      
+    case 'Unit':
+      // 単位は math.js の unit 関数にする（min, in のように関数名・演算子と重なる単位名があるため）
+      return `unit("${node.name}")`;
+      
+    case 'UnitConversion':
+      // 単位の変換は math.js の to 演算子にする
+      return `(${astToString(node.expression)}) to (${astToString(node.unit)})`;
+      
+    case 'Limit':
+    case 'Derivative':
+    case 'Integral':
+      // 極限・微分・積分は文字列にする前に evaluateCalculusNodes で計算した値に置き換える
+      throw new Error('極限・微分・積分は計算してから文字列に変換してください');
+      
     case 'ArrayExpression':
       return `[${node.elements.map(astToString).join(',')}]`;
       
@@ -68,7 +112,9 @@ function astToString(node) {
     case 'ComparisonExpression':
       const leftComp = astToString(node.left);
       const rightComp = astToString(node.right);
-      return `${leftComp}${node.operator}${rightComp}`;
+      // math.js では = は代入になるため、等号の比較は == にする
+      const comparisonOperator = node.operator === '=' ? '==' : node.operator;
+      return `${leftComp}${comparisonOperator}${rightComp}`;
       
     case 'AssignmentExpression':
       const leftAssign = astToString(node.left);
@@ -81,6 +127,182 @@ function astToString(node) {
   }
 }
 
+// 計算エンジン（math.js, nerdamer）で名前の異なる関数
+const FUNCTION_NAMES = {
+  '\\arcsin': 'asin',
+  '\\arccos': 'acos',
+  '\\arctan': 'atan',
+  '\\Re': 're',
+  '\\Im': 'im',
+  '\\overline': 'conj',
+  '\\tr': 'trace',
+  '\\var': 'variance',
+  '\\stdev': 'std'
+};
+
+// nerdamer が扱えない複素数の関数（実部・虚部・共役複素数）
+const COMPLEX_PART_FUNCTIONS = ['\\Re', '\\Im', '\\overline'];
+
+// ビット演算子に対応する math.js の関数
+const BITWISE_FUNCTIONS = {
+  'and': 'bitAnd',
+  'or': 'bitOr',
+  'xor': 'bitXor'
+};
+
+// 後置演算子に対応する math.js の関数（階乗、二重階乗）
+const POSTFIX_FUNCTIONS = {
+  '!': 'factorial',
+  '!!': 'doubleFactorial'
+};
+
+// 階乗は整数以外（負の数を含む）もガンマ関数 Γ(n+1) で計算し、分数表示の整数（Fraction）にも使えるようにする
+// 二重階乗 n!! は -1 以上の整数について計算する
+const mathFactorial = math.factorial;
+const integerFactorial = n => {
+  if (n < 0) {
+    throw new Error('階乗は負の整数には使えません');
+  }
+  return mathFactorial(n);
+};
+const doubleFactorial = math.typed('doubleFactorial', {
+  number: n => {
+    if (!Number.isInteger(n) || n < -1) {
+      throw new Error('二重階乗は -1 以上の整数にしてください');
+    }
+    let result = 1;
+    for (let k = n; k > 1; k -= 2) {
+      result *= k;
+    }
+    return result;
+  },
+  Fraction: n => math.fraction(doubleFactorial(math.number(n))),
+  'Array | Matrix': values => math.map(values, doubleFactorial)
+});
+doubleFactorial.toTex = { 1: '\\left(${args[0]}\\right)!!' };
+math.import({
+  factorial: math.typed('factorial', {
+    ...mathFactorial.signatures,
+    number: n => Number.isInteger(n) ? integerFactorial(n) : math.gamma(n + 1),
+    Fraction: n => n.d === 1 ? math.fraction(integerFactorial(math.number(n))) : math.gamma(math.number(n) + 1)
+  }),
+  doubleFactorial
+}, { override: true });
+
+// 指数表記を展開する最大の桁数（倍精度浮動小数点数の範囲を超える分は展開しない）
+const MAX_EXPANDED_EXPONENT = 400;
+
+/**
+ * 正規化済みの数値リテラルを計算エンジンで評価できる文字列に変換する関数
+ * nerdamer は 1e-9 のような指数表記や桁の多い小数を正しく扱えないため、
+ * 指数表記は整数または整数の比に展開します（例: 6.02e23 → 602000000000000000000000, 1.5e-9 → (15/10000000000)）
+ * @param {string} value - 字句解析器で正規化された数値文字列
+ * @returns {string} - 計算エンジンで評価可能な文字列
+ */
+function numberLiteralToString(value) {
+  const match = /^(\d*)(?:\.(\d*))?e([+-]?\d+)$/.exec(value);
+  if (!match) return value;
+  
+  const fractionPart = match[2] || '';
+  const digits = (match[1] + fractionPart).replace(/^0+(?=\d)/, '');
+  const exponent = parseInt(match[3], 10) - fractionPart.length;
+  
+  // 桁数が極端に大きい場合は 10 の累乗のまま渡す
+  if (Math.abs(exponent) > MAX_EXPANDED_EXPONENT) {
+    return `(${digits}*10^(${exponent}))`;
+  }
+  
+  if (exponent >= 0) {
+    return digits + '0'.repeat(exponent);
+  }
+  return `(${digits}/1${'0'.repeat(-exponent)})`;
+}
+
+/**
+ * 百分率（15%）の式かどうか
+ */
+function isPercentNode(node) {
+  return node?.type === 'PostfixExpression' && node.operator === '%';
+}
+
+/**
+ * 後置演算子の式を計算エンジンで評価できる文字列に変換する関数
+ * 階乗は factorial、百分率は 1/100 倍、行列の転置は transpose にし、
+ * 行列以外の ^T（(1+r)^T）は変数 T の累乗、A' は元の式のままとする
+ * @param {Object} node - PostfixExpression ノード
+ * @returns {string} - 計算エンジンで評価可能な文字列
+ */
+function postfixToString(node) {
+  const operand = astToString(node.operand);
+  const term = needsParenthesesForUnary(node.operand) ? `(${operand})` : operand;
+  
+  if (node.operator in POSTFIX_FUNCTIONS) {
+    return `${POSTFIX_FUNCTIONS[node.operator]}(${operand})`;
+  }
+  if (isTransposeNode(node)) {
+    return `transpose(${operand})`;
+  }
+  switch (node.operator) {
+    case '%':
+      return `(${term}/100)`;
+    case 'T':
+      return `((${operand})^T)`;
+    case "'":
+      return `(${operand})`;
+    default:
+      // 度の記号は弧度に変換する（DEG / GRAD モードの数値計算では applyAngleMode で先に置き換える）
+      return `(${term}*pi/180)`;
+  }
+}
+
+/**
+ * 階乗・二重階乗を nerdamer に渡す前に置き換える関数
+ * nerdamer は factorial(2*x) を 2x! と表示し、二重階乗を扱えないため、
+ * 変数を含む階乗は置き換え用の変数（postfix0, postfix1, ...）にして LaTeX は抽象構文木から作り、
+ * 整数になる数値の階乗は math.js で計算した値にする
+ * @param {Object} ast - 抽象構文木
+ * @returns {Object} - 置き換えた抽象構文木（ast）と 置き換え用の変数名 → LaTeX の Map（latexByName）
+ */
+function extractFactorials(ast) {
+  const latexByName = new Map();
+  const replace = node => {
+    if (node?.type === 'PostfixExpression' && node.operator in POSTFIX_FUNCTIONS) {
+      if (containsSymbols(node.operand)) {
+        const name = `postfix${latexByName.size}`;
+        latexByName.set(name, `${factorialOperandToLatex(node.operand)}${node.operator}`);
+        return { type: 'Identifier', value: name };
+      }
+      try {
+        const value = math.evaluate(astToString(node));
+        if (Number.isSafeInteger(value)) {
+          return { type: 'NumberLiteral', value: String(value) };
+        }
+      } catch (e) {
+        console.error("Factorial evaluation error:", e);
+      }
+    }
+    return mapChildNodes(node, replace);
+  };
+  return { ast: replace(ast), latexByName };
+}
+
+/**
+ * nerdamer の LaTeX の置き換え用の変数を階乗の LaTeX に戻す関数
+ */
+function restoreFactorials(latex, latexByName) {
+  return latex.replace(/\bpostfix\d+\b/g, name => `{${latexByName.get(name)}}`);
+}
+
+/**
+ * 階乗の対象の式を LaTeX 形式に変換する関数（変数1文字以外は括弧で囲む）
+ */
+function factorialOperandToLatex(operand) {
+  const inner = operand.type === 'ParenthesizedExpression' ? operand.expression : operand;
+  const { ast, latexByName } = extractFactorials(inner);
+  const latex = restoreFactorials(getNerdamer()(astToString(ast)).toTeX(), latexByName);
+  return ['Identifier', 'Subscript'].includes(inner.type) ? latex : `\\left(${latex}\\right)`;
+}
+
 /**
  * 二項演算子の優先順位を返す関数
  * @param {string} operator - 演算子
@@ -90,9 +312,13 @@ function getOperatorPrecedence(operator) {
   const precedence = {
     '=': 1,
     '<': 2, '>': 2, '<=': 2, '>=': 2, '!=': 2,
-    '+': 3, '-': 3,
-    '*': 4, '/': 4,
-    '^': 5
+    'or': 3,
+    'xor': 4,
+    'and': 5,
+    '<<': 6, '>>': 6,
+    '+': 7, '-': 7,
+    '*': 8, '/': 8, '∠': 8,
+    '^': 9
   };
   
   return precedence[operator] || 0;
@@ -106,6 +332,11 @@ function getOperatorPrecedence(operator) {
  * @returns {boolean} - 括弧が必要な場合は true
  */
 function needsParentheses(childNode, parentNode, position) {
+  // 単項演算子は累乗より弱く結合するため、累乗の底の -x は括弧で囲む（(-2)^2）
+  if (childNode?.type === 'UnaryExpression') {
+    return parentNode.operator === '^' && position === 'left';
+  }
+  
   // 子ノードが二項演算式でない場合は括弧不要
   if (!childNode || childNode.type !== 'BinaryExpression') {
     return false;
@@ -147,6 +378,201 @@ function needsParenthesesForUnary(node) {
          node.type === 'AssignmentExpression';
 }
 
+// 変数ではなく定数として扱う識別子（astToString で値に置き換える τ = 2π と黄金比 φ を含む）
+const CONSTANT_NAMES = ['e', 'pi', 'π', 'i', 'Infinity', 'tau', 'phi'];
+
+/**
+ * ノードの子ノードを配列で返す関数
+ * @param {Object} node - 抽象構文木のノード
+ * @returns {Array} - 子ノードの配列
+ */
+function getChildNodes(node) {
+  if (!node) return [];
+  
+  switch (node.type) {
+    case 'BinaryExpression':
+    case 'ComparisonExpression':
+    case 'AssignmentExpression':
+      return [node.left, node.right];
+    case 'UnaryExpression':
+    case 'PostfixExpression':
+      return [node.operand];
+    case 'UnitConversion':
+      return [node.expression];
+    case 'FunctionCall':
+      return node.arguments;
+    case 'ParenthesizedExpression':
+      return [node.expression];
+    case 'ArrayExpression':
+      return node.elements;
+    case 'MatrixExpression':
+      return node.rows.flat();
+    case 'Limit':
+      return [node.target, node.body];
+    case 'Derivative':
+      return node.point ? [node.body, node.point.value] : [node.body];
+    case 'Integral':
+      return [node.body, node.lower, node.upper].filter(Boolean);
+    case 'EquationSystem':
+      return node.equations;
+    case 'FunctionDefinition':
+      return [node.body];
+    default:
+      return [];
+  }
+}
+
+/**
+ * 子ノードを変換した新しいノードを返す関数（元のノードは変更しない）
+ * @param {Object} node - 抽象構文木のノード
+ * @param {Function} transform - 子ノードを変換する関数
+ * @returns {Object} - 新しいノード
+ */
+function mapChildNodes(node, transform) {
+  if (!node) return node;
+  
+  switch (node.type) {
+    case 'BinaryExpression':
+    case 'ComparisonExpression':
+    case 'AssignmentExpression':
+      return { ...node, left: transform(node.left), right: transform(node.right) };
+    case 'UnaryExpression':
+    case 'PostfixExpression':
+      return { ...node, operand: transform(node.operand) };
+    case 'UnitConversion':
+      return { ...node, expression: transform(node.expression) };
+    case 'FunctionCall':
+      return { ...node, arguments: node.arguments.map(transform) };
+    case 'ParenthesizedExpression':
+      return { ...node, expression: transform(node.expression) };
+    case 'ArrayExpression':
+      return { ...node, elements: node.elements.map(transform) };
+    case 'MatrixExpression':
+      return { ...node, rows: node.rows.map(row => row.map(transform)) };
+    case 'Limit':
+      return { ...node, target: transform(node.target), body: transform(node.body) };
+    case 'Derivative':
+      return {
+        ...node,
+        body: transform(node.body),
+        point: node.point && { ...node.point, value: transform(node.point.value) }
+      };
+    case 'Integral':
+      return {
+        ...node,
+        body: transform(node.body),
+        lower: node.lower && transform(node.lower),
+        upper: node.upper && transform(node.upper)
+      };
+    case 'EquationSystem':
+      return { ...node, equations: node.equations.map(transform) };
+    case 'FunctionDefinition':
+      return { ...node, body: transform(node.body) };
+    default:
+      return { ...node };
+  }
+}
+
+/**
+ * 式に含まれる極限・微分・積分を計算した値に置き換える関数（内側にあるものから計算する）
+ * 極限は evaluateLimitToLatex と同じく向きを考慮し、数値的な推定と照合した値を使う
+ * @param {Object} node - 抽象構文木のノード
+ * @returns {Object} - 置き換えた新しい抽象構文木
+ */
+function evaluateCalculusNodes(node) {
+  if (!node) return node;
+  
+  const evaluated = mapChildNodes(node, evaluateCalculusNodes);
+  let text;
+  switch (evaluated.type) {
+    case 'Limit':
+      text = limitToString(evaluated);
+      break;
+    case 'Derivative':
+      text = computeDerivative(evaluated).text('fractions');
+      break;
+    case 'Integral':
+      text = integralToString(evaluated);
+      break;
+    default:
+      return evaluated;
+  }
+  return { type: 'ParenthesizedExpression', expression: engineTextToAst(text) };
+}
+
+/**
+ * 式に含まれる自由変数（定数や極限の変数など束縛された変数を除く）を集める関数
+ * @param {Object} node - 抽象構文木のノード
+ * @param {Set} variables - 変数名を追加する集合
+ * @returns {Set} - 変数名の集合
+ */
+function collectFreeVariables(node, variables = new Set()) {
+  if (!node) return variables;
+  
+  switch (node.type) {
+    case 'Identifier':
+      if (!CONSTANT_NAMES.includes(node.value)) {
+        variables.add(node.value);
+      }
+      return variables;
+      
+    case 'Subscript':
+      variables.add(node.name);
+      return variables;
+      
+    case 'Limit':
+      // 極限の変数は本体の中で束縛される
+      const bodyVariables = collectFreeVariables(node.body);
+      bodyVariables.delete(node.variable);
+      bodyVariables.forEach(name => variables.add(name));
+      return collectFreeVariables(node.target, variables);
+      
+    case 'Derivative':
+      // 評価点の変数は値が代入されるため残らない
+      const derivativeVariables = collectFreeVariables(node.body);
+      if (node.point) {
+        derivativeVariables.delete(node.point.variable);
+        collectFreeVariables(node.point.value, derivativeVariables);
+      }
+      derivativeVariables.forEach(name => variables.add(name));
+      return variables;
+      
+    case 'Integral':
+      // 定積分の積分変数は本体の中で束縛される（不定積分の結果には積分変数が残る）
+      const integrandVariables = collectFreeVariables(node.body);
+      if (node.lower) {
+        integrandVariables.delete(node.variable);
+      }
+      integrandVariables.forEach(name => variables.add(name));
+      collectFreeVariables(node.lower, variables);
+      return collectFreeVariables(node.upper, variables);
+      
+    case 'PostfixExpression':
+      // 行列以外の ^T は変数 T の累乗とする
+      if (node.operator === 'T' && !isTransposeNode(node)) {
+        variables.add('T');
+      }
+      return collectFreeVariables(node.operand, variables);
+      
+    default:
+      getChildNodes(node).forEach(child => collectFreeVariables(child, variables));
+      return variables;
+  }
+}
+
+/**
+ * 式が指定した関数の呼び出しを含むかどうか
+ * @param {Object} node - 抽象構文木のノード
+ * @param {Array} names - 関数名の配列
+ */
+function containsFunction(node, names) {
+  if (!node) return false;
+  if (node.type === 'FunctionCall' && names.includes(node.name)) {
+    return true;
+  }
+  return getChildNodes(node).some(child => containsFunction(child, names));
+}
+
 /**
  * 記号（変数）を含むかチェックする関数
  * @param {Object} node - 抽象構文木のノード
@@ -158,10 +584,7 @@ function containsSymbols(node) {
   switch (node.type) {
     case 'Identifier':
       // 既知の定数以外の識別子は変数とみなす
-      const isVariable = node.value !== 'e' && 
-                         node.value !== 'pi' && 
-                         node.value !== 'π' && 
-                         node.value !== 'i';
+      const isVariable = !CONSTANT_NAMES.includes(node.value);
       
       // 変数を検出した場合はログ出力
       if (isVariable) {
@@ -169,6 +592,18 @@ function containsSymbols(node) {
       }
       
       return isVariable;
+      
+    case 'Subscript':
+      return true;
+      
+    case 'Limit':
+      // limit 関数を計算できるのは nerdamer のみ
+      return true;
+      
+    case 'Derivative':
+    case 'Integral':
+      // 導関数や積分は計算済みの式に置き換わるため、変数が残るかどうかで判定する
+      return collectFreeVariables(node).size > 0;
              
     case 'BinaryExpression':
     case 'ComparisonExpression':
@@ -180,6 +615,13 @@ function containsSymbols(node) {
     case 'UnaryExpression':
       return containsSymbols(node.operand);
       
+    case 'PostfixExpression':
+      // 行列以外の ^T は変数 T の累乗とする
+      return (node.operator === 'T' && !isTransposeNode(node)) || containsSymbols(node.operand);
+      
+    case 'UnitConversion':
+      return containsSymbols(node.expression);
+      
     case 'FunctionCall':
       return node.arguments.some(containsSymbols);
       
@@ -323,6 +765,50 @@ function getNerdamer() {
   return null;
 }
 
+/**
+ * nerdamer で式を展開・単純化する関数
+ * （nerdamer の simplify は sin(x*pi/180) の π を有理数の近似値に置き換えてしまうため、π が消えた場合は展開した式を使う）
+ * @param {Function} nerdamerInstance - nerdamer
+ * @param {string} exprStr - 式の文字列表現
+ * @returns {string} - 分数形式の結果の文字列
+ */
+function simplifyWithNerdamer(nerdamerInstance, exprStr) {
+  const expanded = nerdamerInstance(exprStr).expand();
+  let simplified = expanded.simplify();
+  if (expanded.text().includes('pi') && !simplified.text().includes('pi')) {
+    simplified = expanded;
+  }
+  return simplified.text('fractions');
+}
+
+/**
+ * 変数（パラメータ）に検算用の値を割り当てる関数
+ * 記号計算の結果を数値計算と照合するときに使う（0, 1 のような特別な値を避け、変数ごとに異なる値にする）
+ * @param {Iterable} names - 変数名
+ * @returns {Object} - 変数名 → 値
+ */
+function createSampleScope(names) {
+  const scope = {};
+  [...names].forEach((name, i) => {
+    scope[name] = 0.7 + 0.37 * i;
+  });
+  return scope;
+}
+
+/**
+ * nerdamer の記号計算の結果を数値に変換する関数
+ * @param {string} result - nerdamer の結果
+ * @param {Object} scope - 変数に代入する値
+ * @returns {number} - 数値（変換できない場合は NaN）
+ */
+function symbolicResultToNumber(result, scope) {
+  try {
+    return Number(getNerdamer()(result, scope).evaluate().text('decimals'));
+  } catch (e) {
+    return NaN;
+  }
+}
+
 // 初期化時にnerdamerの可用性をチェック
 console.log("Checking nerdamer availability on script load...");
 setTimeout(() => {
@@ -332,16 +818,82 @@ setTimeout(() => {
 /**
  * 抽象構文木を評価してLaTeX形式に変換する関数
  * @param {Object} ast - 抽象構文木
+ * @param {Object} options - 表示形式（displayMode: 'decimal' / 'fraction'）、帯分数で表示するかどうか（mixedNumber）、
+ *                           数値の表示設定（format、formatNumber.js を参照）、角度の単位（angleMode: 'deg' / 'rad' / 'grad'）
  * @returns {Object} - 計算エンジンと結果のLaTeX表現
  */
-function evaluateExpressionToLatex(ast) {
+function evaluateExpressionToLatex(ast, options = {}) {
+  // 極限・微分・積分は先に計算して値に置き換える
+  // （式全体が極限・微分・積分の場合は、その中に含まれるものだけを置き換えて専用の評価関数で計算する）
+  let expression;
+  try {
+    expression = ['Limit', 'Derivative', 'Integral'].includes(ast?.type)
+      ? mapChildNodes(ast, evaluateCalculusNodes)
+      : evaluateCalculusNodes(ast);
+  } catch (e) {
+    console.error("Calculus evaluation error:", e);
+    return { engine: 'math.js', latex: 'エラー: ' + e.message };
+  }
+  
+  // 極限は専用の評価関数で計算する
+  // （記号計算は弧度法のため、DEG / GRAD モードでは三角関数を含む結果に「ラジアン」と表示する）
+  if (ast && ast.type === 'Limit') {
+    return labelRadianResult(evaluateLimitToLatex(expression), ast, options.angleMode);
+  }
+  
+  // 微分も専用の評価関数で計算する
+  if (ast && ast.type === 'Derivative') {
+    return labelRadianResult(evaluateDerivativeToLatex(expression), ast, options.angleMode);
+  }
+  
+  // 積分も専用の評価関数で計算する
+  if (ast && ast.type === 'Integral') {
+    return labelRadianResult(evaluateIntegralToLatex(expression), ast, options.angleMode);
+  }
+  
+  // 単位は数値の計算でのみ扱えるため、文字を含む式（方程式を含む）では使えない（nerdamer では単位が文字列になる）
+  if (containsUnit(expression) && containsSymbols(expression)) {
+    return { engine: 'math.js', latex: 'エラー: 単位は文字を含む式には使えません' };
+  }
+  
+  // 変数を含む等式は方程式として解く
+  // （未定義の変数への代入で右辺にその変数を含むもの x = x^2 - 2 も方程式とする）
+  const isEquation = expression && (
+    (expression.type === 'ComparisonExpression' && expression.operator === '=') || 
+    expression.type === 'AssignmentExpression'
+  );
+  if (expression && (expression.type === 'EquationSystem' || (isEquation && containsSymbols(expression)))) {
+    return labelRadianResult(evaluateEquationToLatex(expression), ast, options.angleMode);
+  }
+  
+  // 固有値・LU 分解・QR 分解は結果が複数の行列になるため式全体としてのみ計算する
+  if (isMatrixDecomposition(expression)) {
+    return evaluateMatrixDecompositionToLatex(expression, options);
+  }
+  if (containsFunction(expression, MATRIX_DECOMPOSITIONS)) {
+    return { engine: 'math.js', latex: 'エラー: 固有値・LU 分解・QR 分解は式の一部には使えません' };
+  }
+  
+  // 統計の要約・回帰も結果が複数の値になるため式全体としてのみ計算する
+  if (isStatisticsSummary(expression)) {
+    return evaluateStatisticsSummaryToLatex(expression, options);
+  }
+  if (containsFunction(expression, STATISTICS_SUMMARIES)) {
+    return { engine: 'math.js', latex: 'エラー: 統計の要約・回帰は式の一部には使えません' };
+  }
+  
   try {
-    // ASTを文字列に変換
-    const exprStr = astToString(ast);
-    console.log("Expression string:", exprStr);
-    
     // 変数を含むかチェック
-    const hasVariables = containsSymbols(ast);
+    const hasVariables = containsSymbols(expression);
+    
+    // 変数を含む行列は要素ごとに nerdamer で計算する
+    if (hasVariables && containsMatrix(expression) && isNerdamerAvailable()) {
+      return labelRadianResult(evaluateSymbolicMatrixToLatex(expression), ast, options.angleMode);
+    }
+    
+    // ASTを文字列に変換（数値計算では三角関数・度の記号を角度の単位に合わせて書き換える）
+    const exprStr = astToString(hasVariables ? expression : applyAngleMode(expression, options.angleMode));
+    console.log("Expression string:", exprStr);
     
     // 数式に文字が含まれる場合はnerdamerを使用（利用可能な場合）
     if (hasVariables && isNerdamerAvailable()) {
@@ -354,36 +906,32 @@ function evaluateExpressionToLatex(ast) {
           throw new Error("Nerdamer is not available");
         }
         
-        // nerdamerを使用して代数的計算を実行
-        const nerdamerExpr = nerdamerInstance(exprStr);
-        
-        // 式を展開
-        const expanded = nerdamerExpr.expand();
-        console.log("Expanded expression:", expanded.text());
-        
-        // 式を単純化
-        const simplified = expanded.simplify();
-        console.log("Simplified expression:", simplified.text());
+        // nerdamer は re, im, conj を変数の積として扱ってしまうため math.js で計算する
+        if (containsFunction(expression, COMPLEX_PART_FUNCTIONS)) {
+          throw new Error("Complex part functions are not supported by nerdamer");
+        }
         
-        // 分数形式で結果を取得
-        const result = simplified.text('fractions');
+        // nerdamerを使用して代数的計算（展開・単純化）を実行し、分数形式で結果を取得
+        // 階乗は置き換え用の変数にして単純化し、LaTeX に戻す
+        const { ast: factorialFree, latexByName } = extractFactorials(expression);
+        const result = simplifyWithNerdamer(nerdamerInstance, astToString(factorialFree));
         console.log("Final nerdamer result:", result);
         
         // 結果をLaTeX形式に変換
         let latex;
         try {
           // nerdamerでLaTeX形式に変換
-          latex = nerdamerInstance(result).toTeX();
+          latex = restoreFactorials(nerdamerInstance(result).toTeX(), latexByName);
         } catch (latexError) {
           console.error("Error converting to LaTeX with nerdamer:", latexError);
           // 変換に失敗した場合はmath.jsを使用
-          latex = math.parse(result).toTex({ 
+          latex = restoreFactorials(math.parse(result).toTex({ 
             parenthesis: 'keep', 
             implicit: 'show' 
-          });
+          }), latexByName);
         }
         
-        return { engine: 'nerdamer', latex: `\\displaystyle ${latex}` };
+        return labelRadianResult({ engine: 'nerdamer', latex: `\\displaystyle ${latex}` }, ast, options.angleMode);
       } catch (nerdamerError) {
         console.error("Nerdamer calculation error:", nerdamerError);
         
@@ -398,7 +946,7 @@ function evaluateExpressionToLatex(ast) {
             implicit: 'show' 
           });
           
-          return { engine: 'math.js', latex: `\\displaystyle ${latex}` };
+          return labelRadianResult({ engine: 'math.js', latex: `\\displaystyle ${latex}` }, ast, options.angleMode);
         } catch (mathSimplifyError) {
           console.error("Math.js simplify error:", mathSimplifyError);
           
@@ -408,48 +956,33 @@ function evaluateExpressionToLatex(ast) {
             implicit: 'show' 
           });
           
-          return { engine: 'math.js', latex: `\\displaystyle ${latex}` };
+          return labelRadianResult({ engine: 'math.js', latex: `\\displaystyle ${latex}` }, ast, options.angleMode);
         }
       }
     } else {
+      // 分数表示では有理数や平方根を含む厳密な値で表示する（厳密に表せない場合は小数で表示）
+      if (options.displayMode === 'fraction') {
+        const exactResult = evaluateFractionToLatex(exprStr, options);
+        if (exactResult) {
+          return { engine: exactResult.engine, latex: `\\displaystyle ${exactResult.latex}` };
+        }
+      }
+      
       // 数字のみの場合はmath.jsを使用
       console.log("Expression contains only numbers, using math.js");
       
-      // math.jsで計算を実行
-      const result = math.evaluate(exprStr);
+      // math.jsで計算を実行（DEG / GRAD モードでは直角の整数倍で厳密な値を返す三角関数を使う）
+      // 丸め誤差だけの値（\sin\pi）は 0 にする
+      const result = removeRoundingNoise(math.evaluate(exprStr, angleModeScope(options.angleMode)), exprStr);
       console.log("Math.js calculation result:", result);
       
       // 結果をLaTeX形式に変換
       let latex;
       
-      if (typeof result === 'number') {
-        // 数値結果の場合
-        latex = result.toString();
-        
-        // 小数点以下が長い場合は丸める
-        if (latex.includes('.') && latex.length > 10) {
-          const rounded = math.round(result, 6);
-          latex = rounded.toString();
-        }
-      } else if (math.typeof(result) === 'Matrix') {
-        // 行列結果の場合
-        latex = '\\begin{pmatrix}';
-        
-        // 行列の各行を処理
-        const size = result.size();
-        for (let i = 0; i < size[0]; i++) {
-          const row = [];
-          for (let j = 0; j < size[1]; j++) {
-            row.push(result.get([i, j]));
-          }
-          latex += row.join(' & ');
-          
-          if (i < size[0] - 1) {
-            latex += ' \\\\';
-          }
-        }
-        
-        latex += '\\end{pmatrix}';
+      // 数値・複素数・行列は表示設定（桁数・表記）に従って変換する
+      const formatted = formatValueToLatex(result, { ...options.format, angleMode: options.angleMode });
+      if (formatted !== null) {
+        latex = formatted;
       } else {
         // その他の型の結果の場合
         latex = math.parse(result.toString()).toTex({ 
@@ -462,6 +995,7 @@ function evaluateExpressionToLatex(ast) {
     }
   } catch (e) {
     console.error("Calculation error:", e);
-    return { engine: 'math.js', latex: 'エラー: ' + e.message };
+    // 行列の大きさや単位の次元が合わない場合などのエラーは日本語のメッセージにする
+    return { engine: 'math.js', latex: 'エラー: ' + (localizeMatrixError(e) || localizeUnitError(e)) };
   }
 }
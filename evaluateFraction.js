@@ -0,0 +1,194 @@
+/**
+ * 分数表示の評価
+ * 数値だけの式を math.js の Fraction による有理数演算で厳密に計算し、\frac{1}{2} の形で表示します
+ * 有理数にならない式は nerdamer で平方根や π を含む厳密な値（\frac{\sqrt{2}}{2} など）を求めます
+ */
+
+// 厳密な値の表示に使ってよい nerdamer の関数名・定数名
+const EXACT_VALUE_SYMBOLS = ['sqrt', 'pi', 'e', 'i'];
+
+// 厳密な値と math.js の近似値が一致するとみなす相対誤差
+const EXACT_VALUE_TOLERANCE = 1e-9;
+
+// 丸め誤差だけの値かどうかを確かめる計算結果の大きさ（これより絶対値の小さい実数は厳密な値が 0 か確かめる）
+const ROUNDING_NOISE_LIMIT = 1e-12;
+
+/**
+ * 有理数を LaTeX 形式に変換する関数
+ * @param {bigint} numerator - 分子（符号付き）
+ * @param {bigint} denominator - 分母（正の値）
+ * @param {boolean} mixedNumber - 仮分数を帯分数（3\frac{1}{2}）で表示するかどうか
+ * @returns {string} - LaTeX 形式の文字列
+ */
+function rationalToLatex(numerator, denominator, mixedNumber) {
+  if (denominator === 1n) {
+    return numerator.toString();
+  }
+
+  const sign = numerator < 0n ? '-' : '';
+  const absolute = numerator < 0n ? -numerator : numerator;
+  if (mixedNumber && absolute > denominator) {
+    return `${sign}${absolute / denominator}\\frac{${absolute % denominator}}{${denominator}}`;
+  }
+  return `${sign}\\frac{${absolute}}{${denominator}}`;
+}
+
+/**
+ * Fraction の分子・分母が倍精度浮動小数点数で正確に表せる範囲にあるかどうか
+ * （範囲を超えると Fraction の計算は丸められてしまう）
+ */
+function isExactFraction(value) {
+  return math.typeOf(value) === 'Fraction' && Number.isSafeInteger(value.n) && Number.isSafeInteger(value.d);
+}
+
+/**
+ * Fraction を LaTeX 形式に変換する関数
+ */
+function fractionToLatex(value, mixedNumber) {
+  return rationalToLatex(BigInt(value.s * value.n), BigInt(value.d), mixedNumber);
+}
+
+/**
+ * Fraction を要素とする行列を LaTeX 形式に変換する関数（1次元の配列は1列の行列として表示する）
+ */
+function fractionMatrixToLatex(matrix, mixedNumber) {
+  const rows = matrix.toArray().map(row =>
+    (Array.isArray(row) ? row : [row]).map(value => fractionToLatex(value, mixedNumber)).join(' & ')
+  );
+  return `\\begin{pmatrix}${rows.join(' \\\\ ')}\\end{pmatrix}`;
+}
+
+/**
+ * 式を有理数演算で計算する関数
+ * 数値の定数を Fraction に置き換えてから評価する（0.1 も 1/10 として厳密に扱う）
+ * @param {string} exprStr - 式の文字列表現
+ * @returns {Object|null} - Fraction または Fraction を要素とする行列（厳密に計算できない場合は null）
+ */
+function evaluateRational(exprStr) {
+  let result;
+  try {
+    result = math.parse(exprStr)
+      .transform(node => node.isConstantNode && typeof node.value === 'number'
+        ? new math.ConstantNode(math.fraction(String(node.value)))
+        : node)
+      .evaluate();
+  } catch (e) {
+    // 平方根や π など有理数にならない計算を含む場合
+    console.log("Rational calculation failed:", e.message);
+    return null;
+  }
+
+  if (isExactFraction(result)) {
+    return result;
+  }
+  if (math.typeOf(result) === 'Matrix' && result.toArray().flat(Infinity).every(isExactFraction)) {
+    return result;
+  }
+  return null;
+}
+
+/**
+ * 分母の 1/√n を √n/n に書き換える関数（nerdamer は有理化しないため）
+ * @param {string} text - nerdamer の式の文字列
+ * @returns {string} - 書き換えた式の文字列
+ */
+function rationalizeDenominator(text) {
+  return text.replace(/sqrt\((\d+)\)\^\(-1\)/g, '(sqrt($1)/$1)');
+}
+
+/**
+ * nerdamer で平方根や π を含む厳密な値を求める関数
+ * nerdamer の結果は math.js の近似値と一致する場合だけ採用する
+ * @param {string} exprStr - 式の文字列表現
+ * @param {Object} options - 帯分数で表示するかどうか（mixedNumber）
+ * @returns {Object|null} - 計算エンジンと結果の LaTeX 表現（厳密な値にならない場合は null）
+ */
+function evaluateExactValue(exprStr, options) {
+  const exact = exactValueText(exprStr);
+  if (!exact) {
+    return null;
+  }
+
+  // 有理数は桁数の多い分子・分母もそのまま表示する
+  const rational = /^(-?\d+)(?:\/(\d+))?$/.exec(exact);
+  if (rational) {
+    return {
+      engine: 'nerdamer',
+      latex: rationalToLatex(BigInt(rational[1]), BigInt(rational[2] || '1'), options.mixedNumber)
+    };
+  }
+  return { engine: 'nerdamer', latex: getNerdamer()(exact).toTeX() };
+}
+
+/**
+ * nerdamer で求めた厳密な値を nerdamer の式の文字列で返す関数
+ * @param {string} exprStr - 式の文字列表現
+ * @returns {string|null} - 厳密な値の文字列（厳密な値にならない場合は null）
+ */
+function exactValueText(exprStr) {
+  const nerdamerInstance = getNerdamer();
+  if (!nerdamerInstance) {
+    return null;
+  }
+
+  try {
+    const approximate = math.evaluate(exprStr);
+    if (!['number', 'Complex'].includes(math.typeOf(approximate))) {
+      return null;
+    }
+
+    const first = nerdamerInstance(exprStr).text('fractions');
+    const exact = nerdamerInstance(rationalizeDenominator(first)).text('fractions');
+
+    // 小数や sqrt・π 以外の関数（sin(1) など）が残る場合は厳密な値とみなさない
+    const symbols = exact.match(/[a-zA-Z]+/g) || [];
+    if (exact.includes('.') || symbols.some(symbol => !EXACT_VALUE_SYMBOLS.includes(symbol))) {
+      return null;
+    }
+
+    const value = math.evaluate(nerdamerInstance(exact).evaluate().text('decimals'));
+    const difference = math.abs(math.subtract(value, approximate));
+    if (!(difference <= EXACT_VALUE_TOLERANCE * Math.max(1, math.abs(approximate)))) {
+      console.log("Exact value does not match:", exact, approximate);
+      return null;
+    }
+    return exact;
+  } catch (e) {
+    console.error("Exact value calculation error:", e);
+    return null;
+  }
+}
+
+/**
+ * 計算結果が丸め誤差だけでできた値（RAD の \sin\pi = 1.2 \times 10^{-16}）なら 0 にする関数
+ * 絶対値が ROUNDING_NOISE_LIMIT より小さい実数は、nerdamer で求めた厳密な値が 0 の場合に 0 とする
+ * （10^{-16} のように厳密な値も小さい数はそのまま）
+ * @param {*} value - math.js の計算結果
+ * @param {string} exprStr - 式の文字列表現
+ * @returns {*} - 0 または元の値
+ */
+function removeRoundingNoise(value, exprStr) {
+  if (typeof value !== 'number' || value === 0 || !(Math.abs(value) < ROUNDING_NOISE_LIMIT)) {
+    return value;
+  }
+  return exactValueText(exprStr) === '0' ? 0 : value;
+}
+
+/**
+ * 数値だけの式を分数表示用に厳密に計算して LaTeX 形式に変換する関数
+ * @param {string} exprStr - 式の文字列表現
+ * @param {Object} options - 帯分数で表示するかどうか（mixedNumber）
+ * @returns {Object|null} - 計算エンジンと結果の LaTeX 表現（厳密に表せない場合は null）
+ */
+function evaluateFractionToLatex(exprStr, options = {}) {
+  const rational = evaluateRational(exprStr);
+
+  if (rational && math.typeOf(rational) === 'Matrix') {
+    return { engine: 'math.js', latex: fractionMatrixToLatex(rational, options.mixedNumber) };
+  }
+  if (rational) {
+    return { engine: 'math.js', latex: fractionToLatex(rational, options.mixedNumber) };
+  }
+
+  return evaluateExactValue(exprStr, options);
+}
@@ -0,0 +1,404 @@
+/**
+ * 積分の評価
+ * nerdamer の integrate で原始関数を求め、定積分は原始関数に上限・下限を代入して計算します（無限区間は原始関数の極限を使います）
+ * 閉じた形で求まらない場合は、適応型ガウス・クロンロッド求積で数値的に計算します
+ */
+
+// 数値積分で収束したとみなす相対誤差と絶対誤差
+const INTEGRAL_RELATIVE_TOLERANCE = 1e-10;
+const INTEGRAL_ABSOLUTE_TOLERANCE = 1e-12;
+
+// 区間の分割回数の上限に達したとき、結果として採用できる相対誤差
+const INTEGRAL_ACCEPTABLE_ERROR = 1e-6;
+
+// 区間を分割する回数の上限
+const INTEGRAL_MAX_SUBDIVISIONS = 500;
+
+// 原始関数に ±∞ を代入したときに nerdamer が簡約しない値
+const INFINITE_BOUND_VALUES = [
+  ['atan(Infinity)', '(pi/2)'],
+  ['atan(-Infinity)', '(-pi/2)'],
+  ['erf(Infinity)', '1'],
+  ['erf(-Infinity)', '(-1)'],
+  ['e^(-Infinity)', '0']
+];
+
+// 原始関数の ±∞ での極限を 0 と判定するために代入する大きな値と、0 とみなす大きさ
+const INFINITE_BOUND_SAMPLES = [1e6, 1e9, 1e12];
+const INFINITE_BOUND_ZERO = 1e-6;
+
+// 7点ガウス・15点クロンロッド則の節点（正の側、最後が中心）と重み
+const KRONROD_NODES = [
+  0.991455371120812639206854697526329,
+  0.949107912342758524526189684047851,
+  0.864864423359769072789712788640926,
+  0.741531185599394439863864773280788,
+  0.586087235467691130294144845693013,
+  0.405845151377397166906606412076961,
+  0.207784955007898467600689403773245,
+  0
+];
+const KRONROD_WEIGHTS = [
+  0.022935322010529224963732008058970,
+  0.063092092629978553290700663189204,
+  0.104790010322250183839876322541518,
+  0.140653259715525918745189590510238,
+  0.169004726639267902826583426598550,
+  0.190350578064785409913256402421014,
+  0.204432940075298892414161999234649,
+  0.209482141084727828012999174891714
+];
+// ガウス則の重み（クロンロッド則の節点のうち奇数番目と中心に対応）
+const GAUSS_WEIGHTS = [
+  0.129484966168869693270611432679082,
+  0.279705391489276667901467771423780,
+  0.381830050505118944950369775488975,
+  0.417959183673469387755102040816327
+];
+
+/**
+ * 区間 [a, b] での7点ガウス・15点クロンロッド則
+ * 両者の差を誤差の推定値とする（端点では関数を評価しない）
+ * @returns {Object} - 積分値（value）と誤差の推定値（error）
+ */
+function gaussKronrod(f, a, b) {
+  const center = (a + b) / 2;
+  const halfLength = (b - a) / 2;
+  const centerValue = f(center);
+
+  let kronrod = centerValue * KRONROD_WEIGHTS[7];
+  let gauss = centerValue * GAUSS_WEIGHTS[3];
+  for (let j = 0; j < 7; j++) {
+    const offset = halfLength * KRONROD_NODES[j];
+    const sum = f(center - offset) + f(center + offset);
+    kronrod += KRONROD_WEIGHTS[j] * sum;
+    if (j % 2 === 1) {
+      gauss += GAUSS_WEIGHTS[(j - 1) / 2] * sum;
+    }
+  }
+
+  return {
+    value: kronrod * halfLength,
+    error: Math.abs((kronrod - gauss) * halfLength)
+  };
+}
+
+/**
+ * 無限区間の積分を有限区間 [0, 1] または [-1, 1] の積分に変数変換する関数
+ * @returns {Object} - 変換後の関数（f）と区間（a, b）
+ */
+function toFiniteInterval(f, a, b) {
+  if (Number.isFinite(a) && Number.isFinite(b)) {
+    return { f, a, b };
+  }
+  if (Number.isFinite(a)) {
+    // x = a + t / (1 - t)
+    return { f: t => f(a + t / (1 - t)) / ((1 - t) * (1 - t)), a: 0, b: 1 };
+  }
+  if (Number.isFinite(b)) {
+    // x = b - (1 - t) / t
+    return { f: t => f(b - (1 - t) / t) / (t * t), a: 0, b: 1 };
+  }
+  // x = t / (1 - t^2)
+  return { f: t => f(t / (1 - t * t)) * (1 + t * t) / ((1 - t * t) * (1 - t * t)), a: -1, b: 1 };
+}
+
+/**
+ * 適応型ガウス・クロンロッド求積
+ * 誤差の推定値が最も大きい区間を二等分することを、全体の誤差が許容値に収まるまで繰り返す
+ * @param {Function} f - 被積分関数（定義されない点では NaN を返す）
+ * @param {number} a - 下限（-Infinity も可）
+ * @param {number} b - 上限（Infinity も可）
+ * @returns {Object} - 積分値（value）、誤差の推定値（error）、収束したか（converged）
+ */
+function adaptiveQuadrature(f, a, b) {
+  if (a === b) {
+    return { value: 0, error: 0, converged: true };
+  }
+  if (a > b) {
+    const result = adaptiveQuadrature(f, b, a);
+    return { ...result, value: -result.value };
+  }
+
+  const interval = toFiniteInterval(f, a, b);
+  const segments = [{ a: interval.a, b: interval.b, ...gaussKronrod(interval.f, interval.a, interval.b) }];
+  let value = segments[0].value;
+  let error = segments[0].error;
+
+  for (let i = 0; i < INTEGRAL_MAX_SUBDIVISIONS; i++) {
+    if (!Number.isFinite(value) || !Number.isFinite(error)) {
+      return { value: NaN, error: Infinity, converged: false };
+    }
+    if (error <= Math.max(INTEGRAL_ABSOLUTE_TOLERANCE, INTEGRAL_RELATIVE_TOLERANCE * Math.abs(value))) {
+      return { value, error, converged: true };
+    }
+
+    // 誤差の最も大きい区間を二等分する
+    let worst = 0;
+    segments.forEach((segment, k) => {
+      if (segment.error > segments[worst].error) worst = k;
+    });
+    const segment = segments.splice(worst, 1)[0];
+    const middle = (segment.a + segment.b) / 2;
+    const left = { a: segment.a, b: middle, ...gaussKronrod(interval.f, segment.a, middle) };
+    const right = { a: middle, b: segment.b, ...gaussKronrod(interval.f, middle, segment.b) };
+    segments.push(left, right);
+
+    value = segments.reduce((sum, s) => sum + s.value, 0);
+    error = segments.reduce((sum, s) => sum + s.error, 0);
+  }
+
+  return { value, error, converged: false };
+}
+
+/**
+ * 定積分を数値的に計算する関数
+ * @param {Object} node - Integral ノード
+ * @param {Object} scope - 積分変数以外の変数に代入する値
+ * @returns {Object} - 積分値（value）と誤差の推定値（error）
+ */
+function computeNumericIntegral(node, scope) {
+  const evaluateBound = bound => {
+    const value = math.evaluate(astToString(bound), scope);
+    if (typeof value !== 'number' || Number.isNaN(value)) {
+      throw new Error('積分の範囲は実数または \\infty で指定してください');
+    }
+    return value;
+  };
+  const lower = evaluateBound(node.lower);
+  const upper = evaluateBound(node.upper);
+
+  const compiled = math.compile(astToString(node.body));
+  const f = x => {
+    const value = compiled.evaluate({ ...scope, [node.variable]: x });
+    return typeof value === 'number' ? value : NaN;
+  };
+
+  const result = adaptiveQuadrature(f, lower, upper);
+  console.log("Numeric integral result:", result);
+
+  const acceptable = INTEGRAL_ACCEPTABLE_ERROR * Math.max(1, Math.abs(result.value));
+  if (Number.isNaN(result.value) || (!result.converged && result.error > acceptable)) {
+    throw new Error('積分が収束しませんでした（発散するか、被積分関数が定義されない点があります）');
+  }
+  return result;
+}
+
+/**
+ * 原始関数を nerdamer で記号的に計算する関数
+ * @param {Object} node - Integral ノード
+ * @returns {Object|null} - nerdamer の式（閉じた形で求まらない場合は null）
+ */
+function computeAntiderivative(node) {
+  const nerdamerInstance = getNerdamer();
+  if (!nerdamerInstance) {
+    return null;
+  }
+
+  // 定義されていない関数は nerdamer が変数の積として扱ってしまうため先に弾く
+  const undefinedFunction = findUndefinedFunction(node.body);
+  if (undefinedFunction) {
+    throw new Error(`関数 ${undefinedFunction} が定義されていません`);
+  }
+
+  const antiderivative = nerdamerInstance.integrate(astToString(node.body), node.variable);
+  console.log("Nerdamer integrate result:", antiderivative.text('fractions'));
+
+  // 積分できなかった場合は integrate(...) がそのまま残る
+  return antiderivative.text().includes('integrate') ? null : antiderivative;
+}
+
+/**
+ * 定積分を原始関数に上限・下限を代入して記号的に計算する関数
+ * （nerdamer の defint は閉じた形で求まらないと数値計算の結果を有理数で近似して返すため、
+ *   原始関数が求まった場合のみ代入して計算する。±∞ は原始関数の極限を代入する）
+ * @param {Object} node - Integral ノード
+ * @returns {string|null} - 計算結果の文字列（求まらない場合は null）
+ */
+function computeSymbolicIntegral(node) {
+  const antiderivative = computeAntiderivative(node);
+  if (!antiderivative) {
+    return null;
+  }
+
+  // erf(0) や Si(0) のように値が 0 になる項は nerdamer が簡約しないため取り除く
+  // （nerdamer の erf は近似の精度が低いため、math.js で計算できる場合は math.js で判定する）
+  const isZero = value => {
+    try {
+      return math.evaluate(value) === 0;
+    } catch (e) {
+      return symbolicResultToNumber(value, {}) === 0;
+    }
+  };
+  const substitute = bound => {
+    if (containsInfinity(bound)) {
+      return infiniteBoundValue(antiderivative, node.variable, bound);
+    }
+    const value = antiderivative.sub(node.variable, `(${astToString(bound)})`).text('fractions');
+    return isZero(value) ? '0' : value;
+  };
+  const upper = substitute(node.upper);
+  const lower = substitute(node.lower);
+  if (upper === null || lower === null) {
+    return null;
+  }
+  const result = getNerdamer()(`(${upper})-(${lower})`).text('fractions');
+  console.log("Nerdamer definite integral result:", result);
+  return result;
+}
+
+/**
+ * 原始関数の ±∞ での極限を求める関数
+ * nerdamer の limit は e^(-x)*x のような式で誤った値を返すため使わず、
+ * ±∞ を代入して atan(Infinity) などの既知の値に置き換えるか、大きな値を代入して 0 に近づく場合は 0 とする
+ * @param {Object} antiderivative - 原始関数（nerdamer の式）
+ * @param {string} variable - 積分変数
+ * @param {Object} bound - ±∞ の上限または下限のノード
+ * @returns {string|null} - 極限の文字列（求まらない場合は null）
+ */
+function infiniteBoundValue(antiderivative, variable, bound) {
+  const sign = math.evaluate(astToString(bound)) > 0 ? 1 : -1;
+  try {
+    let text = antiderivative.sub(variable, sign > 0 ? 'Infinity' : '-Infinity').text('fractions');
+    INFINITE_BOUND_VALUES.forEach(([pattern, value]) => {
+      text = text.split(pattern).join(value);
+    });
+    if (!text.includes('Infinity')) {
+      return getNerdamer()(text).text('fractions');
+    }
+  } catch (e) {
+    // ∞/∞ などの不定形は nerdamer が例外を投げる
+    console.log("Substituting infinity failed:", e.message);
+  }
+
+  const expression = antiderivative.text();
+  const values = INFINITE_BOUND_SAMPLES.map(x => symbolicResultToNumber(expression, { [variable]: sign * x }));
+  return values.every(value => Math.abs(value) <= INFINITE_BOUND_ZERO) ? '0' : null;
+}
+
+/**
+ * 定積分の結果を計算する関数
+ * 記号計算の結果は、原始関数が積分区間内で不連続な場合（1/x^2 を -1 から 1 まで など）に誤るため、
+ * 数値積分の結果と一致する場合のみ採用する
+ * @param {Object} node - Integral ノード（定積分）
+ * @returns {Object} - 記号計算の結果（exact、求まらない場合は null）と数値積分の結果（numeric）
+ */
+function computeDefiniteIntegral(node) {
+  // 積分変数以外の変数（パラメータ）には確認用の値を代入して数値的に計算する
+  const parameters = collectFreeVariables(node);
+  const sampleScope = createSampleScope(parameters);
+
+  const numeric = computeNumericIntegral(node, sampleScope);
+
+  if (isNerdamerAvailable() && !containsPiecewiseFunction(node.body)) {
+    try {
+      const exact = computeSymbolicIntegral(node);
+      if (exact !== null) {
+        const value = symbolicResultToNumber(exact, sampleScope);
+        const tolerance = Math.max(
+          INTEGRAL_ACCEPTABLE_ERROR * Math.max(1, Math.abs(numeric.value)),
+          10 * numeric.error
+        );
+        if (Math.abs(value - numeric.value) <= tolerance) {
+          return { exact, numeric, parameters };
+        }
+      }
+    } catch (nerdamerError) {
+      console.error("Nerdamer integral error:", nerdamerError);
+    }
+  }
+
+  return { exact: null, numeric, parameters };
+}
+
+/**
+ * 式に \infty（Infinity）が含まれるかチェックする関数
+ */
+function containsInfinity(node) {
+  if (!node) return false;
+  if (node.type === 'Identifier' && node.value === 'Infinity') return true;
+  return getChildNodes(node).some(containsInfinity);
+}
+
+/**
+ * 積分を計算し、計算エンジン用の文字列に変換する関数（式の一部に含まれる積分用）
+ * @param {Object} node - Integral ノード
+ * @returns {string} - 計算結果の文字列
+ */
+function integralToString(node) {
+  if (!node.lower) {
+    const antiderivative = computeAntiderivative(node);
+    if (!antiderivative) {
+      throw new Error('不定積分を求められませんでした');
+    }
+    return antiderivative.text('fractions');
+  }
+
+  const { exact, numeric, parameters } = computeDefiniteIntegral(node);
+  if (exact !== null) {
+    return exact;
+  }
+  if (parameters.size > 0) {
+    throw new Error('積分を求められませんでした');
+  }
+  return numeric.value.toString();
+}
+
+/**
+ * 誤差の推定値を LaTeX の指数表記（3.1 \times 10^{-12}）に変換する関数
+ */
+function formatIntegralError(error) {
+  const [mantissa, exponent] = error.toExponential(1).split('e');
+  return `${mantissa} \\times 10^{${Number(exponent)}}`;
+}
+
+/**
+ * 積分を評価して LaTeX 形式に変換する関数
+ * 数値積分の結果は誤差の推定値も併せて表示する
+ * @param {Object} node - Integral ノード
+ * @returns {Object} - 計算エンジンと結果のLaTeX表現
+ */
+function evaluateIntegralToLatex(node) {
+  try {
+    // 不定積分は記号計算のみ
+    if (!node.lower) {
+      if (!isNerdamerAvailable()) {
+        throw new Error('不定積分の計算には nerdamer が必要です');
+      }
+      const antiderivative = computeAntiderivative(node);
+      if (!antiderivative) {
+        throw new Error('不定積分を閉じた形で求められませんでした');
+      }
+      return { engine: 'nerdamer', latex: `\\displaystyle ${antiderivative.toTeX()} + C` };
+    }
+
+    const { exact, numeric, parameters } = computeDefiniteIntegral(node);
+
+    if (exact !== null) {
+      let latex = getNerdamer()(exact).toTeX();
+      if (parameters.size === 0 && !/^-?\d+$/.test(exact)) {
+        latex += ` \\approx ${math.format(numeric.value, { precision: 10 })}`;
+      }
+      return { engine: 'nerdamer', latex: `\\displaystyle ${latex}` };
+    }
+
+    // 数値積分の結果（パラメータを含む場合は確認用の値での結果になるため使わない）
+    if (parameters.size > 0) {
+      throw new Error('積分を閉じた形で求められませんでした');
+    }
+
+    // 推定誤差から信頼できる有効桁数を決める
+    const relativeError = numeric.error / Math.max(Math.abs(numeric.value), Number.MIN_VALUE);
+    const precision = numeric.error > 0
+      ? Math.min(10, Math.max(1, Math.floor(-Math.log10(relativeError))))
+      : 10;
+    let latex = `\\approx ${math.format(numeric.value, { precision })}`;
+    if (numeric.error > 0) {
+      latex += ` \\pm ${formatIntegralError(numeric.error)}`;
+    }
+    return { engine: 'numeric', latex: `\\displaystyle ${latex}` };
+  } catch (e) {
+    console.error("Integral calculation error:", e);
+    return { engine: 'numeric', latex: 'エラー: ' + e.message };
+  }
+}
@@ -0,0 +1,345 @@
+/**
+ * 極限の評価
+ * nerdamer の limit で記号的に計算し、求まらない場合は数値的に左右の極限を推定します
+ * nerdamer の結果は誤ることがあるため、数値的な推定と一致するかも確認します
+ */
+
+// nerdamer の limit が停止しなくなることがある区分的な関数（これらを含む式は数値計算のみ）
+const PIECEWISE_FUNCTIONS = ['abs', 'floor', 'ceil', 'round', 'sign', 'fix', 'mod'];
+
+// 数値計算で収束したとみなす相対誤差
+const LIMIT_TOLERANCE = 1e-4;
+
+// 関数値の差がこれより小さくなったら収束域に入ったとみなす相対誤差
+const LIMIT_CONVERGENCE_REGION = 1e-3;
+
+// 左右の極限や記号計算の結果が一致したとみなす相対誤差
+const LIMIT_AGREEMENT_TOLERANCE = 1e-4;
+
+// 極限の変数に近づける点の数（10^-1 から 10^-16 まで）
+const LIMIT_SAMPLE_COUNT = 16;
+
+// 片側極限を記号的に計算する際の補助変数（x = a + h^2 と置き換える）
+const LIMIT_HELPER_VARIABLE = 'lim_h';
+
+/**
+ * 関数値の列から極限を推定する関数
+ * 隣り合う3点の差が最も小さい位置を収束値とし、差が縮まらずに単調に増え続ける場合は発散とみなす
+ * @param {Array} values - 極限の行き先に近づけたときの関数値の列
+ * @returns {Object} - kind（finite, infinite, outside, undefined）と推定値（value）、誤差（error）
+ */
+function classifyLimitSequence(values) {
+  if (values.every(value => Number.isNaN(value))) {
+    // 定義域の外（実数の範囲で値がない）
+    return { kind: 'outside' };
+  }
+
+  // 収束の判定
+  let best = null;
+  let reachedConvergenceRegion = false;
+  for (let k = 2; k < values.length; k++) {
+    const window = values.slice(k - 2, k + 1);
+    if (!window.every(Number.isFinite)) continue;
+
+    const error = Math.max(Math.abs(window[1] - window[0]), Math.abs(window[2] - window[1]));
+    if (!best || error < best.error) {
+      best = { value: window[2], error };
+    } else if (best.error <= LIMIT_CONVERGENCE_REGION * Math.max(1, Math.abs(best.value))) {
+      // 収束域を過ぎて桁落ちによる誤差が増え始めたら打ち切る（例: (1 - cos x) / x^2）
+      reachedConvergenceRegion = true;
+      break;
+    }
+  }
+
+  if (best && best.error <= LIMIT_TOLERANCE * Math.max(1, Math.abs(best.value))) {
+    // 誤差より小さい値は 0 とみなす
+    const value = Math.abs(best.value) <= best.error ? 0 : best.value;
+    return { kind: 'finite', value, error: best.error };
+  }
+  if (reachedConvergenceRegion) {
+    // 収束しかけた後の値の増大は桁落ちによるものなので発散とは判定しない
+    return { kind: 'undefined' };
+  }
+
+  // 発散の判定（末尾4点が同符号で絶対値が増え続け、増分が縮まらない）
+  const tail = values.slice(-4);
+  if (tail.every(value => value === Infinity) || tail.every(value => value === -Infinity)) {
+    return { kind: 'infinite', value: tail[0] };
+  }
+  if (tail.every(value => Number.isFinite(value) && Math.sign(value) === Math.sign(tail[0]) && value !== 0)) {
+    const magnitudes = tail.map(Math.abs);
+    const increments = magnitudes.slice(1).map((magnitude, i) => magnitude - magnitudes[i]);
+    const growing = increments.every((increment, i) =>
+      increment > 0 && (i === 0 || increment >= increments[i - 1] / 2)
+    );
+    if (growing) {
+      return { kind: 'infinite', value: Math.sign(tail[0]) * Infinity };
+    }
+  }
+
+  return { kind: 'undefined' };
+}
+
+/**
+ * 片側極限を数値的に推定する関数
+ * @param {Function} f - 極限をとる関数
+ * @param {number} target - 極限の行き先（±Infinity も可）
+ * @param {number} side - 近づける向き（右から: 1, 左から: -1）
+ * @returns {Object} - classifyLimitSequence の結果
+ */
+function estimateOneSidedLimit(f, target, side) {
+  const values = [];
+
+  for (let k = 1; k <= LIMIT_SAMPLE_COUNT; k++) {
+    const x = Number.isFinite(target)
+      ? target + side * Math.pow(10, -k) * Math.max(1, Math.abs(target))
+      : Math.sign(target) * Math.pow(10, k);
+
+    let y;
+    try {
+      y = f(x);
+    } catch (e) {
+      y = NaN;
+    }
+    // 複素数などの実数でない値は定義域の外とみなす
+    values.push(typeof y === 'number' ? y : NaN);
+  }
+
+  return classifyLimitSequence(values);
+}
+
+/**
+ * 極限を数値的に推定する関数
+ * 両側極限では左右の極限を比較し、一致しない場合は kind: 'disagree' を返す
+ * @param {Function} f - 極限をとる関数
+ * @param {number} target - 極限の行き先
+ * @param {string} direction - both, left, right のいずれか
+ * @returns {Object} - 推定結果
+ */
+function estimateLimit(f, target, direction) {
+  if (!Number.isFinite(target)) {
+    return estimateOneSidedLimit(f, target, -Math.sign(target));
+  }
+  if (direction === 'left') {
+    return estimateOneSidedLimit(f, target, -1);
+  }
+  if (direction === 'right') {
+    return estimateOneSidedLimit(f, target, 1);
+  }
+
+  const left = estimateOneSidedLimit(f, target, -1);
+  const right = estimateOneSidedLimit(f, target, 1);
+
+  // 片側が定義域の外なら、もう一方の極限とする（例: √x の x → 0）
+  if (left.kind === 'outside') return right;
+  if (right.kind === 'outside') return left;
+
+  if (left.kind === 'finite' && right.kind === 'finite') {
+    const scale = Math.max(1, Math.abs(left.value), Math.abs(right.value));
+    if (Math.abs(left.value - right.value) <= LIMIT_AGREEMENT_TOLERANCE * scale) {
+      return { kind: 'finite', value: right.value, error: Math.max(left.error, right.error) };
+    }
+    return { kind: 'disagree', left, right };
+  }
+  if (left.kind === 'infinite' && right.kind === 'infinite' && left.value === right.value) {
+    return right;
+  }
+  if (left.kind !== 'undefined' && right.kind !== 'undefined') {
+    return { kind: 'disagree', left, right };
+  }
+
+  return { kind: 'undefined' };
+}
+
+/**
+ * 式に区分的な関数が含まれるかチェックする関数
+ */
+function containsPiecewiseFunction(node) {
+  if (!node) return false;
+  if (node.type === 'FunctionCall' && PIECEWISE_FUNCTIONS.includes(node.name.replace('\\', ''))) {
+    return true;
+  }
+  return getChildNodes(node).some(containsPiecewiseFunction);
+}
+
+/**
+ * nerdamer で極限を記号的に計算する関数
+ * 片側極限は x = a ± h^2 と置き換えて h → 0 の極限として計算する
+ * @param {Object} node - Limit ノード
+ * @param {string} direction - both, left, right のいずれか
+ * @returns {string|null} - 結果の文字列（求まらない場合は null）
+ */
+function computeSymbolicLimit(node, direction) {
+  const nerdamerInstance = getNerdamer();
+  const body = astToString(node.body);
+  const target = astToString(node.target);
+
+  let expression;
+  if (direction === 'both') {
+    expression = `limit(${body},${node.variable},${target})`;
+  } else {
+    const sign = direction === 'right' ? '+' : '-';
+    const shifted = nerdamerInstance(body)
+      .sub(node.variable, `(${target})${sign}${LIMIT_HELPER_VARIABLE}^2`)
+      .toString();
+    expression = `limit(${shifted},${LIMIT_HELPER_VARIABLE},0)`;
+  }
+
+  const result = nerdamerInstance(expression).text('fractions');
+  console.log("Nerdamer limit result:", expression, "=>", result);
+
+  // 計算できなかった場合は limit(...) がそのまま残る
+  if (result.includes('limit') || result.includes(LIMIT_HELPER_VARIABLE)) {
+    return null;
+  }
+  // e^(-Infinity) のように ∞ を含む式が残った場合も採用しない
+  if (result.includes('Infinity') && result !== 'Infinity' && result !== '-Infinity') {
+    return null;
+  }
+  return result;
+}
+
+/**
+ * 記号計算の結果が数値的な推定と矛盾しないかチェックする関数
+ */
+function isConsistentWithEstimate(value, estimate) {
+  if (estimate.kind === 'finite') {
+    const tolerance = Math.max(
+      LIMIT_AGREEMENT_TOLERANCE * Math.max(1, Math.abs(estimate.value)),
+      10 * estimate.error
+    );
+    return Math.abs(value - estimate.value) <= tolerance;
+  }
+  if (estimate.kind === 'infinite') {
+    return value === estimate.value;
+  }
+  // 数値的に求まらない場合は記号計算の結果が有限値か ±∞ であれば採用する
+  return !Number.isNaN(value);
+}
+
+/**
+ * 極限の値を LaTeX 形式に変換する関数
+ * @param {number} value - 極限の値
+ * @param {number} error - 推定誤差（省略時は10桁で表示）
+ */
+function formatLimitValue(value, error = 0) {
+  if (value === Infinity) return '\\infty';
+  if (value === -Infinity) return '-\\infty';
+  
+  // 推定誤差から信頼できる有効桁数を決める
+  const relativeError = error / Math.max(Math.abs(value), Number.MIN_VALUE);
+  const precision = error > 0
+    ? Math.min(10, Math.max(1, Math.floor(-Math.log10(relativeError))))
+    : 10;
+  return math.format(value, { precision });
+}
+
+/**
+ * 左右の極限が一致しない場合の LaTeX 表現
+ * @param {Object} estimate - kind: 'disagree' の推定結果
+ * @param {boolean} showValues - 左右の極限の値を表示するか
+ */
+function formatLimitDisagreement(estimate, showValues) {
+  const message = '\\text{左右の極限が一致しないため、極限は存在しません}';
+  if (!showValues) {
+    return message;
+  }
+
+  const formatSide = side => side.kind === 'finite' || side.kind === 'infinite'
+    ? formatLimitValue(side.value)
+    : '\\text{不定}';
+  return `\\text{左極限} = ${formatSide(estimate.left)},\\quad ` +
+         `\\text{右極限} = ${formatSide(estimate.right)} \\\\ ${message}`;
+}
+
+/**
+ * 極限を計算する関数
+ * nerdamer の結果は数値的な推定と矛盾しない場合のみ採用し、求まらない場合は数値的な推定値を使う
+ * @param {Object} node - Limit ノード
+ * @returns {Object} - 計算エンジン（engine）、極限の値の文字列（value、存在しない場合は null）、
+ *                     数値的な推定（estimate）、パラメータを含むか（hasParameters）
+ */
+function computeLimit(node) {
+  // 極限の変数以外の変数（パラメータ）には確認用の値を代入して数値的に推定する
+  const parameters = collectFreeVariables(node.body);
+  parameters.delete(node.variable);
+  collectFreeVariables(node.target, parameters);
+  const sampleScope = createSampleScope(parameters);
+  const hasParameters = parameters.size > 0;
+
+  const target = math.evaluate(astToString(node.target), sampleScope);
+  if (typeof target !== 'number' || Number.isNaN(target)) {
+    throw new Error('極限の行き先は実数または \\infty で指定してください');
+  }
+
+  const compiled = math.compile(astToString(node.body));
+  const f = x => compiled.evaluate({ ...sampleScope, [node.variable]: x });
+  const estimate = estimateLimit(f, target, node.direction);
+  console.log("Numeric limit estimate:", estimate);
+
+  if (estimate.kind === 'disagree') {
+    return { engine: 'numeric', value: null, estimate, hasParameters };
+  }
+
+  // nerdamer による記号計算
+  if (isNerdamerAvailable() && !containsPiecewiseFunction(node.body)) {
+    try {
+      const result = computeSymbolicLimit(node, Number.isFinite(target) ? node.direction : 'both');
+      if (result !== null && isConsistentWithEstimate(symbolicResultToNumber(result, sampleScope), estimate)) {
+        return { engine: 'nerdamer', value: result, estimate, hasParameters };
+      }
+    } catch (nerdamerError) {
+      console.error("Nerdamer limit error:", nerdamerError);
+    }
+  }
+
+  // 数値的な推定値（パラメータを含む場合は確認用の値での推定になるため使わない）
+  // 有限の値は推定誤差から信頼できる桁までにする
+  if (!hasParameters && estimate.kind === 'infinite') {
+    return { engine: 'numeric', value: String(estimate.value), estimate, hasParameters };
+  }
+  if (!hasParameters && estimate.kind === 'finite') {
+    return { engine: 'numeric', value: formatLimitValue(estimate.value, estimate.error), estimate, hasParameters };
+  }
+
+  throw new Error('極限を求められませんでした');
+}
+
+/**
+ * 式の一部に含まれる極限を計算し、計算エンジンの式の文字列で返す関数
+ * @param {Object} node - Limit ノード
+ * @returns {string} - 極限の値の文字列
+ */
+function limitToString(node) {
+  const limit = computeLimit(node);
+  if (limit.value === null) {
+    throw new Error('左右の極限が一致しないため、極限は存在しません');
+  }
+  return limit.value;
+}
+
+/**
+ * 極限を評価して LaTeX 形式に変換する関数
+ * @param {Object} node - Limit ノード
+ * @returns {Object} - 計算エンジンと結果のLaTeX表現、極限の値の文字列（value、計算結果の保存に使う）
+ */
+function evaluateLimitToLatex(node) {
+  try {
+    const { engine, value, estimate, hasParameters } = computeLimit(node);
+
+    if (value === null) {
+      return {
+        engine,
+        latex: `\\displaystyle ${formatLimitDisagreement(estimate, !hasParameters)}`
+      };
+    }
+    if (engine === 'nerdamer') {
+      return { engine, latex: `\\displaystyle ${getNerdamer()(value).toTeX()}`, value };
+    }
+    const latex = estimate.kind === 'finite' ? `\\approx ${value}` : formatLimitValue(estimate.value);
+    return { engine, latex: `\\displaystyle ${latex}`, value };
+  } catch (e) {
+    console.error("Limit calculation error:", e);
+    return { engine: 'math.js', latex: 'エラー: ' + e.message };
+  }
+}
@@ -0,0 +1,235 @@
+/**
+ * プログラマーモードの評価
+ * 抽象構文木を BigInt による厳密な整数演算で評価し、
+ * 結果を 10進・16進・8進・2進 で同時に表示します
+ */
+
+/**
+ * 値をワードサイズに収まるように切り詰める（ラップアラウンド）
+ * @param {bigint} value - 値
+ * @param {Object} options - ワードサイズ（wordSize）と符号の有無（signed）
+ * @returns {bigint} - 切り詰めた値
+ */
+function wrapToWordSize(value, options) {
+  const bits = options.wordSize;
+  return options.signed ? BigInt.asIntN(bits, value) : BigInt.asUintN(bits, value);
+}
+
+/**
+ * ワードサイズ内での累乗
+ * 指数が大きくても巨大な中間値を作らないよう、2^ビット数 を法として繰り返し二乗法で計算する
+ */
+function powerInWordSize(base, exponent, options) {
+  const bits = options.wordSize;
+  let result = 1n;
+  let square = BigInt.asUintN(bits, base);
+
+  while (exponent > 0n) {
+    if (exponent & 1n) {
+      result = BigInt.asUintN(bits, result * square);
+    }
+    square = BigInt.asUintN(bits, square * square);
+    exponent >>= 1n;
+  }
+
+  return wrapToWordSize(result, options);
+}
+
+// 階乗で掛ける回数の上限（ワードサイズの 0 にならない奇数の二重階乗で巨大なループにならないようにする）
+const MAX_FACTORIAL_STEPS = 100000n;
+
+/**
+ * ワードサイズ内での階乗（step = 1）・二重階乗（step = 2）
+ * 積が 2^ビット数 の倍数になった後は 0 のままなので打ち切る
+ */
+function factorialInWordSize(value, step, options) {
+  if (value < 0n) {
+    throw new Error('階乗は 0 以上の整数にしてください');
+  }
+  if (value / step > MAX_FACTORIAL_STEPS) {
+    throw new Error('階乗の値が大きすぎます');
+  }
+  let result = 1n;
+  for (let k = value; k > 1n && result !== 0n; k -= step) {
+    result = BigInt.asUintN(options.wordSize, result * k);
+  }
+  return wrapToWordSize(result, options);
+}
+
+/**
+ * 二項演算を BigInt で計算する関数
+ * @param {string} operator - 演算子
+ * @param {bigint} left - 左辺の値
+ * @param {bigint} right - 右辺の値
+ * @param {Object} options - ワードサイズと符号の有無
+ * @returns {bigint} - 計算結果（ラップアラウンド済み）
+ */
+function applyIntegerOperator(operator, left, right, options) {
+  switch (operator) {
+    case '+':
+      return wrapToWordSize(left + right, options);
+    case '-':
+      return wrapToWordSize(left - right, options);
+    case '*':
+      return wrapToWordSize(left * right, options);
+    case '/':
+      if (right === 0n) {
+        throw new Error('0で割ることはできません');
+      }
+      // BigInt の除算は0方向への切り捨て
+      return wrapToWordSize(left / right, options);
+    case '^':
+      if (right < 0n) {
+        throw new Error('プログラマーモードでは負の指数は使用できません');
+      }
+      return powerInWordSize(left, right, options);
+    case 'and':
+      return wrapToWordSize(left & right, options);
+    case 'or':
+      return wrapToWordSize(left | right, options);
+    case 'xor':
+      return wrapToWordSize(left ^ right, options);
+    case '<<':
+    case '>>':
+      if (right < 0n) {
+        throw new Error('シフト量に負の値は使用できません');
+      }
+      // ワードサイズ以上のシフトは結果が変わらないため、巨大な値を作らないよう制限する
+      const amount = right > BigInt(options.wordSize) ? BigInt(options.wordSize) : right;
+      return wrapToWordSize(operator === '<<' ? left << amount : left >> amount, options);
+    default:
+      throw new Error(`プログラマーモードでは演算子 ${operator} は使用できません`);
+  }
+}
+
+/**
+ * 比較演算を行い、真なら 1、偽なら 0 を返す関数
+ */
+function compareIntegers(operator, left, right) {
+  const comparisons = {
+    '<': left < right,
+    '>': left > right,
+    '<=': left <= right,
+    '>=': left >= right,
+    '=': left === right,
+    '!=': left !== right
+  };
+  return comparisons[operator] ? 1n : 0n;
+}
+
+/**
+ * 抽象構文木を BigInt で評価する関数
+ * @param {Object} node - 抽象構文木のノード
+ * @param {Object} options - ワードサイズ（wordSize）と符号の有無（signed）
+ * @returns {bigint} - 評価結果
+ */
+function evaluateIntegerAst(node, options) {
+  if (!node) {
+    throw new Error('式が空です');
+  }
+
+  switch (node.type) {
+    case 'NumberLiteral':
+      const digits = numberLiteralToString(node.value);
+      if (!/^\d+$/.test(digits)) {
+        throw new Error(`プログラマーモードでは整数のみ使用できます: ${node.value}`);
+      }
+      return wrapToWordSize(BigInt(digits), options);
+
+    case 'UnaryExpression':
+      const operand = evaluateIntegerAst(node.operand, options);
+      if (node.operator === '-') return wrapToWordSize(-operand, options);
+      if (node.operator === 'not') return wrapToWordSize(~operand, options);
+      return operand;
+
+    case 'BinaryExpression':
+      return applyIntegerOperator(
+        node.operator,
+        evaluateIntegerAst(node.left, options),
+        evaluateIntegerAst(node.right, options),
+        options
+      );
+
+    case 'ComparisonExpression':
+      return compareIntegers(
+        node.operator,
+        evaluateIntegerAst(node.left, options),
+        evaluateIntegerAst(node.right, options)
+      );
+
+    case 'ParenthesizedExpression':
+      return evaluateIntegerAst(node.expression, options);
+
+    case 'PostfixExpression':
+      if (node.operator === '!' || node.operator === '!!') {
+        return factorialInWordSize(evaluateIntegerAst(node.operand, options), node.operator === '!' ? 1n : 2n, options);
+      }
+      throw new Error(`プログラマーモードでは演算子 ${node.operator} は使用できません`);
+
+    case 'FunctionCall':
+      // \frac{a}{b} は整数除算として扱う
+      if (node.name === '\\frac' && node.arguments.length === 2) {
+        return applyIntegerOperator(
+          '/',
+          evaluateIntegerAst(node.arguments[0], options),
+          evaluateIntegerAst(node.arguments[1], options),
+          options
+        );
+      }
+      throw new Error(`プログラマーモードでは関数 ${node.name} は使用できません`);
+
+    case 'Identifier':
+      throw new Error(`プログラマーモードでは変数 ${node.value} は使用できません`);
+
+    default:
+      throw new Error(`プログラマーモードでは ${node.type} は使用できません`);
+  }
+}
+
+/**
+ * 2進数の文字列をワードサイズまで0埋めし、4桁ごとに区切る
+ */
+function formatBinaryDigits(value, wordSize) {
+  const digits = value.toString(2).padStart(wordSize, '0');
+  return digits.match(/.{1,4}/g).join('\\,');
+}
+
+/**
+ * 整数の結果を 10進・16進・8進・2進 の LaTeX 表に変換する関数
+ * 16進・8進・2進はワードサイズでの2の補数表現（ビットパターン）を表示する
+ * @param {bigint} value - 結果
+ * @param {Object} options - ワードサイズと符号の有無
+ * @returns {string} - LaTeX 形式の文字列
+ */
+function formatProgrammerResult(value, options) {
+  const bits = BigInt.asUintN(options.wordSize, value);
+  const rows = [
+    ['DEC', value.toString()],
+    ['HEX', `\\mathtt{${bits.toString(16).toUpperCase()}}`],
+    ['OCT', `\\mathtt{${bits.toString(8)}}`],
+    ['BIN', `\\mathtt{${formatBinaryDigits(bits, options.wordSize)}}`]
+  ];
+
+  const body = rows
+    .map(([label, digits]) => `\\mathrm{${label}} & ${digits}`)
+    .join(' \\\\ ');
+  return `\\begin{array}{rl} ${body} \\end{array}`;
+}
+
+/**
+ * 抽象構文木をプログラマーモードで評価して LaTeX 形式に変換する関数
+ * @param {Object} ast - 抽象構文木
+ * @param {Object} options - ワードサイズ（wordSize: 8/16/32/64）と符号の有無（signed）
+ * @returns {Object} - 計算エンジンと結果のLaTeX表現
+ */
+function evaluateProgrammerExpression(ast, options) {
+  try {
+    const value = evaluateIntegerAst(ast, options);
+    console.log("BigInt calculation result:", value);
+
+    return { engine: 'BigInt', latex: formatProgrammerResult(value, options) };
+  } catch (e) {
+    console.error("Programmer mode calculation error:", e);
+    return { engine: 'BigInt', latex: 'エラー: ' + e.message };
+  }
+}
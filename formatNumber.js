@@ -0,0 +1,246 @@
+/**
+ * 数値の表示形式
+ * 計算結果の数値を表示設定（有効桁数・小数点以下の桁数、指数表記・工学表記、3桁区切り）に従って
+ * LaTeX 形式に変換します。実数・行列の要素・複素数の実部と虚部に同じ設定を適用します
+ */
+
+// 表示設定の既定値
+const DEFAULT_FORMAT_SETTINGS = {
+  precisionMode: 'significant', // 'significant'（有効桁数）または 'fixed'（小数点以下の桁数）
+  digits: 10,
+  notation: 'auto',             // 'auto' / 'normal'（通常）/ 'scientific'（指数表記）/ 'engineering'（工学表記）
+  grouping: false,              // 整数部を3桁ごとに区切るかどうか
+  lowerExponent: -5,            // auto で指数表記に切り替える絶対値の下限（10^-5 未満）
+  upperExponent: 12,            // auto で指数表記に切り替える絶対値の上限（10^12 以上）
+  complexForm: 'rectangular',   // 複素数を 'rectangular'（直交形式 a + bi）または 'polar'（極形式 re^{iθ}）で表示する
+  angleMode: 'rad'              // 極形式の偏角の単位
+};
+
+// 複素数の実部・虚部を丸め誤差として 0 とみなす大きさ（絶対値に対する相対値）
+const NEGLIGIBLE_COMPLEX_PART = 1e-12;
+
+// 極形式の偏角に付ける単位の記号
+const POLAR_ANGLE_UNITS = {
+  deg: '^{\\circ}',
+  rad: '',
+  grad: '^{\\mathrm{g}}'
+};
+
+/**
+ * 数値の10進の指数（1.23e-7 → -7）を返す関数
+ */
+function getDecimalExponent(value) {
+  return Number(value.toExponential().split('e')[1]);
+}
+
+/**
+ * 小数部の末尾の0を取り除く関数（1.500 → 1.5, 2.000 → 2）
+ */
+function trimTrailingZeros(digits) {
+  return digits.includes('.') ? digits.replace(/\.?0+$/, '') : digits;
+}
+
+/**
+ * 整数部を3桁ごとに区切る関数（LaTeX では {,} にして余分な空白が入らないようにする）
+ */
+function groupDigits(digits) {
+  const [integerPart, fractionPart] = digits.split('.');
+  const grouped = integerPart.replace(/\B(?=(\d{3})+(?!\d))/g, '{,}');
+  return fractionPart === undefined ? grouped : `${grouped}.${fractionPart}`;
+}
+
+/**
+ * 通常の表記（指数を使わない表記）で数値を文字列にする関数
+ */
+function formatPositional(value, settings) {
+  if (settings.precisionMode === 'fixed') {
+    const digits = math.format(value, { notation: 'fixed', precision: settings.digits });
+    // -0.00 のように丸めで0になった負の数は符号を付けない
+    return /^-[0.]+$/.test(digits) ? digits.slice(1) : digits;
+  }
+  return math.format(Number(value.toPrecision(settings.digits)), { notation: 'fixed' });
+}
+
+/**
+ * 仮数部の小数点を右に移す関数（工学表記用: 1.2345 を 2桁 → 123.45）
+ */
+function shiftDecimalPoint(mantissa, shift) {
+  const [integerPart, fractionPart = ''] = mantissa.split('.');
+  const padded = fractionPart.padEnd(shift, '0');
+  const rest = padded.slice(shift);
+  return rest ? `${integerPart}${padded.slice(0, shift)}.${rest}` : `${integerPart}${padded}`;
+}
+
+/**
+ * 指数表記・工学表記の仮数部と指数を求める関数
+ * 工学表記では指数を3の倍数にそろえ、仮数部を 1 以上 1000 未満にする
+ * @param {number} value - 値
+ * @param {Object} settings - 表示設定
+ * @param {boolean} engineering - 工学表記かどうか
+ * @returns {Object} - 仮数部の文字列（mantissa）と指数（exponent）
+ */
+function toExponentialParts(value, settings, engineering) {
+  const significant = settings.precisionMode === 'significant';
+  const engineeringShift = exponent => ((exponent % 3) + 3) % 3;
+  // 小数点以下の桁数の指定では、工学表記で小数点を移す分だけ先に桁を増やしておく
+  // （丸めで桁が上がり指数が変わった場合（999.999 → 1.000e3）は変わった指数に合わせ直す）
+  let extraDigits = 0;
+  if (engineering && !significant) {
+    extraDigits = engineeringShift(getDecimalExponent(value));
+    extraDigits = engineeringShift(getDecimalExponent(Number(value.toExponential(settings.digits + extraDigits))));
+  }
+  const [rounded, exponentText] = value
+    .toExponential(significant ? settings.digits - 1 : settings.digits + extraDigits)
+    .split('e');
+
+  let mantissa = rounded;
+  let exponent = Number(exponentText);
+  if (engineering) {
+    const shift = engineeringShift(exponent);
+    const sign = mantissa.startsWith('-') ? '-' : '';
+    mantissa = sign + shiftDecimalPoint(mantissa.replace('-', ''), shift);
+    exponent -= shift;
+  }
+  return { mantissa: significant ? trimTrailingZeros(mantissa) : mantissa, exponent };
+}
+
+/**
+ * 表示する表記を決める関数（auto では絶対値が閾値の範囲外なら指数表記にする）
+ */
+function chooseNotation(value, settings) {
+  if (settings.notation !== 'auto') {
+    return settings.notation;
+  }
+  if (value === 0) {
+    return 'normal';
+  }
+  const exponent = getDecimalExponent(value);
+  return exponent < settings.lowerExponent || exponent >= settings.upperExponent ? 'scientific' : 'normal';
+}
+
+/**
+ * 実数を表示設定に従って LaTeX 形式に変換する関数
+ * @param {number} value - 値
+ * @param {Object} settings - 表示設定
+ * @returns {string} - LaTeX 形式の文字列（例: 1.5 \times 10^{-7}）
+ */
+function formatRealToLatex(value, settings) {
+  if (Number.isNaN(value)) return '\\mathrm{NaN}';
+  if (value === Infinity) return '\\infty';
+  if (value === -Infinity) return '-\\infty';
+
+  const notation = chooseNotation(value, settings);
+  if (notation === 'normal') {
+    const digits = formatPositional(value, settings);
+    return settings.grouping ? groupDigits(digits) : digits;
+  }
+
+  const { mantissa, exponent } = toExponentialParts(value, settings, notation === 'engineering');
+  const groupedMantissa = settings.grouping ? groupDigits(mantissa) : mantissa;
+  return exponent === 0 ? groupedMantissa : `${groupedMantissa} \\times 10^{${exponent}}`;
+}
+
+/**
+ * 複素数の実部・虚部のうち絶対値に比べて無視できるほど小さいもの（e^{iπ} の虚部 1.2e-16 など）を 0 にする関数
+ */
+function removeNegligibleParts(value) {
+  const threshold = NEGLIGIBLE_COMPLEX_PART * math.abs(value);
+  return math.complex(
+    Math.abs(value.re) < threshold ? 0 : value.re,
+    Math.abs(value.im) < threshold ? 0 : value.im
+  );
+}
+
+/**
+ * 複素数を表示設定に従って LaTeX 形式（a + bi）に変換する関数
+ * 実部・虚部のそれぞれに表示設定を適用し、0 になる部分（丸め誤差の大きさの部分を含む）は省略する
+ */
+function formatComplexToLatex(complex, settings) {
+  const value = removeNegligibleParts(complex);
+  const re = formatRealToLatex(value.re, settings);
+  const imAbs = formatRealToLatex(Math.abs(value.im), settings);
+  const isZero = latex => /^0(\.0*)?$/.test(latex);
+
+  if (isZero(imAbs)) {
+    return re;
+  }
+  // 指数表記の虚部は括弧で囲む（(1.5 \times 10^{-7})i）
+  const imaginary = imAbs === '1' ? 'i' : imAbs.includes('\\times') ? `(${imAbs})i` : `${imAbs}i`;
+  if (isZero(re)) {
+    return value.im < 0 ? `-${imaginary}` : imaginary;
+  }
+  return `${re} ${value.im < 0 ? '-' : '+'} ${imaginary}`;
+}
+
+/**
+ * 複素数を表示設定に従って極形式（r e^{θi}）の LaTeX 形式に変換する関数
+ * 偏角は選択中の角度の単位で表示し、絶対値が 1 の場合は r を省略する
+ */
+function formatPolarToLatex(complex, settings) {
+  const value = removeNegligibleParts(complex);
+  const modulus = formatRealToLatex(math.abs(value), settings);
+  const halfTurn = { deg: 180, rad: Math.PI, grad: 200 }[settings.angleMode] ?? Math.PI;
+  const argument = formatRealToLatex(math.arg(value) * halfTurn / Math.PI, settings);
+
+  if (/^0(\.0*)?$/.test(argument) || /^0(\.0*)?$/.test(modulus)) {
+    return modulus;
+  }
+  const unit = POLAR_ANGLE_UNITS[settings.angleMode] ?? '';
+  const coefficient = modulus === '1' ? '' : modulus.includes('\\times') ? `(${modulus})` : modulus;
+  return `${coefficient} e^{${argument}${unit} i}`.trim();
+}
+
+/**
+ * 単位付きの量を表示設定に従って LaTeX 形式（29.43\,\mathrm{N}）に変換する関数
+ * 数値部分に表示設定を適用し、単位は units.js でまとめてから表示する
+ */
+function formatUnitToLatex(value, settings) {
+  const unit = simplifyUnitForDisplay(value);
+  if (unit.value === null) {
+    return unitToLatex(unit);
+  }
+  const number = unit.toNumeric();
+  const numberLatex = formatValueToLatex(number, settings) ?? number.toString();
+  return `${numberLatex}\\,${unitToLatex(unit)}`;
+}
+
+/**
+ * 行列を表示設定に従って LaTeX 形式に変換する関数（1次元の配列は1行の行列として表示する）
+ */
+function formatMatrixToLatex(matrix, settings) {
+  const array = matrix.toArray();
+  const rows = array.length > 0 && Array.isArray(array[0]) ? array : [array];
+  const body = rows
+    .map(row => row.map(entry => formatValueToLatex(entry, settings) ?? entry.toString()).join(' & '))
+    .join(' \\\\ ');
+  return `\\begin{pmatrix}${body}\\end{pmatrix}`;
+}
+
+/**
+ * math.js の計算結果を表示設定に従って LaTeX 形式に変換する関数
+ * @param {*} value - 計算結果（数値、複素数、行列、単位付きの量、値の配列）
+ * @param {Object} settings - 表示設定（省略した項目は既定値）
+ * @returns {string|null} - LaTeX 形式の文字列（数値以外の結果は null）
+ */
+function formatValueToLatex(value, settings = {}) {
+  const merged = { ...DEFAULT_FORMAT_SETTINGS, ...settings };
+
+  switch (math.typeOf(value)) {
+    case 'number':
+      return formatRealToLatex(value, merged);
+    case 'BigNumber':
+    case 'Fraction':
+      return formatRealToLatex(math.number(value), merged);
+    case 'Complex':
+      return merged.complexForm === 'polar' ? formatPolarToLatex(value, merged) : formatComplexToLatex(value, merged);
+    case 'Matrix':
+      return formatMatrixToLatex(value, merged);
+    case 'Unit':
+      return formatUnitToLatex(value, merged);
+    case 'Array':
+      // 最頻値（\mode）のように複数の値を返す関数の結果は \stats と同じくカンマで区切って並べる
+      return value.map(entry => formatValueToLatex(entry, merged) ?? entry.toString()).join(',\\ ');
+    default:
+      return null;
+  }
+}
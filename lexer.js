@@ -35,6 +35,31 @@ const TokenType = {
   SEMICOLON: 'Semicolon',
   DOT: 'Dot',
   
+  // 添字（\log_2, x_1 など）
+  UNDERSCORE: 'Underscore',
+  
+  // 微分のプライム記号（f'(x)）と評価点の縦線（|_{x=a}）
+  PRIME: 'Prime',
+  PIPE: 'Pipe',
+  
+  // 度の記号（30°）
+  DEGREE: 'Degree',
+  
+  // 階乗（5!）・二重階乗（5!!）と百分率（15%）
+  FACTORIAL: 'Factorial',
+  PERCENT: 'Percent',
+  
+  // 単位（\mathrm{km}）と単位の変換（to）
+  UNIT: 'Unit',
+  TO: 'To',
+  
+  // 計算結果の参照（\#3）
+  RESULT_REFERENCE: 'ResultReference',
+  
+  // LaTeX 環境（行列）の区切り記号
+  AMPERSAND: 'Ampersand',
+  ROW_SEPARATOR: 'RowSeparator',
+  
   // 比較演算子
   LESS_THAN: 'LessThan',
   GREATER_THAN: 'GreaterThan',
@@ -42,11 +67,91 @@ const TokenType = {
   GREATER_EQUAL: 'GreaterEqual',
   NOT_EQUAL: 'NotEqual',
   
+  // ビット演算子
+  AND: 'And',
+  OR: 'Or',
+  XOR: 'Xor',
+  NOT: 'Not',
+  SHIFT_LEFT: 'ShiftLeft',
+  SHIFT_RIGHT: 'ShiftRight',
+  
   // その他
   UNKNOWN: 'Unknown',
   EOF: 'EOF'
 };
 
+// キーワードとして扱うビット演算子
+const KEYWORDS = {
+  and: TokenType.AND,
+  or: TokenType.OR,
+  xor: TokenType.XOR,
+  not: TokenType.NOT,
+  to: TokenType.TO
+};
+
+// 基数プレフィックス（0x, 0b, 0o）と各基数で使える数字
+const RADIX_PREFIXES = {
+  x: { prefix: '0x', digit: /[0-9a-fA-F]/ },
+  X: { prefix: '0x', digit: /[0-9a-fA-F]/ },
+  b: { prefix: '0b', digit: /[01]/ },
+  B: { prefix: '0b', digit: /[01]/ },
+  o: { prefix: '0o', digit: /[0-7]/ },
+  O: { prefix: '0o', digit: /[0-7]/ }
+};
+
+// 数値中の桁区切り文字（アンダースコア、細いスペース）
+const DIGIT_SEPARATORS = ['_', '\u2009', '\u202F'];
+
+// 空白として扱う LaTeX の空白コマンド（\, \; \: \! のバックスラッシュの後の文字）
+const LATEX_SPACES = [',', ';', ':', '!'];
+
+// 度の記号として扱う表記（30°, 30^\circ, 30^{\circ}, 30\degree）
+const DEGREE_SIGNS = ['°', '^{\\circ}', '^\\circ', '\\degree'];
+
+// 計算結果の参照（\#3, #3）
+const RESULT_REFERENCE_PATTERN = /^\\?#(\d+)/;
+
+// 単位・立体の文字を表す LaTeX の書式（\mathrm{km}, \text{kg}, \mathrm{d}x, \mathrm{Re}）
+const UNIT_COMMAND_PATTERN = /^\\(?:mathrm|text)\{\s*([a-zA-Z]+)\s*\}/;
+
+// 関数名を表す LaTeX の書式（\operatorname{rank} は \rank コマンドとして扱う）
+const OPERATOR_NAME_PATTERN = /^\\operatorname\{\s*([a-zA-Z]+)\s*\}/;
+
+// ギリシャ文字の識別子名（\alpha のコマンド名と同じで、nerdamer・math.js で変数名として使え、結果の LaTeX では \alpha になる）
+// π は円周率の定数として別に扱う
+const GREEK_LETTER_NAMES = [
+  'alpha', 'beta', 'gamma', 'delta', 'epsilon', 'zeta', 'eta', 'theta', 'iota', 'kappa', 'lambda', 'mu',
+  'nu', 'xi', 'rho', 'sigma', 'tau', 'upsilon', 'phi', 'chi', 'psi', 'omega',
+  'Gamma', 'Delta', 'Theta', 'Lambda', 'Xi', 'Pi', 'Sigma', 'Phi', 'Psi', 'Omega'
+];
+
+// Unicode のギリシャ文字から識別子名への対応
+// 異体字（ϵ, ϑ, ϕ, ϱ, ς）は同じ文字とし、ラテン文字と字形が同じオミクロンは o とする
+const GREEK_LETTERS = {
+  'α': 'alpha', 'β': 'beta', 'γ': 'gamma', 'δ': 'delta', 'ε': 'epsilon', 'ζ': 'zeta', 'η': 'eta', 'θ': 'theta',
+  'ι': 'iota', 'κ': 'kappa', 'λ': 'lambda', 'μ': 'mu', 'ν': 'nu', 'ξ': 'xi', 'ο': 'o', 'ρ': 'rho',
+  'σ': 'sigma', 'τ': 'tau', 'υ': 'upsilon', 'φ': 'phi', 'χ': 'chi', 'ψ': 'psi', 'ω': 'omega',
+  'Γ': 'Gamma', 'Δ': 'Delta', 'Θ': 'Theta', 'Λ': 'Lambda', 'Ξ': 'Xi', 'Π': 'Pi', 'Σ': 'Sigma',
+  'Φ': 'Phi', 'Ψ': 'Psi', 'Ω': 'Omega',
+  'ϵ': 'epsilon', 'ϑ': 'theta', 'ϕ': 'phi', 'ϱ': 'rho', 'ς': 'sigma'
+};
+
+// 異体字のギリシャ文字のコマンド
+const GREEK_VARIANT_COMMANDS = {
+  '\\varepsilon': 'epsilon',
+  '\\vartheta': 'theta',
+  '\\varphi': 'phi',
+  '\\varrho': 'rho',
+  '\\varsigma': 'sigma'
+};
+
+// 乗除算の演算子として扱うコマンド（2 \cdot 3, 1.5 \times 10^{-7}, 6 \div 2）
+const OPERATOR_COMMANDS = {
+  '\\cdot': { type: TokenType.MULTIPLY, value: '*' },
+  '\\times': { type: TokenType.MULTIPLY, value: '*' },
+  '\\div': { type: TokenType.DIVIDE, value: '/' }
+};
+
 // 字句解析器の状態
 const LexerState = {
   INITIAL: 'INITIAL',
@@ -105,62 +210,224 @@ class Lexer {
    * 空白文字をスキップ
    */
   skipWhitespace() {
-    while (
-      this.currentChar !== null && 
-      /\s/.test(this.currentChar)
-    ) {
-      this.advance();
+    while (this.currentChar !== null) {
+      if (/\s/.test(this.currentChar)) {
+        this.advance();
+      } else if (this.currentChar === '\\' && LATEX_SPACES.includes(this.peek())) {
+        // LaTeX の空白コマンド（\, \; \: \!）も空白として読み飛ばす
+        this.advance();
+        this.advance();
+      } else {
+        break;
+      }
     }
   }
 
   /**
    * 数値トークンを処理
-   * 整数と小数点に対応
+   * 整数、小数、指数表記（6.02e23, 1E-9）、基数プレフィックス付き整数（0xFF, 0b1011, 0o17）、
+   * 桁区切り（1_000_000, 細いスペース, \,）に対応
+   * value には入力どおりの文字列、numericValue には正規化した10進数の文字列を格納する
    */
   processNumber() {
-    let result = '';
-    let hasDot = false;
+    const start = this.position;
     
-    // 数字または小数点を読み込む
-    while (
-      this.currentChar !== null && 
-      (/[0-9]/.test(this.currentChar) || 
-       (this.currentChar === '.' && !hasDot))
-    ) {
-      if (this.currentChar === '.') {
-        hasDot = true;
-      }
-      result += this.currentChar;
+    // 基数プレフィックス付き整数
+    const radix = this.currentChar === '0' ? RADIX_PREFIXES[this.peek()] : undefined;
+    if (radix && radix.digit.test(this.peek(2) ?? '')) {
+      this.advance();
+      this.advance();
+      const digits = this.readDigits(radix.digit);
+      return {
+        type: TokenType.NUMBER,
+        value: this.input.substring(start, this.position),
+        numericValue: BigInt(radix.prefix + digits).toString()
+      };
+    }
+    
+    // 整数部と小数部
+    const integerPart = this.readDigits(/[0-9]/);
+    let fractionPart = '';
+    if (this.currentChar === '.') {
       this.advance();
+      fractionPart = this.readDigits(/[0-9]/);
+    }
+    
+    // 指数部（e の後に数字が続く場合のみ。2e だけなら 2 と定数 e）
+    let exponentPart = '';
+    const exponentDigitOffset = /[+-]/.test(this.peek() ?? '') ? 2 : 1;
+    if (/[eE]/.test(this.currentChar ?? '') && /[0-9]/.test(this.peek(exponentDigitOffset) ?? '')) {
+      this.advance();
+      if (this.currentChar === '-') {
+        exponentPart = '-';
+      }
+      if (exponentDigitOffset === 2) {
+        this.advance();
+      }
+      exponentPart += this.readDigits(/[0-9]/);
     }
     
-    return { type: TokenType.NUMBER, value: result };
+    let numericValue = integerPart || '0';
+    if (fractionPart) {
+      numericValue += `.${fractionPart}`;
+    }
+    if (exponentPart) {
+      numericValue += `e${exponentPart}`;
+    }
+    
+    return {
+      type: TokenType.NUMBER,
+      value: this.input.substring(start, this.position),
+      numericValue
+    };
+  }
+
+  /**
+   * 桁区切りを読み飛ばしながら数字列を読み込む
+   * 桁区切りは数字と数字の間にあるものだけを認める
+   * @param {RegExp} digitPattern - 数字として扱う文字のパターン
+   * @returns {string} - 桁区切りを除いた数字列
+   */
+  readDigits(digitPattern) {
+    let digits = '';
+    
+    while (this.currentChar !== null) {
+      if (digitPattern.test(this.currentChar)) {
+        digits += this.currentChar;
+        this.advance();
+        continue;
+      }
+      
+      const separatorLength = this.digitSeparatorLength();
+      if (
+        digits !== '' && 
+        separatorLength > 0 && 
+        digitPattern.test(this.peek(separatorLength) ?? '')
+      ) {
+        for (let i = 0; i < separatorLength; i++) {
+          this.advance();
+        }
+        continue;
+      }
+      
+      break;
+    }
+    
+    return digits;
+  }
+
+  /**
+   * 現在位置の桁区切りの文字数を返す（桁区切りでなければ 0）
+   * _、細いスペース（U+2009, U+202F）、LaTeX の \, に対応
+   */
+  digitSeparatorLength() {
+    if (DIGIT_SEPARATORS.includes(this.currentChar)) {
+      return 1;
+    }
+    if (this.currentChar === '\\' && this.peek() === ',') {
+      return 2;
+    }
+    return 0;
+  }
+
+  /**
+   * 現在位置の度の記号の文字数を返す（度の記号でなければ 0）
+   * \circ, \degree は後ろに英字が続く場合（\circle など）は別のコマンドとみなす
+   */
+  degreeSignLength() {
+    const sign = DEGREE_SIGNS.find(candidate =>
+      this.input.startsWith(candidate, this.position) &&
+      !(/[a-zA-Z]$/.test(candidate) && /[a-zA-Z]/.test(this.peek(candidate.length) ?? ''))
+    );
+    return sign ? sign.length : 0;
+  }
+
+  /**
+   * 計算結果の参照トークンを処理
+   * \#3, #3 の形式で、value には結果の番号を格納する（番号がない場合は null）
+   */
+  processResultReference() {
+    const match = RESULT_REFERENCE_PATTERN.exec(this.input.substring(this.position));
+    if (!match) {
+      return null;
+    }
+    for (let i = 0; i < match[0].length; i++) {
+      this.advance();
+    }
+    return { type: TokenType.RESULT_REFERENCE, value: match[1] };
+  }
+
+  /**
+   * \mathrm{…}, \text{…} のトークンを処理（英字以外を含む場合は null）
+   * math.js の単位名（\mathrm{km}, \text{kg}）は単位名のトークン、\mathrm{d}x は微分の dx、
+   * 2文字以上のその他の名前（\mathrm{Re}, \mathrm{rank}）は \operatorname と同じく関数名のコマンド、
+   * 1文字のその他の名前（\mathrm{e}）は識別子にする
+   */
+  processUnit() {
+    const match = UNIT_COMMAND_PATTERN.exec(this.input.substring(this.position));
+    if (!match) {
+      return null;
+    }
+    for (let i = 0; i < match[0].length; i++) {
+      this.advance();
+    }
+
+    const name = match[1];
+    if (name === 'd') {
+      // 直後の変数名と合わせて dx にする（\frac{\mathrm{d}}{\mathrm{d}x} の分子の d はそのまま）
+      let variable = '';
+      while (this.currentChar !== null && /[a-zA-Z]/.test(this.currentChar)) {
+        variable += this.currentChar;
+        this.advance();
+      }
+      return { type: TokenType.IDENTIFIER, value: `d${variable}` };
+    }
+    if (isUnitName(name)) {
+      return { type: TokenType.UNIT, value: name };
+    }
+    return name.length > 1
+      ? { type: TokenType.COMMAND, value: `\\${name}` }
+      : { type: TokenType.IDENTIFIER, value: name };
   }
 
   /**
    * 識別子トークンを処理
-   * 変数名、定数名（π, e など）に対応
+   * 変数名、定数名（π, e など）、ビット演算子・単位の変換のキーワード（and, or, xor, not, to）に対応
    */
   processIdentifier() {
     let result = '';
     
-    // 文字、数字、特殊文字を読み込む
+    // 文字、数字、特殊文字を読み込む（_ は添字として別のトークンにする）
     while (
       this.currentChar !== null && 
-      /[a-zA-Zπ0-9_]/.test(this.currentChar)
+      /[a-zA-Zπ0-9]/.test(this.currentChar)
     ) {
       result += this.currentChar;
       this.advance();
     }
     
+    // ビット演算子・単位の変換のキーワード
+    if (result in KEYWORDS) {
+      return { type: KEYWORDS[result], value: result };
+    }
+    
     return { type: TokenType.IDENTIFIER, value: result };
   }
 
   /**
    * コマンドトークンを処理
-   * LaTeX関数（\sin, \cos など）に対応
+   * LaTeX関数（\sin, \cos など）に対応し、\operatorname{rank} は \rank とする
+   * \cdot, \times, \div は乗除算の演算子トークン、\alpha などのギリシャ文字は識別子トークンにする
    */
   processCommand() {
+    const operatorName = OPERATOR_NAME_PATTERN.exec(this.input.substring(this.position));
+    if (operatorName) {
+      for (let i = 0; i < operatorName[0].length; i++) {
+        this.advance();
+      }
+      return { type: TokenType.COMMAND, value: `\\${operatorName[1]}` };
+    }
+    
     let result = '\\';
     this.advance(); // バックスラッシュをスキップ
     
@@ -173,15 +440,44 @@ class Lexer {
       this.advance();
     }
     
+    if (OPERATOR_COMMANDS[result]) {
+      return { ...OPERATOR_COMMANDS[result] };
+    }
+    const greekLetter = GREEK_VARIANT_COMMANDS[result] || 
+      (GREEK_LETTER_NAMES.includes(result.substring(1)) ? result.substring(1) : null);
+    if (greekLetter) {
+      return this.greekLetterToken(greekLetter);
+    }
     return { type: TokenType.COMMAND, value: result };
   }
 
+  /**
+   * ギリシャ文字の識別子トークンを作成
+   * 識別子名（theta）が単位名（psi）や dx の形と重ならないよう greek を付ける
+   * @param {string} name - 識別子名
+   */
+  greekLetterToken(name) {
+    return { type: TokenType.IDENTIFIER, value: name, greek: true };
+  }
+
   /**
    * 演算子トークンを処理
    * 単一文字および複合演算子に対応
    */
   processOperator() {
     // 複合演算子の処理
+    if (this.currentChar === '<' && this.peek() === '<') {
+      this.advance();
+      this.advance();
+      return { type: TokenType.SHIFT_LEFT, value: '<<' };
+    }
+    
+    if (this.currentChar === '>' && this.peek() === '>') {
+      this.advance();
+      this.advance();
+      return { type: TokenType.SHIFT_RIGHT, value: '>>' };
+    }
+    
     if (this.currentChar === '<' && this.peek() === '=') {
       this.advance();
       this.advance();
@@ -200,6 +496,12 @@ class Lexer {
       return { type: TokenType.NOT_EQUAL, value: '!=' };
     }
     
+    if (this.currentChar === '!' && this.peek() === '!') {
+      this.advance();
+      this.advance();
+      return { type: TokenType.FACTORIAL, value: '!!' };
+    }
+    
     // 単一文字演算子の処理
     const operatorMap = {
       '+': TokenType.PLUS,
@@ -217,8 +519,14 @@ class Lexer {
       ',': TokenType.COMMA,
       ';': TokenType.SEMICOLON,
       '.': TokenType.DOT,
+      '&': TokenType.AMPERSAND,
+      '_': TokenType.UNDERSCORE,
+      "'": TokenType.PRIME,
+      '|': TokenType.PIPE,
       '<': TokenType.LESS_THAN,
-      '>': TokenType.GREATER_THAN
+      '>': TokenType.GREATER_THAN,
+      '!': TokenType.FACTORIAL,
+      '%': TokenType.PERCENT
     };
     
     if (this.currentChar in operatorMap) {
@@ -236,19 +544,28 @@ class Lexer {
 
   /**
    * 次のトークンを取得
+   * 各トークンには入力文字列上の開始・終了位置（start, end）を付与する
    */
   getNextToken() {
+    // 空白文字をスキップ
+    this.skipWhitespace();
+    
+    const start = this.position;
+    const token = this.readToken();
+    token.start = start;
+    token.end = this.position;
+    return token;
+  }
+
+  /**
+   * 現在位置からトークンを1つ読み込む
+   */
+  readToken() {
     // 入力の終わりに達した場合
     if (this.currentChar === null) {
       return { type: TokenType.EOF, value: '' };
     }
     
-    // 空白文字をスキップ
-    if (/\s/.test(this.currentChar)) {
-      this.skipWhitespace();
-      return this.getNextToken();
-    }
-    
     // 数値の処理
     if (/[0-9]/.test(this.currentChar) || 
         (this.currentChar === '.' && /[0-9]/.test(this.peek()))) {
@@ -256,13 +573,54 @@ class Lexer {
     }
     
     // 識別子の処理
-    if (/[a-zA-Zπ_]/.test(this.currentChar)) {
+    if (/[a-zA-Zπ]/.test(this.currentChar)) {
       return this.processIdentifier();
     }
     
-    // コマンドの処理
+    // ギリシャ文字（α）は1文字ずつ識別子にする（2α, αβ は省略乗算）
+    if (this.currentChar in GREEK_LETTERS) {
+      const name = GREEK_LETTERS[this.currentChar];
+      this.advance();
+      return this.greekLetterToken(name);
+    }
+    
+    // 度の記号（角度の単位の設定によらず度数法の角度を表す）
+    const degreeLength = this.degreeSignLength();
+    if (degreeLength > 0) {
+      for (let i = 0; i < degreeLength; i++) {
+        this.advance();
+      }
+      return { type: TokenType.DEGREE, value: '°' };
+    }
+    
+    // 積分記号 ∫ は \int コマンドとして扱う
+    if (this.currentChar === '∫') {
+      this.advance();
+      return { type: TokenType.COMMAND, value: '\\int' };
+    }
+    
+    // 角度記号 ∠（極形式 5∠30）は \angle コマンドとして扱う
+    if (this.currentChar === '∠') {
+      this.advance();
+      return { type: TokenType.COMMAND, value: '\\angle' };
+    }
+    
+    // 計算結果の参照（\#3）
+    const resultReference = this.processResultReference();
+    if (resultReference) {
+      return resultReference;
+    }
+    
+    // 行列の行区切り（\\）の処理
+    if (this.currentChar === '\\' && this.peek() === '\\') {
+      this.advance();
+      this.advance();
+      return { type: TokenType.ROW_SEPARATOR, value: '\\\\' };
+    }
+    
+    // コマンドの処理（単位の \mathrm{km} は単位トークンにする）
     if (this.currentChar === '\\') {
-      return this.processCommand();
+      return this.processUnit() || this.processCommand();
     }
     
     // その他の演算子や記号の処理
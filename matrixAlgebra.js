@@ -0,0 +1,532 @@
+/**
+ * 行列の計算
+ * 数値の行列は math.js で計算し（\det, A^{-1}, A^T, \operatorname{tr}）、math.js にない階数 \operatorname{rank} と
+ * 行既約階段形 \operatorname{rref} を追加します（分数表示では Fraction のまま厳密に計算されます）
+ * 固有値・固有ベクトル \operatorname{eig}、LU 分解 \operatorname{lu}、QR 分解 \operatorname{qr} は式全体として計算し、
+ * 変数を含む行列は要素ごとの式を nerdamer で単純化しながら計算します
+ */
+
+// 式全体としてのみ計算できる行列の分解（結果が複数の行列になる）
+const MATRIX_DECOMPOSITIONS = ['\\eig', '\\lu', '\\qr'];
+
+// 行基本変形で 0 とみなす値（要素の絶対値の最大値に対する割合、Fraction は厳密に 0 のみ）
+const MATRIX_ZERO_TOLERANCE = 1e-10;
+
+// 特性多項式の根を重根としてまとめる距離（行列のフロベニウスノルムに対する割合）
+const EIGENVALUE_GROUP_TOLERANCE = 1e-4;
+
+/**
+ * math.js の行列または配列を2次元配列にする関数（1次元の配列は1行の行列とする）
+ */
+function toMatrixRows(matrix) {
+  const array = math.typeOf(matrix) === 'Matrix' ? matrix.toArray() : matrix;
+  if (!Array.isArray(array)) {
+    throw new Error('引数には行列を指定してください');
+  }
+  return array.length > 0 && Array.isArray(array[0]) ? array : [array];
+}
+
+/**
+ * 行基本変形で行既約階段形にする関数（部分ピボット選択）
+ * 要素の計算は math.js の関数で行うため、数値・Fraction・複素数のいずれにも使える
+ * @param {Object|Array} matrix - 行列
+ * @returns {Object} - 行既約階段形の2次元配列（rows）とピボットの列番号（pivots）
+ */
+function rowReduce(matrix) {
+  const rows = toMatrixRows(matrix).map(row => [...row]);
+  const columnCount = rows[0]?.length || 0;
+  const scale = Math.max(1, ...rows.flat().map(value => math.number(math.abs(value))));
+  const isNegligible = value => math.typeOf(value) === 'Fraction'
+    ? math.isZero(value)
+    : math.number(math.abs(value)) <= MATRIX_ZERO_TOLERANCE * scale;
+
+  const pivots = [];
+  for (let column = 0; column < columnCount && pivots.length < rows.length; column++) {
+    const top = pivots.length;
+    let best = top;
+    for (let i = top + 1; i < rows.length; i++) {
+      if (math.larger(math.abs(rows[i][column]), math.abs(rows[best][column]))) {
+        best = i;
+      }
+    }
+    if (isNegligible(rows[best][column])) {
+      continue;
+    }
+    [rows[top], rows[best]] = [rows[best], rows[top]];
+
+    const pivot = rows[top][column];
+    rows[top] = rows[top].map(value => math.divide(value, pivot));
+    rows.forEach((row, i) => {
+      if (i !== top) {
+        const factor = row[column];
+        rows[i] = row.map((value, j) => math.subtract(value, math.multiply(factor, rows[top][j])));
+      }
+    });
+    pivots.push(column);
+  }
+
+  // 丸め誤差で残った小さな値は 0 にする
+  return {
+    rows: rows.map(row => row.map(value => isNegligible(value) ? math.multiply(value, 0) : value)),
+    pivots
+  };
+}
+
+// 階数と行既約階段形を math.js の関数として追加（\operatorname{rank}(A) → rank(A)）
+// 分数表示では指数も Fraction になるため、行列の Fraction 乗（A^{-1}）を整数乗として計算できるようにする
+math.import({
+  rank: matrix => rowReduce(matrix).pivots.length,
+  rref: matrix => math.matrix(rowReduce(matrix).rows),
+  pow: math.typed('pow', {
+    'Matrix, Fraction': (matrix, exponent) => math.pow(matrix, math.number(exponent))
+  })
+});
+
+/**
+ * 式が行列（\begin{pmatrix} ... \end{pmatrix}）を含むかどうか
+ */
+function containsMatrix(node) {
+  if (!node) return false;
+  if (node.type === 'MatrixExpression') {
+    return true;
+  }
+  return getChildNodes(node).some(containsMatrix);
+}
+
+/**
+ * 転置（A^T, A^{T}, A'）かどうか
+ * 転置の後置演算子は底が行列の場合だけ転置とし、それ以外の ^T（(1+r)^T）は変数 T の累乗とする
+ */
+function isTransposeNode(node) {
+  return node?.type === 'PostfixExpression' && 
+    (node.operator === 'T' || node.operator === "'") && 
+    containsMatrix(node.operand);
+}
+
+/**
+ * 式全体が行列の分解（\operatorname{eig}, \operatorname{lu}, \operatorname{qr}）かどうか
+ */
+function isMatrixDecomposition(ast) {
+  return ast?.type === 'FunctionCall' && MATRIX_DECOMPOSITIONS.includes(ast.name);
+}
+
+/**
+ * 行列の計算で math.js が投げるエラーを日本語のメッセージにする関数（行列以外のエラーは null）
+ */
+function localizeMatrixError(error) {
+  const message = error.message;
+  if (/determinant is zero|not invertible/.test(message)) {
+    return '行列式が 0 のため逆行列はありません';
+  }
+  if (/must be square/.test(message)) {
+    return '正方行列ではありません';
+  }
+  if (/Dimension mismatch/.test(message)) {
+    return '行列の大きさが合いません';
+  }
+  return null;
+}
+
+/**
+ * 列ベクトルを長さ 1 にし、最初の 0 でない要素の実部が正になるよう向きをそろえる関数
+ */
+function normalizeEigenvector(vector) {
+  const length = math.norm(vector);
+  const first = vector.find(value => math.number(math.abs(value)) > MATRIX_ZERO_TOLERANCE * length);
+  const sign = first !== undefined && math.re(first) < 0 ? -1 : 1;
+  return vector.map(value => math.divide(math.multiply(value, sign), length));
+}
+
+/**
+ * 固有値・固有ベクトルを LaTeX 形式（λ_i と長さ 1 の固有ベクトル v_i の表）に変換する関数
+ * 固有ベクトルが足りない（対角化できない）行列では math.js の eigs が失敗するため、
+ * 固有値を重複度付きで、固有ベクトルを固有空間の基底で表示する
+ * @param {Object} matrix - 正方行列
+ * @param {Function} format - 値を LaTeX 形式にする関数
+ */
+function eigenToLatex(matrix, format) {
+  let eigen;
+  try {
+    eigen = math.eigs(matrix);
+  } catch (e) {
+    console.log("Eigen decomposition failed, treating as defective:", e.message);
+    return defectiveEigenToLatex(matrix, format);
+  }
+  const { values, vectors } = eigen;
+  const columns = math.transpose(vectors).toArray();
+  const rows = values.toArray().map((value, i) => {
+    const vector = math.matrix(normalizeEigenvector(columns[i]).map(entry => [entry]));
+    return `\\lambda_{${i + 1}} = ${format(value)} & \\boldsymbol{v}_{${i + 1}} = ${format(vector)}`;
+  });
+  return `\\begin{array}{ll} ${rows.join(' \\\\ ')} \\end{array}`;
+}
+
+/**
+ * 対角化できない行列の固有値（重複度付き）と固有空間の基底を LaTeX 形式に変換する関数
+ * 固有値は特性多項式の根として求め、近い根は重根としてまとめる
+ */
+function defectiveEigenToLatex(matrix, format) {
+  const size = matrix.size()[0];
+  const scale = Math.max(1, math.number(math.norm(matrix, 'fro')));
+  const coefficients = characteristicPolynomial(matrix);
+  const groups = [];
+  findPolynomialRoots(coefficients).forEach(root => {
+    const group = groups.find(item => math.abs(math.subtract(item.roots[0], root)) <= EIGENVALUE_GROUP_TOLERANCE * scale);
+    if (group) {
+      group.roots.push(root);
+    } else {
+      groups.push({ roots: [root] });
+    }
+  });
+
+  const rows = groups.map(({ roots }, i) => {
+    // 重根は数値誤差が大きいため、根の平均から精度を上げ、0 とみなせる実部・虚部を取り除く
+    const mean = math.divide(roots.reduce((sum, root) => math.add(sum, root), 0), roots.length);
+    const refined = refineMultipleRoot(coefficients, mean, roots.length);
+    const clean = part => Math.abs(part) <= MATRIX_ZERO_TOLERANCE * scale ? 0 : part;
+    const value = clean(math.im(refined)) === 0 ? clean(math.re(refined)) : math.complex(clean(math.re(refined)), math.im(refined));
+    const basis = nullSpaceBasis(math.subtract(matrix, math.multiply(value, math.identity(size))))
+      .map(vector => format(math.matrix(normalizeEigenvector(vector).map(entry => [entry]))));
+    const multiplicity = roots.length > 1 ? `\\ (\\text{重複度 } ${roots.length})` : '';
+    const vectors = basis.length > 0 ? basis.join(',\\ ') : '\\text{求められません}';
+    return `\\lambda_{${i + 1}} = ${format(value)}${multiplicity} & \\boldsymbol{v} = ${vectors}`;
+  });
+  return `\\begin{array}{ll} ${rows.join(' \\\\ ')} \\end{array} \\quad (\\text{固有ベクトルが足りないため対角化できません})`;
+}
+
+/**
+ * 多項式の重根をニュートン法で求め直す関数
+ * m 重根は (m-1) 階導関数の単根になるため、その導関数にニュートン法を使う
+ * @param {Array} coefficients - 低次から順の係数
+ * @param {*} start - 初期値
+ * @param {number} multiplicity - 重複度
+ */
+function refineMultipleRoot(coefficients, start, multiplicity) {
+  const differentiate = terms => terms.slice(1).map((term, k) => math.multiply(term, k + 1));
+  const evaluatePolynomial = (terms, z) => terms.reduceRight((sum, term) => math.add(math.multiply(sum, z), term), 0);
+  let target = coefficients;
+  for (let k = 1; k < multiplicity; k++) {
+    target = differentiate(target);
+  }
+  const slope = differentiate(target);
+
+  let root = start;
+  for (let iteration = 0; iteration < 50; iteration++) {
+    const denominator = evaluatePolynomial(slope, root);
+    if (math.abs(denominator) === 0) break;
+    const change = math.divide(evaluatePolynomial(target, root), denominator);
+    root = math.subtract(root, change);
+    if (math.abs(change) <= 1e-15 * Math.max(1, math.abs(root))) break;
+  }
+  return root;
+}
+
+/**
+ * 特性多項式 det(λI - A) の係数をファデーエフ・ルヴェリエ法で求める関数
+ * @returns {Array} - 低次から順の係数
+ */
+function characteristicPolynomial(matrix) {
+  const size = matrix.size()[0];
+  const identity = math.identity(size);
+  const coefficients = new Array(size + 1);
+  coefficients[size] = 1;
+  let product = math.zeros(size, size);
+  for (let k = 1; k <= size; k++) {
+    product = math.add(math.multiply(matrix, product), math.multiply(coefficients[size - k + 1], identity));
+    coefficients[size - k] = math.divide(math.trace(math.multiply(matrix, product)), -k);
+  }
+  return coefficients;
+}
+
+/**
+ * 行既約階段形から行列の零空間の基底を求める関数
+ * @returns {Array} - 基底のベクトル（配列）の配列
+ */
+function nullSpaceBasis(matrix) {
+  const { rows, pivots } = rowReduce(matrix);
+  const columnCount = matrix.size()[1];
+  const freeColumns = [...Array(columnCount).keys()].filter(column => !pivots.includes(column));
+  return freeColumns.map(free => {
+    const vector = new Array(columnCount).fill(0);
+    vector[free] = 1;
+    pivots.forEach((pivot, i) => {
+      vector[pivot] = math.unaryMinus(rows[i][free]);
+    });
+    return vector;
+  });
+}
+
+/**
+ * 置換ベクトル p（math.lup の結果）から置換行列 P（PA = LU）を作る関数
+ */
+function permutationMatrix(p) {
+  return math.matrix(p.map(column => p.map((_, j) => (j === column ? 1 : 0))));
+}
+
+/**
+ * 行列の分解（固有値・固有ベクトル、LU 分解、QR 分解）を計算して LaTeX 形式に変換する関数
+ * 分数表示の LU 分解は有理数演算で厳密に計算する
+ * @param {Object} ast - 分解の関数呼び出しの抽象構文木
+ * @param {Object} options - evaluateExpressionToLatex の表示形式
+ * @returns {Object} - 計算エンジンと結果のLaTeX表現
+ */
+function evaluateMatrixDecompositionToLatex(ast, options = {}) {
+  try {
+    if (ast.arguments.length !== 1) {
+      throw new Error(`${ast.name} の引数は行列1つです`);
+    }
+    const argument = ast.arguments[0];
+    if (containsSymbols(argument)) {
+      throw new Error('固有値・LU 分解・QR 分解は数値の行列のみ計算できます');
+    }
+    const exprStr = astToString(applyAngleMode(argument, options.angleMode));
+    const matrix = math.evaluate(exprStr, angleModeScope(options.angleMode));
+    if (math.typeOf(matrix) !== 'Matrix' || matrix.size().length !== 2) {
+      throw new Error('引数には行列を指定してください');
+    }
+    const format = value => formatValueToLatex(value, { ...options.format, angleMode: options.angleMode });
+
+    switch (ast.name) {
+      case '\\eig':
+        return { engine: 'math.js', latex: `\\displaystyle ${eigenToLatex(matrix, format)}` };
+
+      case '\\lu': {
+        const rational = options.displayMode === 'fraction' ? evaluateRational(exprStr) : null;
+        const { L, U, p } = math.lup(rational || matrix);
+        const P = permutationMatrix(p);
+        // 有理数演算の結果にも 0, 1 の要素は数値で入るため Fraction にそろえる
+        const toLatex = rational
+          ? value => fractionMatrixToLatex(math.map(value, entry => math.fraction(entry)), options.mixedNumber)
+          : format;
+        return {
+          engine: 'math.js',
+          latex: `\\displaystyle P = ${toLatex(P)},\\quad L = ${toLatex(L)},\\quad U = ${toLatex(U)} \\quad (PA = LU)`
+        };
+      }
+
+      case '\\qr': {
+        const { Q, R } = math.qr(matrix);
+        return { engine: 'math.js', latex: `\\displaystyle Q = ${format(Q)},\\quad R = ${format(R)} \\quad (A = QR)` };
+      }
+    }
+  } catch (e) {
+    console.error("Matrix decomposition error:", e);
+    return { engine: 'math.js', latex: 'エラー: ' + (localizeMatrixError(e) || e.message) };
+  }
+}
+
+/**
+ * 変数を含む行列の要素の式を nerdamer で単純化する関数
+ */
+function simplifyMatrixEntry(text) {
+  return simplifyWithNerdamer(getNerdamer(), text);
+}
+
+/**
+ * 値（スカラーの式の文字列、または行列の要素の式の2次元配列）がスカラーであることを確かめて式を返す関数
+ */
+function toScalarText(value) {
+  if (value.type !== 'scalar') {
+    throw new Error('行列の要素に行列は使えません');
+  }
+  return value.text;
+}
+
+/**
+ * 要素ごとの式の行列を作る関数
+ */
+function symbolicMatrix(rows) {
+  return { type: 'matrix', rows: rows.map(row => row.map(simplifyMatrixEntry)) };
+}
+
+/**
+ * 正方行列であることを確かめる関数
+ */
+function assertSquareMatrix(value) {
+  if (value.type !== 'matrix' || value.rows.some(row => row.length !== value.rows.length)) {
+    throw new Error('正方行列ではありません');
+  }
+}
+
+/**
+ * 変数を含む正方行列の行列式を余因子展開で求める関数
+ */
+function symbolicDeterminant(rows) {
+  if (rows.length === 1) {
+    return rows[0][0];
+  }
+  const terms = rows[0].map((entry, j) => {
+    const minor = rows.slice(1).map(row => row.filter((_, k) => k !== j));
+    return `${j % 2 === 0 ? '+' : '-'}(${entry})*(${symbolicDeterminant(minor)})`;
+  });
+  return simplifyMatrixEntry(terms.join(''));
+}
+
+/**
+ * 変数を含む行列の積を求める関数
+ */
+function multiplySymbolicMatrices(left, right) {
+  if (left.rows[0].length !== right.rows.length) {
+    throw new Error('行列の大きさが合いません');
+  }
+  return symbolicMatrix(left.rows.map(row =>
+    right.rows[0].map((_, j) => row.map((entry, k) => `(${entry})*(${right.rows[k][j]})`).join('+'))
+  ));
+}
+
+/**
+ * 変数を含む正方行列の逆行列を余因子行列と行列式から求める関数
+ */
+function invertSymbolicMatrix(value) {
+  assertSquareMatrix(value);
+  const determinant = symbolicDeterminant(value.rows);
+  if (determinant === '0') {
+    throw new Error('行列式が 0 のため逆行列はありません');
+  }
+  const size = value.rows.length;
+  if (size === 1) {
+    return symbolicMatrix([[`1/(${determinant})`]]);
+  }
+  // 逆行列の (i, j) 要素は (j, i) 余因子 / 行列式
+  return symbolicMatrix(value.rows.map((_, i) => value.rows.map((_, j) => {
+    const minor = value.rows.filter((_, k) => k !== j).map(row => row.filter((_, l) => l !== i));
+    return `${(i + j) % 2 === 0 ? '' : '-'}(${symbolicDeterminant(minor)})/(${determinant})`;
+  })));
+}
+
+/**
+ * 変数を含む行列の累乗（指数は整数、負の指数は逆行列の累乗）を求める関数
+ */
+function powerSymbolicMatrix(value, exponentText) {
+  assertSquareMatrix(value);
+  let exponent;
+  try {
+    exponent = math.evaluate(exponentText);
+  } catch (e) {
+    exponent = null;
+  }
+  if (!Number.isInteger(exponent)) {
+    throw new Error('行列の累乗の指数は整数にしてください');
+  }
+  const base = exponent < 0 ? invertSymbolicMatrix(value) : value;
+  let result = symbolicMatrix(value.rows.map((row, i) => row.map((_, j) => (i === j ? '1' : '0'))));
+  for (let i = 0; i < Math.abs(exponent); i++) {
+    result = multiplySymbolicMatrices(result, base);
+  }
+  return result;
+}
+
+/**
+ * 変数を含む行列の式を計算する関数
+ * 行列を含まない部分式はスカラーの式として nerdamer に渡し、行列の和・差・積・スカラー倍・累乗・転置・行列式・トレースは要素ごとに計算する
+ * @param {Object} node - 抽象構文木のノード
+ * @returns {Object} - スカラー {type: 'scalar', text} または行列 {type: 'matrix', rows}
+ */
+function evaluateSymbolicMatrix(node) {
+  if (!containsMatrix(node)) {
+    return { type: 'scalar', text: astToString(node) };
+  }
+
+  switch (node.type) {
+    case 'MatrixExpression':
+      return symbolicMatrix(node.rows.map(row => row.map(entry => toScalarText(evaluateSymbolicMatrix(entry)))));
+
+    case 'ParenthesizedExpression':
+      return evaluateSymbolicMatrix(node.expression);
+
+    case 'UnaryExpression': {
+      const operand = evaluateSymbolicMatrix(node.operand);
+      if (node.operator !== '-' || operand.type === 'scalar') {
+        return node.operator === '-' ? { type: 'scalar', text: `-(${operand.text})` } : operand;
+      }
+      return symbolicMatrix(operand.rows.map(row => row.map(entry => `-(${entry})`)));
+    }
+
+    case 'PostfixExpression': {
+      if (!isTransposeNode(node)) {
+        throw new Error(`${node.operator} は変数を含む行列には使えません`);
+      }
+      // 行列式・トレースなどスカラーの転置はそのまま
+      const value = evaluateSymbolicMatrix(node.operand);
+      if (value.type === 'scalar') {
+        return value;
+      }
+      return { type: 'matrix', rows: value.rows[0].map((_, j) => value.rows.map(row => row[j])) };
+    }
+
+    case 'BinaryExpression': {
+      const left = evaluateSymbolicMatrix(node.left);
+      const right = evaluateSymbolicMatrix(node.right);
+      const scalarOperation = (scalar, matrix, combine) =>
+        symbolicMatrix(matrix.rows.map(row => row.map(entry => combine(`(${scalar.text})`, `(${entry})`))));
+
+      // 行列式・トレースどうしの計算などスカラーの演算はそのまま式にする
+      if (left.type === 'scalar' && right.type === 'scalar') {
+        return { type: 'scalar', text: `(${left.text})${node.operator}(${right.text})` };
+      }
+
+      switch (node.operator) {
+        case '+':
+        case '-':
+          if (left.type !== right.type) {
+            throw new Error('行列とスカラーは足し引きできません');
+          }
+          if (left.rows.length !== right.rows.length || left.rows[0].length !== right.rows[0].length) {
+            throw new Error('行列の大きさが合いません');
+          }
+          return symbolicMatrix(left.rows.map((row, i) => row.map((entry, j) => `(${entry})${node.operator}(${right.rows[i][j]})`)));
+
+        case '*':
+          if (left.type === 'scalar') {
+            return scalarOperation(left, right, (a, b) => `${a}*${b}`);
+          }
+          if (right.type === 'scalar') {
+            return scalarOperation(right, left, (a, b) => `${b}*${a}`);
+          }
+          return multiplySymbolicMatrices(left, right);
+
+        case '/':
+          if (right.type !== 'scalar') {
+            throw new Error('行列では割れません（逆行列 A^{-1} を掛けてください）');
+          }
+          return scalarOperation(right, left, (a, b) => `${b}/${a}`);
+
+        case '^':
+          if (right.type !== 'scalar') {
+            throw new Error('行列の累乗の指数は整数にしてください');
+          }
+          return powerSymbolicMatrix(left, right.text);
+      }
+      break;
+    }
+
+    case 'FunctionCall': {
+      const value = node.arguments.length === 1 ? evaluateSymbolicMatrix(node.arguments[0]) : null;
+      if (value?.type === 'matrix' && node.name === '\\det') {
+        assertSquareMatrix(value);
+        return { type: 'scalar', text: symbolicDeterminant(value.rows) };
+      }
+      if (value?.type === 'matrix' && ['\\tr', '\\trace'].includes(node.name)) {
+        assertSquareMatrix(value);
+        return { type: 'scalar', text: simplifyMatrixEntry(value.rows.map((row, i) => `(${row[i]})`).join('+')) };
+      }
+      throw new Error(`${node.name} は変数を含む行列には使えません`);
+    }
+  }
+  throw new Error('変数を含む行列では計算できない式です');
+}
+
+/**
+ * 変数を含む行列の式を計算して LaTeX 形式に変換する関数
+ * @param {Object} ast - 抽象構文木
+ * @returns {Object} - 計算エンジンと結果のLaTeX表現
+ */
+function evaluateSymbolicMatrixToLatex(ast) {
+  const nerdamerInstance = getNerdamer();
+  const value = evaluateSymbolicMatrix(ast);
+  if (value.type === 'scalar') {
+    return { engine: 'nerdamer', latex: `\\displaystyle ${nerdamerInstance(simplifyMatrixEntry(value.text)).toTeX()}` };
+  }
+  const body = value.rows.map(row => row.map(entry => nerdamerInstance(entry).toTeX()).join(' & ')).join(' \\\\ ');
+  return { engine: 'nerdamer', latex: `\\displaystyle \\begin{pmatrix}${body}\\end{pmatrix}` };
+}
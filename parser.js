@@ -16,17 +16,77 @@ const ASTNodeType = {
   MATRIX_EXPRESSION: 'MatrixExpression',
   COMPARISON_EXPRESSION: 'ComparisonExpression',
   ASSIGNMENT_EXPRESSION: 'AssignmentExpression',
-  PARENTHESIZED_EXPRESSION: 'ParenthesizedExpression'
+  PARENTHESIZED_EXPRESSION: 'ParenthesizedExpression',
+  SUBSCRIPT: 'Subscript',
+  LIMIT: 'Limit',
+  DERIVATIVE: 'Derivative',
+  INTEGRAL: 'Integral',
+  EQUATION_SYSTEM: 'EquationSystem',
+  FUNCTION_DEFINITION: 'FunctionDefinition',
+  POSTFIX_EXPRESSION: 'PostfixExpression',
+  UNIT: 'Unit',
+  UNIT_CONVERSION: 'UnitConversion'
 };
 
+// 極限の矢印として使えるコマンド
+const LIMIT_ARROWS = ['\\to', '\\rightarrow'];
+
+// プライム記号の微分（f'(x)）で関数の引数を表す変数
+const PRIME_VARIABLE = 't_prime';
+
+// バックスラッシュなしで関数として解析する組み込み関数（atan2(y, x)）
+const BUILTIN_FUNCTION_NAMES = ['atan2'];
+
+// 行列として解析する LaTeX 環境
+const MATRIX_ENVIRONMENTS = ['pmatrix', 'bmatrix', 'vmatrix', 'matrix'];
+
+// 省略乗算の因子にしないコマンド（環境の終わり、極形式の角度記号、極限の矢印、偏微分の記号）
+const NON_FACTOR_COMMANDS = ['\\end', '\\angle', '\\partial', ...LIMIT_ARROWS];
+
+// 括弧のない関数の引数（\sin 2\pi x）に続けて含めるコマンド（定数と分数）
+const ARGUMENT_FACTOR_COMMANDS = ['\\pi', '\\infty', '\\frac'];
+
+// 1文字ずつの変数の積に分割しない識別子（定数、計算結果の参照）
+const UNSPLIT_IDENTIFIERS = ['pi', 'ans', 'Infinity'];
+
+/**
+ * 計算エンジンの関数名（math.js の関数、または \arcsin など計算エンジンで名前の異なる関数）かどうか
+ * バックスラッシュなしの関数呼び出し sin(x), sqrt(16), max(1, 2) を関数コマンドとして解析するために使う
+ */
+function isEngineFunctionName(name) {
+  return `\\${name}` in FUNCTION_NAMES || (/^[a-z]{2,}$/.test(name) && typeof math[name] === 'function');
+}
+
+/**
+ * 構文エラー
+ * 位置情報（start, end）付きのエラー一覧を保持します
+ */
+class ParseError extends Error {
+  constructor(errors) {
+    super(errors.map(error => error.message).join('\n'));
+    this.name = 'ParseError';
+    this.errors = errors;
+  }
+}
+
 /**
  * 構文解析器クラス
  */
 class Parser {
-  constructor(tokens) {
-    this.tokens = tokens;
+  /**
+   * @param {Array} tokens - トークン列
+   * @param {Object} options - functions: ユーザー定義関数の 関数名 → 引数の数（f(2) を関数呼び出しとして解析する）、
+   *                           variables: ユーザー定義の変数名の配列（単位名と同じ名前でも変数として解析する）
+   */
+  constructor(tokens, options = {}) {
+    // 識別子の分割（xy → x, y）でトークン列を書き換えるため複製する
+    this.tokens = [...tokens];
     this.position = 0;
+    // 解析中の積分の深さ（積分の中では積分変数 dx を省略乗算の因子にしない）
+    this.integralDepth = 0;
     this.errors = [];
+    this.userFunctions = new Map(Object.entries(options.functions || {}));
+    this.userVariables = new Set(options.variables || []);
   }
 
   /**
@@ -52,7 +112,7 @@ class Parser {
     }
     
     if (expectedType && token.type !== expectedType) {
-      this.addError(`${expectedType}が必要ですが、${token.type}が見つかりました。`);
+      this.addError(`${expectedType}が必要ですが、「${token.value}」(${token.type})が見つかりました。`);
       return null;
     }
     
@@ -61,17 +121,54 @@ class Parser {
   }
 
   /**
-   * エラーを追加
+   * 現在のトークンが指定のタイプなら消費して返す（違う場合はエラーにせず null を返す）
    */
-  addError(message) {
-    const token = this.peek();
-    let errorMsg = message;
+  accept(type) {
+    if (this.peek()?.type === type) {
+      return this.consume();
+    }
+    return null;
+  }
+
+  /**
+   * 解析を試み、失敗（null）した場合は位置とエラーを元に戻す
+   * @param {Function} parseFunction - 解析関数
+   * @returns {Object|null} - 解析結果
+   */
+  tryParse(parseFunction) {
+    const position = this.position;
+    const errorCount = this.errors.length;
+    const result = parseFunction();
     
-    if (token) {
-      errorMsg += ` トークン: ${token.value} (${token.type})`;
+    if (!result) {
+      this.position = position;
+      this.errors.length = errorCount;
     }
+    return result;
+  }
+
+  /**
+   * エラーを追加
+   * token を省略した場合は現在のトークンの位置をエラー範囲とする
+   */
+  addError(message, token = this.peek()) {
+    const span = token ? { start: token.start, end: token.end } : this.endOfInputSpan();
     
-    this.errors.push(errorMsg);
+    this.errors.push({
+      message,
+      token: token || null,
+      start: span.start,
+      end: span.end
+    });
+  }
+
+  /**
+   * 入力の終わりを指す範囲を返す
+   */
+  endOfInputSpan() {
+    const last = this.tokens[this.tokens.length - 1];
+    const position = last ? last.end : 0;
+    return { start: position, end: position };
   }
 
   /**
@@ -79,23 +176,31 @@ class Parser {
    */
   parse() {
     try {
-      const result = this.parseExpression();
+      const result = this.parseEquationSystem();
       
       // 解析後にまだトークンが残っている場合
       if (this.position < this.tokens.length) {
         const remaining = this.tokens.slice(this.position);
-        this.addError(`解析が完了しましたが、未処理のトークンが残っています: ${remaining.map(t => t.value).join(' ')}`);
+        this.errors.push({
+          message: `解析が完了しましたが、未処理のトークンが残っています: ${remaining.map(t => t.value).join(' ')}`,
+          token: remaining[0],
+          start: remaining[0].start,
+          end: remaining[remaining.length - 1].end
+        });
       }
       
       // エラーがある場合は例外をスロー
       if (this.errors.length > 0) {
-        throw new Error(this.errors.join('\n'));
+        throw new ParseError(this.errors);
       }
       
       return result;
     } catch (e) {
+      if (e instanceof ParseError) {
+        throw e;
+      }
       if (this.errors.length > 0) {
-        throw new Error(this.errors.join('\n'));
+        throw new ParseError(this.errors);
       }
       throw e;
     }
@@ -116,13 +221,58 @@ class Parser {
     // 数値リテラル
     if (token.type === 'Number') {
       this.consume();
-      return { type: ASTNodeType.NUMBER_LITERAL, value: token.value };
+      return { type: ASTNodeType.NUMBER_LITERAL, value: token.numericValue ?? token.value };
     }
     
     // 識別子（変数、定数）
     if (token.type === 'Identifier') {
+      // 微分演算子 d/dx(...)
+      if (token.value === 'd') {
+        const derivative = this.tryParse(() => this.parseLeibnizSlash());
+        if (derivative) {
+          return derivative;
+        }
+      }
+      
+      // バックスラッシュのない関数名の呼び出し（sin(x)）は関数コマンド（\sin(x)）として解析する
+      if (this.isBareFunctionCall(token)) {
+        this.tokens[this.position] = { ...token, type: 'Command', value: `\\${token.value}` };
+        return this.parsePrimary();
+      }
+      
+      // 定義済みの名前でない複数文字の識別子（xy）は1文字ずつの変数の積にする
+      if (this.shouldSplitIdentifier(token)) {
+        this.splitIdentifier(token);
+        return this.parsePrimary();
+      }
+      
       this.consume();
-      return { type: ASTNodeType.IDENTIFIER, value: token.value };
+      
+      // プライム記号の微分 f'(x)（括弧の続かない A' は転置の後置演算子とする）
+      if (this.isPrimeDerivativeAhead()) {
+        return this.parsePrimeDerivative(token.value);
+      }
+      
+      // ユーザー定義関数・組み込み関数の呼び出し f(2), atan2(1, 1)、または関数の定義 f(x) = ...
+      if (
+        this.peek()?.type === 'LParen' && 
+        (
+          this.userFunctions.has(token.value) || 
+          BUILTIN_FUNCTION_NAMES.includes(token.value) || 
+          this.isFunctionDefinitionAhead()
+        )
+      ) {
+        return this.parseUserFunctionCall(token.value);
+      }
+      
+      const identifier = { type: ASTNodeType.IDENTIFIER, value: token.value };
+      
+      // 添字付きの変数（x_1, a_{n}）
+      if (this.peek()?.type === 'Underscore') {
+        return this.parseIndexedVariable(identifier);
+      }
+      
+      return identifier;
     }
     
     // 関数呼び出し
@@ -135,6 +285,46 @@ class Parser {
         return this.parseFracCommand();
       }
       
+      // \begin{...} 環境の処理
+      if (funcName === '\\begin') {
+        return this.parseEnvironment(token);
+      }
+      
+      // 極限 \lim_{x \to a}
+      if (funcName === '\\lim') {
+        return this.parseLimit(token);
+      }
+      
+      // 積分 \int_a^b f\,dx, ∫(f, a, b)dx
+      if (funcName === '\\int') {
+        return this.parseIntegral(token);
+      }
+      
+      // 無限大は定数として扱う
+      if (funcName === '\\infty') {
+        return { type: ASTNodeType.IDENTIFIER, value: 'Infinity' };
+      }
+      
+      // 円周率も定数として扱う（2e^{i\pi/3}）
+      if (funcName === '\\pi') {
+        return { type: ASTNodeType.IDENTIFIER, value: 'π' };
+      }
+      
+      // プライム記号の微分 \sin'(x)
+      if (this.peek()?.type === 'Prime') {
+        return this.parsePrimeDerivative(funcName);
+      }
+      
+      // 添字（\log_2, \log_{10} の底）
+      let subscript = null;
+      if (this.peek()?.type === 'Underscore') {
+        const underscore = this.peek();
+        subscript = this.parseSubscript();
+        if (funcName !== '\\log') {
+          this.addError(`${funcName} に添字は使用できません。`, underscore);
+        }
+      }
+      
       // 引数リストの解析
       let args = [];
       
@@ -169,7 +359,12 @@ class Parser {
         this.consume('RParen');
       } else {
         // 括弧がない場合は次の式を引数として扱う
-        args.push(this.parsePrimary());
+        args.push(this.parseFunctionArgument());
+      }
+      
+      // \log_b{x} は底 b の対数 log(x, b) とする
+      if (subscript) {
+        args.push(subscript);
       }
       
       return { 
@@ -179,10 +374,47 @@ class Parser {
       };
     }
     
+    // 計算結果の参照 \#3 は ans_3 と同じ添字付きの変数とする
+    if (token.type === 'ResultReference') {
+      this.consume();
+      return {
+        type: ASTNodeType.SUBSCRIPT,
+        base: { type: ASTNodeType.IDENTIFIER, value: 'ans' },
+        subscript: { type: ASTNodeType.NUMBER_LITERAL, value: token.value },
+        name: `ans_${token.value}`
+      };
+    }
+    
+    // 数値のない単位（\mathrm{m}）
+    if (token.type === 'Unit') {
+      return this.parseUnitExpression();
+    }
+    
+    // 絶対値 |z|
+    if (token.type === 'Pipe') {
+      this.consume('Pipe');
+      const expression = this.parseExpression();
+      this.consume('Pipe');
+      return {
+        type: ASTNodeType.FUNCTION_CALL,
+        name: '\\abs',
+        arguments: [expression]
+      };
+    }
+    
     // 括弧で囲まれた式
     if (token.type === 'LParen') {
       this.consume('LParen');
       const expr = this.parseExpression();
+      // カンマで区切った組 (x, y)（点、媒介変数表示の曲線）は配列とする
+      if (this.peek()?.type === 'Comma') {
+        const elements = [expr];
+        while (this.accept('Comma')) {
+          elements.push(this.parseExpression());
+        }
+        this.consume('RParen');
+        return { type: ASTNodeType.ARRAY_EXPRESSION, elements };
+      }
       this.consume('RParen');
       return {
         type: ASTNodeType.PARENTHESIZED_EXPRESSION,
@@ -200,22 +432,287 @@ class Parser {
       return this.parseMatrixExpression();
     }
     
-    // 単項演算子
-    if (token.type === 'Plus' || token.type === 'Minus') {
-      const operator = this.consume().value;
-      const operand = this.parsePrimary();
+    this.addError(`予期せぬトークンです: 「${token.value}」(${token.type})`);
+    this.consume(); // エラー回復のため次に進む
+    return null;
+  }
+
+  /**
+   * 括弧のない関数の引数の解析
+   * 次の関数の前までの省略乗算の積を引数とする（\sin 2x = \sin(2x), \sin x \cos x = \sin(x) \cos(x)）
+   * \sin 30° の度の記号、\sin -x の符号、\sin x^2 の累乗も引数に含める
+   */
+  parseFunctionArgument() {
+    const token = this.peek();
+    if (token?.type === 'Plus' || token?.type === 'Minus') {
       return {
         type: ASTNodeType.UNARY_EXPRESSION,
-        operator,
-        operand
+        operator: this.consume().value,
+        operand: this.parseFunctionArgument()
       };
     }
+    return this.parseImplicitProduct(true);
+  }
+
+  /**
+   * 現在の識別子がバックスラッシュのない関数名の呼び出し（sin(x), sqrt(16), rref(A)）かどうか
+   * 定義済みの変数・関数、組み込み関数、ギリシャ文字、関数の定義の左辺（max(a, b) = ...）は除く
+   * @param {Object} token - 識別子のトークン
+   */
+  isBareFunctionCall(token) {
+    const name = token.value;
+    if (
+      token.greek || 
+      this.peek(1)?.type !== 'LParen' || 
+      this.userVariables.has(name) || 
+      this.userFunctions.has(name) || 
+      BUILTIN_FUNCTION_NAMES.includes(name) || 
+      this.isFunctionDefinitionAhead(1)
+    ) {
+      return false;
+    }
+    return isEngineFunctionName(name);
+  }
+
+  /**
+   * 現在の識別子を1文字ずつの変数の積に分割するかどうか
+   * ギリシャ文字（\theta）、定義済みの変数・関数、組み込み関数、定数、数字を含む名前（x2）、
+   * 関数の定義の左辺（area(r) = ...）、変数の定義の左辺（speed = 3）は分割しない
+   * @param {Object} token - 識別子のトークン
+   */
+  shouldSplitIdentifier(token) {
+    const name = token.value;
+    if (
+      token.greek || 
+      !/^[a-zA-Zπ]{2,}$/.test(name) || 
+      this.userVariables.has(name) || 
+      this.userFunctions.has(name) || 
+      BUILTIN_FUNCTION_NAMES.includes(name) || 
+      UNSPLIT_IDENTIFIERS.includes(name)
+    ) {
+      return false;
+    }
+    if (this.peek(1)?.type === 'LParen' && this.isFunctionDefinitionAhead(1)) {
+      return false;
+    }
+    const isStatementStart = this.position === 0 || this.peek(-1)?.type === 'Semicolon';
+    return !(isStatementStart && this.peek(1)?.type === 'Equals');
+  }
+
+  /**
+   * 現在の識別子のトークンを1文字ずつの識別子のトークンに置き換える
+   * @param {Object} token - 識別子のトークン
+   */
+  splitIdentifier(token) {
+    const letters = [...token.value].map((letter, i) => ({
+      type: 'Identifier',
+      value: letter,
+      start: token.start + i,
+      end: token.start + i + 1
+    }));
+    this.tokens.splice(this.position, 1, ...letters);
+  }
+
+  /**
+   * 添字の解析
+   * _2 のような1トークン、または _{式} の形式
+   * @returns {Object} - 添字の式
+   */
+  parseSubscript() {
+    this.consume('Underscore');
+    return this.parseScriptArgument('添字が見つかりません。_数値、_変数 または _{式} の形式が必要です。');
+  }
+
+  /**
+   * 添字・上付き（_ や ^ の後）の引数の解析
+   * 数値・変数・\infty の1トークン、または {式} の形式
+   * @param {string} errorMessage - 引数がない場合のエラーメッセージ
+   * @returns {Object|null} - 引数の式
+   */
+  parseScriptArgument(errorMessage) {
+    if (this.peek()?.type === 'LBrace') {
+      this.consume('LBrace');
+      const argument = this.parseExpression();
+      this.consume('RBrace');
+      return argument;
+    }
     
-    this.addError(`予期せぬトークンです: ${token.type}`);
-    this.consume(); // エラー回復のため次に進む
+    const token = this.peek();
+    if (token?.type === 'Number' || token?.type === 'Identifier') {
+      this.consume();
+      return token.type === 'Number'
+        ? { type: ASTNodeType.NUMBER_LITERAL, value: token.numericValue ?? token.value }
+        : { type: ASTNodeType.IDENTIFIER, value: token.value };
+    }
+    if (token?.type === 'Command' && token.value === '\\infty') {
+      this.consume();
+      return { type: ASTNodeType.IDENTIFIER, value: 'Infinity' };
+    }
+    
+    this.addError(errorMessage);
     return null;
   }
 
+  /**
+   * ユーザー定義関数・組み込み関数（atan2）の呼び出しの解析（関数名の後から）
+   * @param {string} name - 関数名
+   */
+  parseUserFunctionCall(name) {
+    const nameToken = this.tokens[this.position - 1];
+    this.consume('LParen');
+    const args = [];
+    if (this.peek()?.type !== 'RParen') {
+      args.push(this.parseExpression());
+      while (this.accept('Comma')) {
+        args.push(this.parseExpression());
+      }
+    }
+    this.consume('RParen');
+    
+    // 定義済みの関数の呼び出しでは引数の数を確認する（定義の左辺 f(x) = では確認しない）
+    const parameterCount = this.userFunctions.get(name);
+    if (parameterCount !== undefined && args.length !== parameterCount && this.peek()?.type !== 'Equals') {
+      this.addError(`関数 ${name} の引数は ${parameterCount} 個です。`, nameToken);
+    }
+    
+    return { type: ASTNodeType.FUNCTION_CALL, name, arguments: args };
+  }
+
+  /**
+   * 現在位置から関数の定義の左辺 (x, y) = が続くかどうか
+   * @param {number} offset - 調べ始める位置（現在位置からのずれ）
+   */
+  isFunctionDefinitionAhead(offset = 0) {
+    if (this.peek(offset++)?.type !== 'LParen' || this.peek(offset++)?.type !== 'Identifier') {
+      return false;
+    }
+    while (this.peek(offset)?.type === 'Comma') {
+      if (this.peek(offset + 1)?.type !== 'Identifier') {
+        return false;
+      }
+      offset += 2;
+    }
+    return this.peek(offset)?.type === 'RParen' && this.peek(offset + 1)?.type === 'Equals';
+  }
+
+  /**
+   * 代入の左辺にできる式（変数、またはユーザー定義関数 f(x, y)）かどうか
+   */
+  isAssignmentTarget(node) {
+    if (node?.type === ASTNodeType.IDENTIFIER || node?.type === ASTNodeType.SUBSCRIPT) {
+      return true;
+    }
+    return node?.type === ASTNodeType.FUNCTION_CALL && 
+      !node.name.startsWith('\\') && 
+      !BUILTIN_FUNCTION_NAMES.includes(node.name) && 
+      node.arguments.every(arg => arg?.type === ASTNodeType.IDENTIFIER);
+  }
+
+  /**
+   * 添字付きの変数の解析
+   * x_1, a_{n} のような形式で、x_1 を1つの変数名として扱う
+   * @param {Object} base - 添字の前の識別子
+   */
+  parseIndexedVariable(base) {
+    const underscore = this.peek();
+    const subscript = this.parseSubscript();
+    if (!subscript) {
+      return null;
+    }
+    
+    // 変数名にできるのは整数か識別子の添字のみ
+    const isInteger = subscript.type === ASTNodeType.NUMBER_LITERAL && /^\d+$/.test(subscript.value);
+    if (!isInteger && subscript.type !== ASTNodeType.IDENTIFIER) {
+      this.addError('変数の添字には整数か変数名のみ使用できます。', underscore);
+      return null;
+    }
+    
+    return {
+      type: ASTNodeType.SUBSCRIPT,
+      base,
+      subscript,
+      name: `${base.value}_${subscript.value}`
+    };
+  }
+
+  /**
+   * 極限の解析
+   * \lim_{x \to a} f(x) の形式で、片側極限（x \to 0^+, x \to 0^-）にも対応
+   * 極限をとる式は \lim の後の1つの項（乗除算まで）とする
+   * @param {Object} limToken - \lim コマンドのトークン（エラー位置の表示用）
+   */
+  parseLimit(limToken) {
+    if (this.peek()?.type !== 'Underscore') {
+      this.addError('\\lim には _{変数 \\to 値} が必要です。', limToken);
+      return null;
+    }
+    this.consume('Underscore');
+    
+    if (!this.consume('LBrace')) {
+      return null;
+    }
+    const variableToken = this.consume('Identifier');
+    if (!variableToken) {
+      return null;
+    }
+    
+    const arrow = this.peek();
+    if (arrow?.type === 'Command' && LIMIT_ARROWS.includes(arrow.value)) {
+      this.consume();
+    } else {
+      this.addError('極限の変数の後には \\to が必要です。');
+      return null;
+    }
+    
+    const target = this.parseExpression();
+    
+    // 片側極限の方向
+    let direction = 'both';
+    if (this.isLimitDirection()) {
+      this.consume('Power');
+      const hasBrace = this.peek()?.type === 'LBrace';
+      if (hasBrace) {
+        this.consume('LBrace');
+      }
+      direction = this.consume().type === 'Plus' ? 'right' : 'left';
+      if (hasBrace) {
+        this.consume('RBrace');
+      }
+    }
+    
+    if (!this.consume('RBrace')) {
+      return null;
+    }
+    
+    const body = this.parseTerm();
+    
+    return {
+      type: ASTNodeType.LIMIT,
+      variable: variableToken.value,
+      target,
+      direction,
+      body
+    };
+  }
+
+  /**
+   * 現在位置が片側極限の方向（^+, ^-, ^{+}, ^{-} の直後に } が続く形）かどうか
+   */
+  isLimitDirection() {
+    const isSign = token => token?.type === 'Plus' || token?.type === 'Minus';
+    
+    if (this.peek()?.type !== 'Power') {
+      return false;
+    }
+    if (isSign(this.peek(1)) && this.peek(2)?.type === 'RBrace') {
+      return true;
+    }
+    return this.peek(1)?.type === 'LBrace' && 
+           isSign(this.peek(2)) && 
+           this.peek(3)?.type === 'RBrace' && 
+           this.peek(4)?.type === 'RBrace';
+  }
+
   /**
    * 配列式の解析
    * [1, 2, 3] のような形式
@@ -248,6 +745,12 @@ class Parser {
    * \frac{分子}{分母} の形式
    */
   parseFracCommand() {
+    // 微分演算子 \frac{d}{dx}, \frac{\partial}{\partial x}
+    const derivative = this.tryParse(() => this.parseLeibnizFraction());
+    if (derivative) {
+      return derivative;
+    }
+    
     let numerator = null;
     let denominator = null;
     
@@ -279,82 +782,739 @@ class Parser {
   }
 
   /**
-   * 行列式の解析
-   * {1, 2; 3, 4} のような形式
+   * LaTeX 環境の解析
+   * \begin{pmatrix} 1 & 2 \\ 3 & 4 \end{pmatrix} のような形式
+   * pmatrix, bmatrix, matrix は行列、vmatrix は行列式（\det）として扱う
+   * @param {Object} beginToken - \begin コマンドのトークン（エラー位置の表示用）
    */
-  parseMatrixExpression() {
-    this.consume('LBrace');
-    const rows = [];
-    let currentRow = [];
+  parseEnvironment(beginToken) {
+    const nameToken = this.parseEnvironmentName();
+    if (!nameToken) {
+      return null;
+    }
     
-    // 空の行列
-    if (this.peek()?.type === 'RBrace') {
-      this.consume('RBrace');
-      return { type: ASTNodeType.MATRIX_EXPRESSION, rows };
+    const environment = nameToken.value;
+    if (!MATRIX_ENVIRONMENTS.includes(environment)) {
+      this.addError(`未対応の環境です: ${environment}`, nameToken);
+      return null;
     }
     
-    // 最初の要素
-    currentRow.push(this.parseExpression());
+    const rows = [];
+    let currentRow = [];
+    let expectsElement = false;
     
-    // 行と列の解析
-    while (this.peek() && this.peek().type !== 'RBrace') {
-      if (this.peek().type === 'Comma') {
-        // 同じ行の次の要素
-        this.consume('Comma');
+    while (!this.isEnvironmentEnd()) {
+      const token = this.peek();
+      if (!token) {
+        this.addError(`\\end{${environment}} が見つかりません。`);
+        return null;
+      }
+      
+      // 要素の解析（& や \\ が続く場合は要素が空）
+      if (token.type === 'Ampersand' || token.type === 'RowSeparator') {
+        this.addError('行列の要素が空です。');
+      } else {
         currentRow.push(this.parseExpression());
-      } else if (this.peek().type === 'Semicolon') {
+      }
+      expectsElement = false;
+      
+      const separator = this.peek();
+      if (separator?.type === 'Ampersand') {
+        // 同じ行の次の要素
+        this.consume('Ampersand');
+        expectsElement = true;
+      } else if (separator?.type === 'RowSeparator') {
         // 次の行
-        this.consume('Semicolon');
+        this.consume('RowSeparator');
         rows.push(currentRow);
         currentRow = [];
-        currentRow.push(this.parseExpression());
-      } else {
-        this.addError(`行列内で予期せぬトークンです: ${this.peek().type}`);
+      } else if (separator && !this.isEnvironmentEnd()) {
+        this.addError(`行列内で予期せぬトークンです: 「${separator.value}」(${separator.type})`);
         this.consume(); // エラー回復のため次に進む
       }
     }
     
-    // 最後の行を追加
+    if (expectsElement) {
+      this.addError('行列の要素が空です。');
+    }
+    
+    // 最後の行を追加（末尾の \\ による空行は無視する）
     if (currentRow.length > 0) {
       rows.push(currentRow);
     }
     
-    this.consume('RBrace');
-    return { type: ASTNodeType.MATRIX_EXPRESSION, rows };
+    if (rows.some(row => row.length !== rows[0].length)) {
+      this.addError('行列の各行の要素数が一致しません。', beginToken);
+    }
+    
+    // \end{...} の解析
+    const endToken = this.consume('Command');
+    const endNameToken = this.parseEnvironmentName();
+    if (endNameToken && endNameToken.value !== environment) {
+      this.addError(`\\begin{${environment}} に対応する \\end{${environment}} が必要です。`, endNameToken);
+    }
+    if (!endToken || !endNameToken) {
+      return null;
+    }
+    
+    const matrix = { type: ASTNodeType.MATRIX_EXPRESSION, rows, environment };
+    
+    // vmatrix は行列式
+    if (environment === 'vmatrix') {
+      return {
+        type: ASTNodeType.FUNCTION_CALL,
+        name: '\\det',
+        arguments: [matrix]
+      };
+    }
+    
+    return matrix;
   }
 
   /**
-   * 累乗演算子の解析
+   * 環境名 {name} の解析
+   * @returns {Object} - 環境名の識別子トークン
    */
-  parseExponent() {
-    let node = this.parsePrimary();
-    
-    while (this.peek()?.type === 'Power') {
-      const operator = this.consume().value;
-      const right = this.parsePrimary();
-      node = { 
-        type: ASTNodeType.BINARY_EXPRESSION, 
+  parseEnvironmentName() {
+    if (!this.consume('LBrace')) {
+      return null;
+    }
+    const nameToken = this.consume('Identifier');
+    if (!nameToken || !this.consume('RBrace')) {
+      return null;
+    }
+    return nameToken;
+  }
+
+  /**
+   * 現在のトークンが \end コマンドかどうか
+   */
+  isEnvironmentEnd() {
+    const token = this.peek();
+    return token?.type === 'Command' && token.value === '\\end';
+  }
+
+  /**
+   * 積分の解析
+   * \int_a^b f\,dx（定積分）、\int f\,dx（不定積分）、∫(f, a, b)dx の形式
+   * 積分する式は積分変数（dx）の直前までとする
+   * @param {Object} intToken - \int コマンドのトークン（エラー位置の表示用）
+   */
+  parseIntegral(intToken) {
+    let lower = null;
+    let upper = null;
+    
+    if (this.accept('Underscore')) {
+      lower = this.parseScriptArgument('積分の下限が見つかりません。_数値、_変数 または _{式} の形式が必要です。');
+    }
+    if (this.accept('Power')) {
+      upper = this.parseScriptArgument('積分の上限が見つかりません。^数値、^変数 または ^{式} の形式が必要です。');
+    }
+    if ((lower === null) !== (upper === null)) {
+      this.addError('定積分には下限と上限の両方が必要です。', intToken);
+    }
+    
+    // 関数形式 ∫(f, a, b)dx
+    if (!lower && !upper) {
+      const integral = this.tryParse(() => this.parseIntegralArguments());
+      if (integral) {
+        return integral;
+      }
+    }
+    
+    this.integralDepth++;
+    const body = this.parseExpression();
+    this.integralDepth--;
+    const variable = this.parseDifferential();
+    
+    return { type: ASTNodeType.INTEGRAL, body, variable, lower, upper };
+  }
+
+  /**
+   * 関数形式の積分の引数の解析
+   * (f, a, b)dx の形式（カンマがない場合は積分の式として解析し直すため null を返す）
+   */
+  parseIntegralArguments() {
+    if (!this.accept('LParen')) {
+      return null;
+    }
+    const body = this.parseExpression();
+    if (!this.accept('Comma')) {
+      return null;
+    }
+    const lower = this.parseExpression();
+    this.consume('Comma');
+    const upper = this.parseExpression();
+    this.consume('RParen');
+    const variable = this.parseDifferential();
+    
+    return { type: ASTNodeType.INTEGRAL, body, variable, lower, upper };
+  }
+
+  /**
+   * 積分変数（dx, d x）の解析
+   * @returns {string|null} - 積分変数の名前
+   */
+  parseDifferential() {
+    const token = this.peek();
+    if (this.isDifferentialToken(token)) {
+      this.consume();
+      return token.value.substring(1);
+    }
+    if (token?.type === 'Identifier' && token.value === 'd' && this.peek(1)?.type === 'Identifier') {
+      this.consume();
+      return this.consume().value;
+    }
+    
+    this.addError('積分変数（dx など）が必要です。');
+    return null;
+  }
+
+  /**
+   * トークンが dx のような d と変数名をつなげた識別子かどうか（ギリシャ文字の δ は含めない）
+   */
+  isDifferentialToken(token) {
+    return token?.type === 'Identifier' && !token.greek && /^d[a-zA-Zπ]/.test(token.value);
+  }
+
+  /**
+   * 分数形式の微分演算子の解析（\frac の後から）
+   * \frac{d}{dx}, \frac{d^2}{dx^2}, \frac{\partial}{\partial y}, \frac{\partial^2}{\partial x \partial y} の形式
+   * 微分する式は演算子の後の1つの項（乗除算まで）とする
+   * @returns {Object|null} - Derivative ノード（微分演算子でない場合は null）
+   */
+  parseLeibnizFraction() {
+    if (!this.accept('LBrace')) {
+      return null;
+    }
+    
+    const symbol = this.peek();
+    let partial;
+    if (symbol?.type === 'Identifier' && symbol.value === 'd') {
+      partial = false;
+    } else if (symbol?.type === 'Command' && symbol.value === '\\partial') {
+      partial = true;
+    } else {
+      return null;
+    }
+    this.consume();
+    
+    const order = this.parseDifferentialOrder();
+    if (order === null || !this.accept('RBrace') || !this.accept('LBrace')) {
+      return null;
+    }
+    
+    const variables = this.parseDifferentialVariables(partial);
+    if (!variables || !this.accept('RBrace')) {
+      return null;
+    }
+    
+    const body = this.parseTerm();
+    return this.createDerivative(symbol, body, variables, partial, order);
+  }
+
+  /**
+   * スラッシュ形式の微分演算子の解析
+   * d/dx(式), d^2/dx^2(式) の形式
+   * @returns {Object|null} - Derivative ノード（微分演算子でない場合は null）
+   */
+  parseLeibnizSlash() {
+    const symbol = this.consume('Identifier');
+    const order = this.parseDifferentialOrder();
+    if (order === null || !this.accept('Divide')) {
+      return null;
+    }
+    
+    const variables = this.parseDifferentialVariables(false);
+    if (!variables || this.peek()?.type !== 'LParen') {
+      return null;
+    }
+    
+    const body = this.parsePrimary();
+    return this.createDerivative(symbol, body, variables, false, order);
+  }
+
+  /**
+   * 微分の階数（d^2 の 2）の解析
+   * @returns {number|null} - 階数（^ がなければ 1、不正な形式なら null）
+   */
+  parseDifferentialOrder() {
+    if (!this.accept('Power')) {
+      return 1;
+    }
+    
+    const hasBrace = !!this.accept('LBrace');
+    const orderToken = this.accept('Number');
+    if (!orderToken || !/^\d+$/.test(orderToken.numericValue) || (hasBrace && !this.accept('RBrace'))) {
+      return null;
+    }
+    return Number(orderToken.numericValue);
+  }
+
+  /**
+   * 微分演算子の分母（dx^2, \partial x \partial y）の解析
+   * @param {boolean} partial - 偏微分かどうか
+   * @returns {Array|null} - 微分する変数名の配列（階数の分だけ繰り返す）
+   */
+  parseDifferentialVariables(partial) {
+    const variables = [];
+    
+    do {
+      let name;
+      if (partial) {
+        const partialToken = this.accept('Command');
+        const variableToken = this.accept('Identifier');
+        if (partialToken?.value !== '\\partial' || !variableToken) {
+          return null;
+        }
+        name = variableToken.value;
+      } else if (this.peek()?.value === 'd' && this.peek(1)?.type === 'Identifier') {
+        // d の後に続くギリシャ文字の変数（d\theta）
+        this.consume();
+        name = this.consume().value;
+      } else {
+        const differentialToken = this.accept('Identifier');
+        if (!this.isDifferentialToken(differentialToken)) {
+          return null;
+        }
+        name = differentialToken.value.substring(1);
+      }
+      
+      const order = this.parseDifferentialOrder();
+      if (order === null) {
+        return null;
+      }
+      for (let i = 0; i < order; i++) {
+        variables.push(name);
+      }
+    } while (partial && this.peek()?.type === 'Command' && this.peek().value === '\\partial');
+    
+    return variables;
+  }
+
+  /**
+   * Derivative ノードを作成し、評価点 |_{x=a} があれば解析する
+   * @param {Object} symbolToken - d または \partial のトークン（エラー位置の表示用）
+   */
+  createDerivative(symbolToken, body, variables, partial, order) {
+    if (variables.length !== order) {
+      this.addError(`微分の階数が分子（${order}）と分母（${variables.length}）で一致しません。`, symbolToken);
+    }
+    
+    return this.parseEvaluationPoint({
+      type: ASTNodeType.DERIVATIVE,
+      body,
+      variables,
+      partial,
+      point: null
+    });
+  }
+
+  /**
+   * プライム記号の微分の解析
+   * f'(x), f''(2) の形式で、関数の引数に関する導関数を引数の値で評価する
+   * @param {string} name - 関数名
+   */
+  parsePrimeDerivative(name) {
+    let order = 0;
+    while (this.accept('Prime')) {
+      order++;
+    }
+    
+    if (!this.consume('LParen')) {
+      return null;
+    }
+    const argument = this.parseExpression();
+    this.consume('RParen');
+    
+    return {
+      type: ASTNodeType.DERIVATIVE,
+      body: {
+        type: ASTNodeType.FUNCTION_CALL,
+        name,
+        arguments: [{ type: ASTNodeType.IDENTIFIER, value: PRIME_VARIABLE }]
+      },
+      variables: Array(order).fill(PRIME_VARIABLE),
+      partial: false,
+      point: { variable: PRIME_VARIABLE, value: argument }
+    };
+  }
+
+  /**
+   * 現在位置からプライム記号の微分の f'(x) の '(x) が続くかどうか
+   */
+  isPrimeDerivativeAhead() {
+    let offset = 0;
+    while (this.peek(offset)?.type === 'Prime') {
+      offset++;
+    }
+    return offset > 0 && this.peek(offset)?.type === 'LParen';
+  }
+
+  /**
+   * 微分の評価点の解析
+   * 導関数の後の |_{x=a} の形式
+   * @param {Object} derivative - Derivative ノード
+   */
+  parseEvaluationPoint(derivative) {
+    if (this.peek()?.type !== 'Pipe' || this.peek(1)?.type !== 'Underscore') {
+      return derivative;
+    }
+    
+    this.consume('Pipe');
+    this.consume('Underscore');
+    if (!this.consume('LBrace')) {
+      return derivative;
+    }
+    const variableToken = this.consume('Identifier');
+    this.consume('Equals');
+    const value = this.parseExpression();
+    this.consume('RBrace');
+    
+    if (variableToken) {
+      derivative.point = { variable: variableToken.value, value };
+    }
+    return derivative;
+  }
+
+  /**
+   * 行列式の解析
+   * {1, 2; 3, 4} のような形式
+   */
+  parseMatrixExpression() {
+    this.consume('LBrace');
+    const rows = [];
+    let currentRow = [];
+    
+    // 空の行列
+    if (this.peek()?.type === 'RBrace') {
+      this.consume('RBrace');
+      return { type: ASTNodeType.MATRIX_EXPRESSION, rows };
+    }
+    
+    // 最初の要素
+    currentRow.push(this.parseExpression());
+    
+    // 行と列の解析
+    while (this.peek() && this.peek().type !== 'RBrace') {
+      if (this.peek().type === 'Comma') {
+        // 同じ行の次の要素
+        this.consume('Comma');
+        currentRow.push(this.parseExpression());
+      } else if (this.peek().type === 'Semicolon') {
+        // 次の行
+        this.consume('Semicolon');
+        rows.push(currentRow);
+        currentRow = [];
+        currentRow.push(this.parseExpression());
+      } else {
+        this.addError(`行列内で予期せぬトークンです: 「${this.peek().value}」(${this.peek().type})`);
+        this.consume(); // エラー回復のため次に進む
+      }
+    }
+    
+    // 最後の行を追加
+    if (currentRow.length > 0) {
+      rows.push(currentRow);
+    }
+    
+    this.consume('RBrace');
+    return { type: ASTNodeType.MATRIX_EXPRESSION, rows };
+  }
+
+  /**
+   * トークンが単位（\mathrm{km}、または単位名の識別子）かどうか（ギリシャ文字の ψ は単位の psi にしない）
+   * @param {Object} token - トークン
+   * @param {boolean} bare - 単位名の識別子も単位とみなすかどうか
+   * @param {boolean} conversion - 変換先の単位かどうか（ユーザー定義の変数と同じ名前も単位とみなす）
+   */
+  isUnitToken(token, bare = true, conversion = false) {
+    if (token?.type === 'Unit') {
+      return true;
+    }
+    return bare && 
+      token?.type === 'Identifier' && 
+      !token.greek && 
+      (conversion || !this.userVariables.has(token.value)) && 
+      isUnitName(token.value);
+  }
+
+  /**
+   * 直前の式に単位が続くかどうか
+   * \mathrm{km} はどの式の後でも、単位名の識別子は数値の後に空白を空けて続く場合（9.81 m）のみ単位とする
+   * @param {Object} node - 直前の式
+   * @param {Object} lastToken - 直前の式の最後のトークン
+   */
+  isUnitAhead(node, lastToken) {
+    const next = this.peek();
+    if (next?.type === 'Unit') {
+      return true;
+    }
+    return node?.type === ASTNodeType.NUMBER_LITERAL && 
+      next?.start > lastToken.end && 
+      this.isUnitToken(next);
+  }
+
+  /**
+   * 単位の式の解析
+   * km/h, m/s^2, kg m/s^2 のように単位の積・商・累乗を左結合で解析する
+   * （/ や * の後に単位が続かない場合（5 m / 2）はそこで終わる）
+   * @param {boolean} conversion - 変換先の単位かどうか
+   */
+  parseUnitExpression(conversion = false) {
+    let node = this.parseUnitPower();
+    
+    while (node) {
+      const next = this.peek();
+      const isOperator = next?.type === 'Multiply' || next?.type === 'Divide';
+      // 演算子なしで続く単位名の識別子は空白を空けた場合（kg m）のみ単位とする
+      const bare = isOperator || next?.start > this.tokens[this.position - 1].end;
+      if (!this.isUnitToken(isOperator ? this.peek(1) : next, bare, conversion)) {
+        break;
+      }
+      const operator = isOperator && this.consume().type === 'Divide' ? '/' : '*';
+      node = {
+        type: ASTNodeType.BINARY_EXPRESSION,
+        operator,
+        left: node,
+        right: this.parseUnitPower()
+      };
+    }
+    
+    return node;
+  }
+
+  /**
+   * 単位と指数（s^2, m^{-1}）の解析
+   */
+  parseUnitPower() {
+    const token = this.consume();
+    if (!isUnitName(token.value)) {
+      this.addError(`未知の単位です: ${token.value}`, token);
+      return null;
+    }
+    
+    const unit = { type: ASTNodeType.UNIT, name: token.value };
+    if (!this.accept('Power')) {
+      return unit;
+    }
+    const exponent = this.parseScriptArgument('単位の指数が見つかりません。^数値 または ^{式} の形式が必要です。');
+    return { type: ASTNodeType.BINARY_EXPRESSION, operator: '^', left: unit, right: exponent };
+  }
+
+  /**
+   * 後置演算子の解析
+   * 単位（5 km/h）は量と単位の積にし、その後の後置演算子は parsePostfixOperators で解析する
+   */
+  parsePostfix() {
+    let node = this.parsePrimary();
+    
+    if (this.isUnitAhead(node, this.tokens[this.position - 1])) {
+      node = {
+        type: ASTNodeType.BINARY_EXPRESSION,
+        operator: '*',
+        left: node,
+        right: this.parseUnitExpression()
+      };
+    }
+    
+    return this.parsePostfixOperators(node);
+  }
+
+  /**
+   * 現在位置から転置の ^T, ^{T} が続く場合はそのトークン数を返す（続かない場合は 0）
+   * T がユーザー定義の変数の場合は累乗とする
+   */
+  transposeLengthAhead() {
+    if (this.peek()?.type !== 'Power' || this.userVariables.has('T')) {
+      return 0;
+    }
+    const isT = token => token?.type === 'Identifier' && token.value === 'T';
+    if (isT(this.peek(1))) {
+      return 2;
+    }
+    return this.peek(1)?.type === 'LBrace' && isT(this.peek(2)) && this.peek(3)?.type === 'RBrace' ? 4 : 0;
+  }
+
+  /**
+   * 後置演算子の解析
+   * 度の記号（30°）、階乗（5!）、二重階乗（5!!）、百分率（15%）、転置（A^T, A'）を PostfixExpression にする
+   * 後置演算子は累乗より強く結合する（2^3! = 2^{(3!)}）
+   * @param {Object} node - 演算子の前の式
+   * @param {boolean} inExponent - 指数の中かどうか（指数には度の記号を含めない）
+   */
+  parsePostfixOperators(node, inExponent = false) {
+    while (true) {
+      const token = this.peek();
+      const transposeLength = this.transposeLengthAhead();
+      let operator;
+      if (token?.type === 'Degree' && !inExponent) {
+        operator = '°';
+      } else if (token?.type === 'Factorial' || token?.type === 'Percent') {
+        operator = token.value;
+      } else if (token?.type === 'Prime') {
+        operator = "'";
+      } else if (transposeLength > 0) {
+        // ^T, ^{T} の ^ と { } は読み飛ばす
+        this.position += transposeLength - 1;
+        operator = 'T';
+      } else {
+        return node;
+      }
+      this.consume();
+      node = {
+        type: ASTNodeType.POSTFIX_EXPRESSION,
+        operator,
+        operand: node
+      };
+    }
+  }
+
+  /**
+   * 累乗演算子の解析
+   * 累乗は右結合（2^3^2 = 2^{(3^2)}）
+   * @param {Function} parseBase - 底の解析（指数の {式} の後に続く ^ では中括弧の式を底にする）
+   * @param {boolean} inExponent - 指数の中かどうか
+   */
+  parseExponent(parseBase = () => this.parsePostfix(), inExponent = false) {
+    const node = parseBase();
+    
+    // 極限の方向（0^+ など）と転置（A^{-1}^T）の ^ は累乗として扱わない
+    if (this.peek()?.type === 'Power' && !this.isLimitDirection() && this.transposeLengthAhead() === 0) {
+      const operator = this.consume().value;
+      const power = { 
+        type: ASTNodeType.BINARY_EXPRESSION, 
         operator, 
         left: node, 
-        right 
+        right: this.parseExponentOperand() 
+      };
+      // 中括弧の指数の後の後置演算子（x^{2}!）は累乗全体にかける
+      return this.parsePostfixOperators(power, inExponent);
+    }
+    
+    return node;
+  }
+
+  /**
+   * 指数の解析
+   * 指数の {式} は行列ではなく1つの括弧として扱い（e^{i\pi/3}, x^{-1}）、
+   * 中括弧のない指数には符号と階乗などの後置演算子を付けられる（2^-1, 2^3!）
+   * 指数には単位・度の記号を含めない（10^3 m は 10^3 と単位 m の積）
+   */
+  parseExponentOperand() {
+    const token = this.peek();
+    if (token?.type === 'LBrace') {
+      return this.parseExponent(() => this.parseBraceGroup(), true);
+    }
+    if (token?.type === 'Plus' || token?.type === 'Minus') {
+      return {
+        type: ASTNodeType.UNARY_EXPRESSION,
+        operator: this.consume().value,
+        operand: this.parseExponentOperand()
+      };
+    }
+    return this.parseExponent(() => this.parsePostfixOperators(this.parsePrimary(), true), true);
+  }
+
+  /**
+   * 現在のトークンから省略乗算の因子が始まるかどうか
+   * 識別子、コマンド（\pi, \sin, \frac など）、開き括弧、計算結果の参照から因子が始まり、
+   * 数値（x 2）、絶対値の | 、角括弧・中括弧からは始まらない
+   */
+  isImplicitFactorAhead() {
+    const token = this.peek();
+    switch (token?.type) {
+      case 'Identifier':
+        // 積分の中の積分変数（x^2 dx の dx, x\,d x の d）
+        return !(
+          this.integralDepth > 0 && 
+          (this.isDifferentialToken(token) || (token.value === 'd' && this.peek(1)?.type === 'Identifier'))
+        );
+      case 'Command':
+        return !NON_FACTOR_COMMANDS.includes(token.value);
+      case 'LParen':
+      case 'ResultReference':
+        return true;
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * 省略乗算（2x, 2\pi r, (a+b)(a-b), x y）の解析
+   * 省略乗算は累乗より弱く、単項演算子・明示的な乗除算より強く結合する（1/2x = 1/(2x), -2x = -(2x), 2^3x = 2^3 \cdot x）
+   * @param {boolean} isFunctionArgument - 括弧のない関数の引数かどうか（次の関数の前で終わる）
+   */
+  parseImplicitProduct(isFunctionArgument = false) {
+    let node = this.parseExponent();
+    
+    while (this.isImplicitFactorAhead()) {
+      const next = this.peek();
+      if (isFunctionArgument && next.type === 'Command' && !ARGUMENT_FACTOR_COMMANDS.includes(next.value)) {
+        break;
+      }
+      node = {
+        type: ASTNodeType.BINARY_EXPRESSION,
+        operator: '*',
+        left: node,
+        right: this.parseExponent()
       };
     }
     
     return node;
   }
 
+  /**
+   * 単項演算子（+, -, ビット反転 not）の解析
+   * 単項演算子は累乗・省略乗算より弱く乗除算より強く結合する（-2^2 = -(2^2), 2 * -3）
+   */
+  parseUnary() {
+    const token = this.peek();
+    if (token?.type === 'Plus' || token?.type === 'Minus' || token?.type === 'Not') {
+      const operator = this.consume().value;
+      // 単位付きの量（-5 m）も単項演算子の項に含める
+      return {
+        type: ASTNodeType.UNARY_EXPRESSION,
+        operator,
+        operand: this.parseUnary()
+      };
+    }
+    return this.parseImplicitProduct();
+  }
+
+  /**
+   * 中括弧で囲まれた式 {式} を括弧付きの式として解析
+   */
+  parseBraceGroup() {
+    this.consume('LBrace');
+    const expression = this.parseExpression();
+    this.consume('RBrace');
+    return { type: ASTNodeType.PARENTHESIZED_EXPRESSION, expression };
+  }
+
+  /**
+   * 現在のトークンが極形式の角度記号（5 \angle 30）かどうか
+   */
+  isAngleOperator() {
+    const token = this.peek();
+    return token?.type === 'Command' && token.value === '\\angle';
+  }
+
   /**
    * 乗除算の解析
+   * 極形式の複素数 r \angle θ も乗除算と同じ優先順位で解析する
    */
   parseTerm() {
-    let node = this.parseExponent();
+    let node = this.parseUnary();
     
     while (
       this.peek()?.type === 'Multiply' || 
-      this.peek()?.type === 'Divide'
+      this.peek()?.type === 'Divide' || 
+      this.isAngleOperator()
     ) {
-      const operator = this.consume().value;
-      const right = this.parseExponent();
+      const token = this.consume();
+      const operator = token.type === 'Command' ? '∠' : token.value;
+      const right = this.parseUnary();
       node = { 
         type: ASTNodeType.BINARY_EXPRESSION, 
         operator, 
@@ -389,11 +1549,109 @@ class Parser {
     return node;
   }
 
+  /**
+   * シフト演算子の解析
+   */
+  parseShift() {
+    let node = this.parseAdditive();
+    
+    while (
+      this.peek()?.type === 'ShiftLeft' || 
+      this.peek()?.type === 'ShiftRight'
+    ) {
+      const operator = this.consume().value;
+      const right = this.parseAdditive();
+      node = { 
+        type: ASTNodeType.BINARY_EXPRESSION, 
+        operator, 
+        left: node, 
+        right 
+      };
+    }
+    
+    return node;
+  }
+
+  /**
+   * ビット演算子（and, xor, or）の解析
+   * 優先度は and > xor > or の順
+   */
+  parseBitwiseAnd() {
+    return this.parseBitwise('And', () => this.parseShift());
+  }
+
+  parseBitwiseXor() {
+    return this.parseBitwise('Xor', () => this.parseBitwiseAnd());
+  }
+
+  parseBitwiseOr() {
+    return this.parseBitwise('Or', () => this.parseBitwiseXor());
+  }
+
+  /**
+   * 左結合のビット演算子を解析する共通処理
+   * @param {string} tokenType - 演算子のトークンタイプ
+   * @param {Function} parseOperand - 1段優先度の高い式を解析する関数
+   */
+  parseBitwise(tokenType, parseOperand) {
+    let node = parseOperand();
+    
+    while (this.peek()?.type === tokenType) {
+      const operator = this.consume().value;
+      const right = parseOperand();
+      node = { 
+        type: ASTNodeType.BINARY_EXPRESSION, 
+        operator, 
+        left: node, 
+        right 
+      };
+    }
+    
+    return node;
+  }
+
+  /**
+   * 現在のトークンが単位の変換（to, \to）かどうか
+   */
+  isConversionOperator() {
+    const token = this.peek();
+    return token?.type === 'To' || (token?.type === 'Command' && token.value === '\\to');
+  }
+
+  /**
+   * 単位の変換の解析
+   * 60 mph to m/s の形式で、to の後は単位の式とする
+   */
+  parseConversion() {
+    let node = this.parseBitwiseOr();
+    
+    while (this.isConversionOperator()) {
+      this.consume();
+      const target = this.peek()?.type;
+      if (target !== 'Unit' && target !== 'Identifier') {
+        this.addError('変換先の単位が必要です。');
+        return node;
+      }
+      node = {
+        type: ASTNodeType.UNIT_CONVERSION,
+        expression: node,
+        unit: this.parseUnitExpression(true)
+      };
+    }
+    
+    return node;
+  }
+
   /**
    * 比較演算子の解析
    */
   parseComparison() {
-    let node = this.parseAdditive();
+    let node = this.parseConversion();
+    
+    // 変数や関数の左辺に続く = は代入として parseAssignment で解析する
+    if (this.peek()?.type === 'Equals' && this.isAssignmentTarget(node)) {
+      return node;
+    }
     
     while (
       this.peek()?.type === 'LessThan' || 
@@ -404,7 +1662,7 @@ class Parser {
       this.peek()?.type === 'NotEqual'
     ) {
       const operator = this.consume().value;
-      const right = this.parseAdditive();
+      const right = this.parseConversion();
       node = { 
         type: ASTNodeType.COMPARISON_EXPRESSION, 
         operator, 
@@ -418,12 +1676,27 @@ class Parser {
 
   /**
    * 代入演算子の解析
+   * a = 3 は変数への代入、f(x) = x^2 + 1 は関数の定義とする
    */
   parseAssignment() {
     let node = this.parseComparison();
     
     if (
-      node.type === ASTNodeType.IDENTIFIER && 
+      node?.type === ASTNodeType.FUNCTION_CALL && 
+      this.isAssignmentTarget(node) && 
+      this.peek()?.type === 'Equals'
+    ) {
+      this.consume('Equals');
+      return {
+        type: ASTNodeType.FUNCTION_DEFINITION,
+        name: node.name,
+        parameters: node.arguments.map(arg => arg.value),
+        body: this.parseExpression()
+      };
+    }
+    
+    if (
+      (node?.type === ASTNodeType.IDENTIFIER || node?.type === ASTNodeType.SUBSCRIPT) && 
       this.peek()?.type === 'Equals'
     ) {
       const operator = this.consume().value;
@@ -439,6 +1712,57 @@ class Parser {
     return node;
   }
 
+  /**
+   * 方程式（連立方程式）の解析
+   * 式; 式; ... の形式で「;」で区切った等式を連立方程式とし、
+   * 末尾の「, x」「, x, y」で解く変数を指定する
+   * 区切りも変数の指定もない場合は通常の式として返す
+   */
+  parseEquationSystem() {
+    const firstToken = this.peek();
+    const first = this.parseExpression();
+    if (this.peek()?.type !== 'Semicolon' && this.peek()?.type !== 'Comma') {
+      return first;
+    }
+    
+    const equations = [{ node: first, token: firstToken }];
+    while (this.accept('Semicolon')) {
+      const token = this.peek();
+      equations.push({ node: this.parseExpression(), token });
+    }
+    
+    const variables = [];
+    while (this.accept('Comma')) {
+      const token = this.peek();
+      const variable = this.parsePrimary();
+      if (variable?.type === ASTNodeType.IDENTIFIER) {
+        variables.push(variable.value);
+      } else if (variable?.type === ASTNodeType.SUBSCRIPT) {
+        variables.push(variable.name);
+      } else {
+        this.addError('解く変数には変数名を指定してください。', token);
+      }
+    }
+    
+    equations.forEach(equation => {
+      // 連立方程式の中の x = 1 は代入ではなく方程式とする
+      if (equation.node?.type === ASTNodeType.ASSIGNMENT_EXPRESSION) {
+        equation.node = { ...equation.node, type: ASTNodeType.COMPARISON_EXPRESSION };
+      }
+    });
+    equations.forEach(({ node, token }) => {
+      if (node && (node.type !== ASTNodeType.COMPARISON_EXPRESSION || node.operator !== '=')) {
+        this.addError('方程式には等号（=）が必要です。', token);
+      }
+    });
+    
+    return {
+      type: ASTNodeType.EQUATION_SYSTEM,
+      equations: equations.map(({ node }) => node),
+      variables
+    };
+  }
+
   /**
    * 式の解析
    * 最も優先度の低い演算子から開始
@@ -453,7 +1777,7 @@ class Parser {
  * @param {Array} tokens - 字句解析器から得られたトークン列
  * @returns {Object} - 抽象構文木
  */
-function parse(tokens) {
-  const parser = new Parser(tokens);
+function parse(tokens, options = {}) {
+  const parser = new Parser(tokens, options);
   return parser.parse();
 }
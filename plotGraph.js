@@ -0,0 +1,779 @@
+/**
+ * グラフの描画
+ * 計算した式のうち、変数を1つだけ含む式（\sin x, f(x) = x^2 + 1）と y = f(x) を関数のグラフ、
+ * x と y を含む等式（x^2 + y^2 = 1）を陰関数のグラフ、変数を1つ含む組（(\cos t, \sin t)）を媒介変数表示の曲線として canvas に描きます
+ * 関数のグラフには根（x 軸との交点）・極値・グラフ同士の交点の印を付け、値が跳ぶ箇所（\tan x の漸近線）は線をつなぎません
+ * 回帰（\linreg など）はデータの散布図と回帰曲線を描きます
+ */
+
+// グラフの色（追加した順に使う）
+const GRAPH_COLORS = ['#1f77b4', '#d62728', '#2ca02c', '#9467bd', '#ff7f0e', '#17becf', '#8c564b', '#e377c2'];
+
+// 初期の横軸の範囲（縦軸はグラフに合わせて自動で決める）
+const DEFAULT_GRAPH_X_RANGE = { xMin: -10, xMax: 10 };
+
+// 媒介変数の初期の範囲（0 ≤ t ≤ 2π）
+const DEFAULT_PARAMETER_RANGE = { min: 0, max: 2 * Math.PI };
+
+// 根・極値を探すときの分割数、媒介変数表示の曲線の分割数、陰関数を調べる格子の横方向の分割数
+const GRAPH_ANALYSIS_SAMPLES = 400;
+const PARAMETRIC_SAMPLES = 1000;
+const IMPLICIT_GRID_COLUMNS = 120;
+
+// 隣り合う点の値の差が縦軸の範囲のこの割合を超える場合に不連続かどうかを調べる
+const DISCONTINUITY_JUMP_RATIO = 0.25;
+
+// 不連続かどうかを調べるときに区間を二分する回数
+const DISCONTINUITY_BISECTIONS = 12;
+
+// 縦軸の範囲を決めるときに除く外れ値（上下それぞれの割合）
+const AUTO_RANGE_OUTLIER_RATIO = 0.02;
+
+// 描画中のグラフ: { input, kind, variables, expressions, color, evaluate, data }
+// kind は 'function'（関数）、'implicit'（陰関数）、'parametric'（媒介変数表示）、data は回帰のデータの点 {x, y} の配列
+const graphCurves = [];
+
+// 表示範囲
+const graphView = { ...DEFAULT_GRAPH_X_RANGE, yMin: -10, yMax: 10 };
+
+/**
+ * 抽象構文木からグラフにする式を取り出す関数（グラフにできない場合は null）
+ * 等式ではその式が座標の x, y を表すため、定義済みの変数 x, y を置き換えない
+ * @param {Object} ast - 抽象構文木（定義済みの変数・関数を置き換える前）
+ * @returns {Object|null} - 種類（kind）、変数名（variables）、式（expressions）
+ */
+function getGraphSource(ast) {
+  if (!ast || containsUnit(ast)) {
+    return null;
+  }
+  const freeVariables = node => [...collectFreeVariables(node)];
+
+  switch (ast.type) {
+    case 'FunctionDefinition':
+      // 1変数関数の定義 f(x) = ... は y = f(x) のグラフにする
+      if (ast.parameters.length !== 1) {
+        return null;
+      }
+      return getFunctionSource(resolveUserDefinitions(ast.body, getVariableBindings(), new Set(ast.parameters)), ast.parameters[0]);
+
+    case 'AssignmentExpression':
+    case 'ComparisonExpression':
+      if (ast.operator !== '=') {
+        return null;
+      }
+      const coordinates = new Set(['x', 'y']);
+      // y = f(x)
+      if (ast.left.type === 'Identifier' && ast.left.value === 'y') {
+        const right = resolveUserDefinitions(ast.right, getVariableBindings(), coordinates);
+        if (freeVariables(right).every(name => name === 'x')) {
+          return { kind: 'function', variables: ['x'], expressions: [right] };
+        }
+      }
+      // F(x, y) = G(x, y) は F - G = 0 の陰関数とする
+      const difference = {
+        type: 'BinaryExpression',
+        operator: '-',
+        left: { type: 'ParenthesizedExpression', expression: resolveUserDefinitions(ast.left, getVariableBindings(), coordinates) },
+        right: { type: 'ParenthesizedExpression', expression: resolveUserDefinitions(ast.right, getVariableBindings(), coordinates) }
+      };
+      const variables = freeVariables(difference);
+      if (variables.length !== 2) {
+        return null;
+      }
+      // x, y 以外の変数名は名前順に横軸・縦軸とする
+      return { kind: 'implicit', variables: variables.every(name => coordinates.has(name)) ? ['x', 'y'] : variables.sort(), expressions: [difference] };
+
+    case 'ArrayExpression':
+      // (x(t), y(t)) は媒介変数表示の曲線とする
+      if (ast.elements.length !== 2) {
+        return null;
+      }
+      const elements = ast.elements.map(element => resolveUserDefinitions(element));
+      const parameters = [...new Set(elements.flatMap(freeVariables))];
+      return parameters.length === 1 ? { kind: 'parametric', variables: parameters, expressions: elements } : null;
+
+    case 'EquationSystem':
+      return null;
+
+    default:
+      const expression = resolveUserDefinitions(ast);
+      const [variable, ...rest] = freeVariables(expression);
+      return variable && rest.length === 0 ? getFunctionSource(expression, variable) : null;
+  }
+}
+
+/**
+ * 1変数の式を関数のグラフにする（他の変数を含む場合は null）
+ */
+function getFunctionSource(expression, variable) {
+  return [...collectFreeVariables(expression)].every(name => name === variable)
+    ? { kind: 'function', variables: [variable], expressions: [expression] }
+    : null;
+}
+
+/**
+ * 計算結果を実数に変換する関数（虚部が丸め誤差程度の複素数は実部、それ以外は NaN）
+ */
+function toGraphNumber(value) {
+  if (typeof value === 'number') {
+    return value;
+  }
+  if (value && value.isComplex && Math.abs(value.im) <= 1e-10 * Math.max(1, Math.abs(value.re))) {
+    return value.re;
+  }
+  return NaN;
+}
+
+/**
+ * グラフの式を math.js でコンパイルし、変数の値から座標の値を求める関数を返す
+ * 三角関数は計算と同じく角度の単位に合わせて計算し、定義されない点（\tan 90°）や実数にならない点は NaN とする
+ * @param {Object} source - getGraphSource の結果
+ * @param {string} angleMode - 角度の単位
+ * @returns {Function} - 変数の値（引数の順は source.variables）→ 座標の値の配列
+ */
+function compileGraphSource(source, angleMode) {
+  const compiled = source.expressions.map(expression =>
+    math.compile(astToString(applyAngleMode(evaluateCalculusNodes(expression), angleMode)))
+  );
+  const scope = angleModeScope(angleMode);
+  return (...values) => {
+    source.variables.forEach((name, i) => {
+      scope[name] = values[i];
+    });
+    return compiled.map(code => {
+      try {
+        return toGraphNumber(code.evaluate(scope));
+      } catch (e) {
+        return NaN;
+      }
+    });
+  };
+}
+
+/**
+ * 計算した式からグラフを作る関数（グラフにできない場合は null）
+ * @param {string} input - 入力文字列（一覧の表示に使う）
+ * @param {Object} ast - 抽象構文木
+ * @param {string} angleMode - 角度の単位
+ * @returns {Object|null} - グラフ
+ */
+function createGraphCurve(input, ast, angleMode) {
+  const source = getRegressionGraphSource(ast, angleMode) || getGraphSource(ast);
+  if (!source) {
+    return null;
+  }
+  try {
+    return { input, ...source, color: null, evaluate: compileGraphSource(source, angleMode) };
+  } catch (e) {
+    // math.js で計算できない式（記号計算のみの極限など）は描かない
+    console.error("Graph compile error:", e);
+    return null;
+  }
+}
+
+/**
+ * グラフを追加する関数（同じ入力のグラフは色を残して置き換える）
+ * @returns {boolean} - 新しいグラフを追加した場合は true
+ */
+function addGraphCurve(curve) {
+  const index = graphCurves.findIndex(item => item.input === curve.input);
+  if (index !== -1) {
+    graphCurves[index] = { ...curve, color: graphCurves[index].color };
+    return false;
+  }
+  const color = GRAPH_COLORS.find(c => !graphCurves.some(item => item.color === c)) ||
+    GRAPH_COLORS[graphCurves.length % GRAPH_COLORS.length];
+  graphCurves.push({ ...curve, color });
+  return true;
+}
+
+/**
+ * グラフを1つ削除する関数
+ */
+function removeGraphCurve(index) {
+  graphCurves.splice(index, 1);
+}
+
+/**
+ * すべてのグラフを削除する関数
+ */
+function clearGraphCurves() {
+  graphCurves.length = 0;
+}
+
+/**
+ * 角度の単位を変えたときにすべてのグラフを計算し直す関数
+ */
+function recompileGraphCurves(angleMode) {
+  graphCurves.forEach(curve => {
+    curve.evaluate = compileGraphSource(curve, angleMode);
+  });
+}
+
+/**
+ * 関数のグラフの値 y = f(x) を返す関数
+ */
+function evaluateGraphFunction(curve, x) {
+  return curve.evaluate(x)[0];
+}
+
+/**
+ * 2点の間で関数が不連続かどうか（値が大きく跳ぶ場合のみ調べる）
+ * 区間を二分していき、途中の値が両端の値の間に収まらない（\tan x の漸近線）か、
+ * 差が縮まらない（階段状の関数）場合に不連続とする
+ * @param {Function} f - 関数
+ * @param {Object} a - 左端の点 {x, y}
+ * @param {Object} b - 右端の点 {x, y}
+ * @param {number} yRange - 縦軸の範囲の大きさ
+ */
+function isDiscontinuous(f, a, b, yRange) {
+  const threshold = yRange * DISCONTINUITY_JUMP_RATIO;
+  for (let i = 0; i < DISCONTINUITY_BISECTIONS; i++) {
+    if (Math.abs(b.y - a.y) < threshold) {
+      return false;
+    }
+    const x = (a.x + b.x) / 2;
+    const y = f(x);
+    if (!Number.isFinite(y) || y < Math.min(a.y, b.y) || y > Math.max(a.y, b.y)) {
+      return true;
+    }
+    // 差の大きい側の半分を調べる
+    if (Math.abs(y - a.y) > Math.abs(b.y - y)) {
+      b = { x, y };
+    } else {
+      a = { x, y };
+    }
+  }
+  return true;
+}
+
+/**
+ * 関数を横軸の範囲で等間隔に計算する関数
+ * @returns {Array} - 点 {x, y} の配列（計算できない点は y が NaN）
+ */
+function sampleGraphFunction(f, xMin, xMax, count) {
+  const points = [];
+  for (let i = 0; i <= count; i++) {
+    const x = xMin + (xMax - xMin) * i / count;
+    points.push({ x, y: f(x) });
+  }
+  return points;
+}
+
+/**
+ * 点の列を計算できない点と不連続な箇所で区切った線の配列にする関数
+ */
+function splitGraphSegments(f, points, yRange) {
+  const segments = [];
+  let segment = [];
+  points.forEach((point, i) => {
+    const previous = points[i - 1];
+    if (!Number.isFinite(point.y) || (segment.length > 0 && isDiscontinuous(f, previous, point, yRange))) {
+      if (segment.length > 1) {
+        segments.push(segment);
+      }
+      segment = [];
+    }
+    if (Number.isFinite(point.y)) {
+      segment.push(point);
+    }
+  });
+  if (segment.length > 1) {
+    segments.push(segment);
+  }
+  return segments;
+}
+
+/**
+ * 区間 [a, b] で符号の変わる関数の根を二分法で求める関数
+ */
+function bisectRoot(f, a, b, fa) {
+  for (let i = 0; i < 60; i++) {
+    const mid = (a + b) / 2;
+    const fm = f(mid);
+    if (fm === 0 || b - a < 1e-14 * Math.max(1, Math.abs(mid))) {
+      return mid;
+    }
+    if (Math.sign(fm) === Math.sign(fa)) {
+      a = mid;
+      fa = fm;
+    } else {
+      b = mid;
+    }
+  }
+  return (a + b) / 2;
+}
+
+/**
+ * 横軸の範囲にある関数の根を求める関数（不連続な箇所での符号の変化は根としない）
+ */
+function findGraphRoots(f, view) {
+  const yRange = view.yMax - view.yMin;
+  const points = sampleGraphFunction(f, view.xMin, view.xMax, GRAPH_ANALYSIS_SAMPLES);
+  const roots = [];
+  points.forEach((point, i) => {
+    const previous = points[i - 1];
+    if (!previous || !Number.isFinite(previous.y) || !Number.isFinite(point.y)) {
+      return;
+    }
+    if (point.y === 0) {
+      roots.push(point.x);
+    } else if (previous.y !== 0 && Math.sign(previous.y) !== Math.sign(point.y) && !isDiscontinuous(f, previous, point, yRange)) {
+      roots.push(bisectRoot(f, previous.x, point.x, previous.y));
+    }
+  });
+  return roots;
+}
+
+/**
+ * 区間 [a, b] にある極大（sign = 1）・極小（sign = -1）を黄金分割探索で求める関数
+ */
+function goldenSectionSearch(f, a, b, sign) {
+  const ratio = (Math.sqrt(5) - 1) / 2;
+  let c = b - ratio * (b - a);
+  let d = a + ratio * (b - a);
+  for (let i = 0; i < 80 && b - a > 1e-12 * Math.max(1, Math.abs(a)); i++) {
+    if (sign * f(c) > sign * f(d)) {
+      b = d;
+    } else {
+      a = c;
+    }
+    c = b - ratio * (b - a);
+    d = a + ratio * (b - a);
+  }
+  return (a + b) / 2;
+}
+
+/**
+ * 横軸の範囲にある関数の極値を求める関数
+ * @returns {Array} - 極値 {x, type}（type は 'maximum' / 'minimum'）の配列
+ */
+function findGraphExtrema(f, view) {
+  const yRange = view.yMax - view.yMin;
+  const points = sampleGraphFunction(f, view.xMin, view.xMax, GRAPH_ANALYSIS_SAMPLES);
+  const extrema = [];
+  for (let i = 1; i < points.length - 1; i++) {
+    const [previous, point, next] = [points[i - 1], points[i], points[i + 1]];
+    if (![previous.y, point.y, next.y].every(Number.isFinite)) {
+      continue;
+    }
+    const sign = point.y > previous.y && point.y > next.y ? 1 : point.y < previous.y && point.y < next.y ? -1 : 0;
+    if (sign !== 0 && !isDiscontinuous(f, previous, point, yRange) && !isDiscontinuous(f, point, next, yRange)) {
+      extrema.push({ x: goldenSectionSearch(f, previous.x, next.x, sign), type: sign > 0 ? 'maximum' : 'minimum' });
+    }
+  }
+  return extrema;
+}
+
+/**
+ * 関数のグラフの根・極値・グラフ同士の交点を求める関数
+ * @param {Array} curves - グラフの配列
+ * @param {Object} view - 表示範囲
+ * @returns {Array} - 点 {x, y, type, color}（type は 'root' / 'maximum' / 'minimum' / 'intersection'）の配列
+ */
+function findGraphPoints(curves, view) {
+  const functions = curves.filter(curve => curve.kind === 'function');
+  const points = [];
+  functions.forEach((curve, i) => {
+    const f = x => evaluateGraphFunction(curve, x);
+    findGraphRoots(f, view).forEach(x => points.push({ x, y: 0, type: 'root', color: curve.color }));
+    findGraphExtrema(f, view).forEach(({ x, type }) => points.push({ x, y: f(x), type, color: curve.color }));
+
+    functions.slice(i + 1).forEach(other => {
+      const g = x => evaluateGraphFunction(other, x);
+      findGraphRoots(x => f(x) - g(x), view).forEach(x => points.push({ x, y: f(x), type: 'intersection', color: '#000' }));
+    });
+  });
+  return points.filter(point => Number.isFinite(point.y));
+}
+
+/**
+ * 媒介変数表示の曲線の点の列を計算できない点と大きく跳ぶ箇所で区切った線の配列にする関数
+ */
+function sampleParametricCurve(curve, parameterRange, view) {
+  const maxStep = Math.hypot(view.xMax - view.xMin, view.yMax - view.yMin) / 4;
+  const segments = [];
+  let segment = [];
+  for (let i = 0; i <= PARAMETRIC_SAMPLES; i++) {
+    const t = parameterRange.min + (parameterRange.max - parameterRange.min) * i / PARAMETRIC_SAMPLES;
+    const [x, y] = curve.evaluate(t);
+    const previous = segment[segment.length - 1];
+    if (!Number.isFinite(x) || !Number.isFinite(y) || (previous && Math.hypot(x - previous.x, y - previous.y) > maxStep)) {
+      if (segment.length > 1) {
+        segments.push(segment);
+      }
+      segment = [];
+    }
+    if (Number.isFinite(x) && Number.isFinite(y)) {
+      segment.push({ x, y });
+    }
+  }
+  if (segment.length > 1) {
+    segments.push(segment);
+  }
+  return segments;
+}
+
+/**
+ * 陰関数 F(x, y) = 0 の曲線をマーチングスクエア法で線分の配列にする関数
+ * 格子の各セルで F の符号が変わる辺の上の点を線形補間で求めて結ぶ
+ * 補間した点で F が 0 に近くならないセルは極（\tan x = y の漸近線）を含むとして線を引かない
+ * @param {Object} curve - 陰関数のグラフ
+ * @param {Object} view - 表示範囲
+ * @param {number} aspect - 描画領域の高さ / 幅
+ * @returns {Array} - 線分（2点の配列）の配列
+ */
+function traceImplicitCurve(curve, view, aspect) {
+  const columns = IMPLICIT_GRID_COLUMNS;
+  const rows = Math.max(1, Math.round(columns * aspect));
+  const dx = (view.xMax - view.xMin) / columns;
+  const dy = (view.yMax - view.yMin) / rows;
+  const F = (x, y) => curve.evaluate(x, y)[0];
+
+  const values = [];
+  for (let j = 0; j <= rows; j++) {
+    values.push([]);
+    for (let i = 0; i <= columns; i++) {
+      values[j].push(F(view.xMin + i * dx, view.yMin + j * dy));
+    }
+  }
+
+  // 辺の両端の値から F = 0 となる点を線形補間で求める
+  const interpolate = (x0, y0, v0, x1, y1, v1) => {
+    const ratio = v0 / (v0 - v1);
+    return { x: x0 + (x1 - x0) * ratio, y: y0 + (y1 - y0) * ratio };
+  };
+
+  const segments = [];
+  for (let j = 0; j < rows; j++) {
+    for (let i = 0; i < columns; i++) {
+      const x0 = view.xMin + i * dx;
+      const y0 = view.yMin + j * dy;
+      // 角の値（左下・右下・右上・左上の順）
+      const corners = [
+        { x: x0, y: y0, v: values[j][i] },
+        { x: x0 + dx, y: y0, v: values[j][i + 1] },
+        { x: x0 + dx, y: y0 + dy, v: values[j + 1][i + 1] },
+        { x: x0, y: y0 + dy, v: values[j + 1][i] }
+      ];
+      if (!corners.every(corner => Number.isFinite(corner.v))) {
+        continue;
+      }
+      const crossings = [];
+      let pole = false;
+      corners.forEach((corner, k) => {
+        const next = corners[(k + 1) % 4];
+        if ((corner.v < 0) !== (next.v < 0)) {
+          const crossing = interpolate(corner.x, corner.y, corner.v, next.x, next.y, next.v);
+          // 補間した点の値が 0 に近くならない辺は極をまたいでいる
+          const value = F(crossing.x, crossing.y);
+          pole = pole || !(Math.abs(value) <= Math.max(Math.abs(corner.v), Math.abs(next.v)) / 2);
+          crossings.push(crossing);
+        }
+      });
+      if (crossings.length < 2 || pole) {
+        continue;
+      }
+      const center = F(x0 + dx / 2, y0 + dy / 2);
+      if (crossings.length === 2) {
+        segments.push(crossings);
+      } else {
+        // 4辺すべてで符号が変わる場合は中心の符号で結び方を決める
+        // （中心と左下の符号が同じなら左下の角を含む領域がつながっている）
+        const connected = (center < 0) === (corners[0].v < 0);
+        segments.push(connected ? [crossings[0], crossings[1]] : [crossings[0], crossings[3]]);
+        segments.push(connected ? [crossings[2], crossings[3]] : [crossings[1], crossings[2]]);
+      }
+    }
+  }
+  return segments;
+}
+
+/**
+ * 関数・媒介変数表示のグラフが収まるよう縦軸の範囲を決める関数
+ * 漸近線の近くの大きな値で範囲が広がりすぎないよう、上下の外れ値を除く
+ * 関数・媒介変数表示のグラフがない場合（陰関数のみ）は縦横の縮尺をそろえる
+ * @param {Array} curves - グラフの配列
+ * @param {Object} view - 表示範囲（横軸の範囲を使う）
+ * @param {Object} parameterRange - 媒介変数の範囲
+ * @param {number} aspect - 描画領域の高さ / 幅
+ * @returns {Object} - 縦軸の範囲 {yMin, yMax}
+ */
+function autoGraphYRange(curves, view, parameterRange, aspect) {
+  const values = [];
+  curves.forEach(curve => {
+    if (curve.kind === 'function') {
+      sampleGraphFunction(x => evaluateGraphFunction(curve, x), view.xMin, view.xMax, GRAPH_ANALYSIS_SAMPLES)
+        .forEach(point => values.push(point.y));
+    } else if (curve.kind === 'parametric') {
+      for (let i = 0; i <= GRAPH_ANALYSIS_SAMPLES; i++) {
+        const t = parameterRange.min + (parameterRange.max - parameterRange.min) * i / GRAPH_ANALYSIS_SAMPLES;
+        values.push(curve.evaluate(t)[1]);
+      }
+    }
+    (curve.data || []).forEach(point => values.push(point.y));
+  });
+
+  const finite = values.filter(Number.isFinite).sort((a, b) => a - b);
+  if (finite.length === 0) {
+    const halfHeight = (view.xMax - view.xMin) * aspect / 2;
+    return { yMin: -halfHeight, yMax: halfHeight };
+  }
+  const outliers = Math.floor(finite.length * AUTO_RANGE_OUTLIER_RATIO);
+  const low = finite[outliers];
+  const high = finite[finite.length - 1 - outliers];
+  // 定数関数は値の上下に 1 ずつ空ける
+  if (high - low < 1e-12 * Math.max(1, Math.abs(high))) {
+    return { yMin: low - 1, yMax: high + 1 };
+  }
+  const margin = (high - low) * 0.1;
+  return { yMin: low - margin, yMax: high + margin };
+}
+
+/**
+ * 回帰のデータの点がすべて入る横軸の範囲（左右に幅の 10% の余白）を返す関数
+ * @param {Array} data - データの点 {x, y} の配列
+ * @returns {Object} - 横軸の範囲 {xMin, xMax}
+ */
+function dataGraphXRange(data) {
+  const xs = data.map(point => point.x);
+  const low = Math.min(...xs);
+  const high = Math.max(...xs);
+  const margin = high > low ? (high - low) * 0.1 : 1;
+  return { xMin: low - margin, xMax: high + margin };
+}
+
+/**
+ * 目盛りの間隔（1, 2, 5 × 10^n）を決める関数
+ * @param {number} range - 軸の範囲の大きさ
+ * @param {number} count - 目盛りのおおよその数
+ */
+function niceGraphStep(range, count) {
+  const rough = range / count;
+  const power = Math.pow(10, Math.floor(Math.log10(rough)));
+  const step = [1, 2, 5, 10].find(m => m * power >= rough) * power;
+  return step;
+}
+
+/**
+ * 座標の値を表示用の文字列にする関数（有効数字6桁、表示範囲に比べて十分小さい値は 0）
+ */
+function formatGraphNumber(value, range) {
+  if (Math.abs(value) < range * 1e-9) {
+    return '0';
+  }
+  return String(Number(value.toPrecision(6)));
+}
+
+/**
+ * 描画する線と点を計算する関数
+ * @param {Array} curves - グラフの配列
+ * @param {Object} view - 表示範囲
+ * @param {Object} size - 描画領域の大きさ {width, height}
+ * @param {Object} parameterRange - 媒介変数の範囲
+ * @returns {Object} - グラフごとの線とデータの点（curves: {color, segments, data}）と印を付ける点（points）
+ */
+function computeGraphPlot(curves, view, size, parameterRange) {
+  const yRange = view.yMax - view.yMin;
+  return {
+    curves: curves.map(curve => {
+      let segments;
+      if (curve.kind === 'function') {
+        const f = x => evaluateGraphFunction(curve, x);
+        segments = splitGraphSegments(f, sampleGraphFunction(f, view.xMin, view.xMax, size.width), yRange);
+      } else if (curve.kind === 'parametric') {
+        segments = sampleParametricCurve(curve, parameterRange, view);
+      } else {
+        segments = traceImplicitCurve(curve, view, size.height / size.width);
+      }
+      return { color: curve.color, segments, data: curve.data || [] };
+    }),
+    points: findGraphPoints(curves, view)
+  };
+}
+
+/**
+ * カーソルの位置に近い関数のグラフ上の点（印を付けた点の近くではその点）を返す関数
+ * @param {Object} plot - computeGraphPlot の結果
+ * @param {Array} curves - グラフの配列
+ * @param {Object} view - 表示範囲
+ * @param {Object} size - 描画領域の大きさ
+ * @param {Object} cursor - カーソルの位置（描画領域上のピクセル）{x, y}
+ * @returns {Object} - 点 {x, y, type, color}（関数のグラフがない場合はカーソルの座標で type は null）
+ */
+function traceGraph(plot, curves, view, size, cursor) {
+  const toPixel = graphPixelMapper(view, size);
+  const { x, y } = graphPixelToPoint(view, size, cursor);
+
+  const snapped = plot.points.find(point =>
+    Math.hypot(toPixel.x(point.x) - cursor.x, toPixel.y(point.y) - cursor.y) <= 6
+  );
+  if (snapped) {
+    return snapped;
+  }
+
+  let nearest = null;
+  curves.filter(curve => curve.kind === 'function').forEach(curve => {
+    const value = evaluateGraphFunction(curve, x);
+    if (Number.isFinite(value) && (!nearest || Math.abs(value - y) < Math.abs(nearest.y - y))) {
+      nearest = { x, y: value, type: 'trace', color: curve.color };
+    }
+  });
+  return nearest || { x, y, type: null, color: '#000' };
+}
+
+/**
+ * 座標からピクセルへの変換関数を返す
+ */
+function graphPixelMapper(view, size) {
+  return {
+    x: x => (x - view.xMin) / (view.xMax - view.xMin) * size.width,
+    y: y => (view.yMax - y) / (view.yMax - view.yMin) * size.height
+  };
+}
+
+/**
+ * ピクセルの位置 {x, y} を座標に変換する関数
+ */
+function graphPixelToPoint(view, size, pixel) {
+  return {
+    x: view.xMin + (view.xMax - view.xMin) * pixel.x / size.width,
+    y: view.yMax - (view.yMax - view.yMin) * pixel.y / size.height
+  };
+}
+
+// 印を付けた点の種類の表示名
+const GRAPH_POINT_LABELS = {
+  root: '根',
+  maximum: '極大',
+  minimum: '極小',
+  intersection: '交点'
+};
+
+/**
+ * 点の座標の説明文（「極大 (1.5, 2)」）を返す関数
+ */
+function describeGraphPoint(point, view) {
+  const coordinates = `(${formatGraphNumber(point.x, view.xMax - view.xMin)}, ${formatGraphNumber(point.y, view.yMax - view.yMin)})`;
+  return GRAPH_POINT_LABELS[point.type] ? `${GRAPH_POINT_LABELS[point.type]} ${coordinates}` : coordinates;
+}
+
+/**
+ * 目盛り・軸・グラフ・データの点・印・トレースの点を canvas に描く関数
+ * @param {Object} context - canvas の 2D コンテキスト
+ * @param {Object} plot - computeGraphPlot の結果
+ * @param {Object} view - 表示範囲
+ * @param {Object} size - 描画領域の大きさ
+ * @param {Object|null} trace - トレースの点（traceGraph の結果）
+ */
+function drawGraph(context, plot, view, size, trace = null) {
+  const toPixel = graphPixelMapper(view, size);
+  context.clearRect(0, 0, size.width, size.height);
+  context.fillStyle = '#fff';
+  context.fillRect(0, 0, size.width, size.height);
+
+  // 目盛りの線と数値（軸が表示範囲の外にある場合は端に数値を書く）
+  const xStep = niceGraphStep(view.xMax - view.xMin, 10);
+  const yStep = niceGraphStep(view.yMax - view.yMin, 10 * size.height / size.width);
+  const xAxis = Math.min(Math.max(toPixel.y(0), 0), size.height - 14);
+  const yAxis = Math.min(Math.max(toPixel.x(0), 30), size.width);
+  context.font = '11px sans-serif';
+  context.lineWidth = 1;
+  context.strokeStyle = '#e4e4e4';
+  context.fillStyle = '#666';
+  for (let k = Math.ceil(view.xMin / xStep); k * xStep <= view.xMax; k++) {
+    const x = k * xStep;
+    const px = toPixel.x(x);
+    context.beginPath();
+    context.moveTo(px, 0);
+    context.lineTo(px, size.height);
+    context.stroke();
+    context.textAlign = 'center';
+    context.fillText(formatGraphNumber(x, xStep), px, xAxis + 12);
+  }
+  for (let k = Math.ceil(view.yMin / yStep); k * yStep <= view.yMax; k++) {
+    const y = k * yStep;
+    const py = toPixel.y(y);
+    context.beginPath();
+    context.moveTo(0, py);
+    context.lineTo(size.width, py);
+    context.stroke();
+    context.textAlign = 'right';
+    context.fillText(formatGraphNumber(y, yStep), yAxis - 3, py - 2);
+  }
+
+  // 座標軸
+  context.strokeStyle = '#333';
+  context.beginPath();
+  context.moveTo(0, toPixel.y(0));
+  context.lineTo(size.width, toPixel.y(0));
+  context.moveTo(toPixel.x(0), 0);
+  context.lineTo(toPixel.x(0), size.height);
+  context.stroke();
+
+  // グラフ
+  context.lineWidth = 2;
+  plot.curves.forEach(({ color, segments }) => {
+    context.strokeStyle = color;
+    context.beginPath();
+    segments.forEach(segment => {
+      segment.forEach((point, i) => {
+        const method = i === 0 ? 'moveTo' : 'lineTo';
+        context[method](toPixel.x(point.x), toPixel.y(point.y));
+      });
+    });
+    context.stroke();
+  });
+
+  // 回帰のデータの点
+  plot.curves.forEach(({ color, data }) => {
+    context.fillStyle = color;
+    data.forEach(point => {
+      context.beginPath();
+      context.arc(toPixel.x(point.x), toPixel.y(point.y), 3, 0, 2 * Math.PI);
+      context.fill();
+    });
+  });
+
+  // 根・極値・交点の印
+  context.lineWidth = 1.5;
+  plot.points.forEach(point => {
+    context.beginPath();
+    context.arc(toPixel.x(point.x), toPixel.y(point.y), 4, 0, 2 * Math.PI);
+    context.fillStyle = '#fff';
+    context.fill();
+    context.strokeStyle = point.color;
+    context.stroke();
+  });
+
+  // トレースの点と座標
+  if (trace) {
+    const px = toPixel.x(trace.x);
+    const py = toPixel.y(trace.y);
+    context.setLineDash([4, 4]);
+    context.strokeStyle = '#999';
+    context.lineWidth = 1;
+    context.beginPath();
+    context.moveTo(px, 0);
+    context.lineTo(px, size.height);
+    context.stroke();
+    context.setLineDash([]);
+    context.beginPath();
+    context.arc(px, py, 4, 0, 2 * Math.PI);
+    context.fillStyle = trace.color;
+    context.fill();
+  }
+}
+
+/**
+ * 表示範囲を拡大・縮小する関数
+ * @param {Object} view - 表示範囲（書き換える）
+ * @param {number} factor - 倍率（1 より小さいと拡大）
+ * @param {Object} center - 拡大・縮小の中心の座標 {x, y}
+ */
+function zoomGraphView(view, factor, center) {
+  view.xMin = center.x + (view.xMin - center.x) * factor;
+  view.xMax = center.x + (view.xMax - center.x) * factor;
+  view.yMin = center.y + (view.yMin - center.y) * factor;
+  view.yMax = center.y + (view.yMax - center.y) * factor;
+}
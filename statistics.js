@@ -0,0 +1,342 @@
+/**
+ * 統計と回帰
+ * 数値のリスト [1, 2, 3]（(1, 2, 3) も可）の平均 \mean、中央値 \median、最頻値 \mode、分散 \var / \pvar、
+ * 標準偏差 \stdev / \pstdev、四分位数 \quartiles、加重平均 \wmean、相関係数 \corr を計算します
+ * （\var, \stdev は標本（n - 1 で割る）、\pvar, \pstdev は母集団（n で割る））
+ * 要約 \stats と、2つのリストの回帰 \linreg（1次）、\polyreg（多項式）、\expreg（指数）は式全体として計算し、
+ * 結果を見出し付きの表で表示します（回帰はデータの散布図と回帰曲線をグラフにも描きます）
+ */
+
+// 式全体としてのみ計算できる統計の要約・回帰（結果が複数の値になる）
+const STATISTICS_SUMMARIES = ['\\stats', '\\linreg', '\\polyreg', '\\expreg'];
+
+// 散布図と回帰曲線を描く回帰
+const REGRESSIONS = ['\\linreg', '\\polyreg', '\\expreg'];
+
+// 多項式回帰の次数の上限
+const MAX_REGRESSION_DEGREE = 10;
+
+// 回帰式で書かない係数（係数の絶対値の最大値に対する割合）
+const REGRESSION_ZERO_TOLERANCE = 1e-12;
+
+/**
+ * 統計の関数の引数（リスト、または複数の数値）を数値の配列にする関数
+ */
+function toStatisticsList(values) {
+  const list = values.length === 1 ? values[0] : values;
+  const array = math.typeOf(list) === 'Matrix' ? list.toArray() : list;
+  if (!Array.isArray(array) || array.length === 0) {
+    throw new Error('数値のリストを指定してください');
+  }
+  return array.flat(Infinity);
+}
+
+/**
+ * 加重平均 Σwx / Σw を求める関数
+ */
+function weightedMean(list, weights) {
+  const values = toStatisticsList([list]);
+  const w = toStatisticsList([weights]);
+  if (values.length !== w.length) {
+    throw new Error('値と重みのリストの長さが違います');
+  }
+  const total = math.sum(w);
+  if (math.isZero(total)) {
+    throw new Error('重みの合計が 0 です');
+  }
+  return math.divide(math.sum(values.map((value, i) => math.multiply(value, w[i]))), total);
+}
+
+/**
+ * 2つの数値のリストの長さをそろえて確かめる関数
+ */
+function toPairedLists(xs, ys) {
+  const x = toStatisticsList([xs]).map(value => math.number(value));
+  const y = toStatisticsList([ys]).map(value => math.number(value));
+  if (x.length !== y.length) {
+    throw new Error('x と y のリストの長さが違います');
+  }
+  return { x, y };
+}
+
+/**
+ * ピアソンの相関係数を求める関数
+ */
+function correlation(xs, ys) {
+  const { x, y } = toPairedLists(xs, ys);
+  const meanX = math.mean(x);
+  const meanY = math.mean(y);
+  const sxy = math.sum(x.map((value, i) => (value - meanX) * (y[i] - meanY)));
+  const sxx = math.sum(x.map(value => (value - meanX) ** 2));
+  const syy = math.sum(y.map(value => (value - meanY) ** 2));
+  if (sxx === 0 || syy === 0) {
+    throw new Error('値がすべて同じリストの相関係数は求められません');
+  }
+  return sxy / Math.sqrt(sxx * syy);
+}
+
+// 統計の関数を math.js の関数として追加（\pvar(L) → pvar(L)、\var と \stdev は FUNCTION_NAMES で variance, std にする）
+// 四分位数は math.js の quantileSeq と同じ線形補間（Excel の QUARTILE.INC と同じ）
+math.import({
+  pvar: (...values) => math.variance(toStatisticsList(values), 'uncorrected'),
+  pstdev: (...values) => math.std(toStatisticsList(values), 'uncorrected'),
+  quartiles: (...values) => math.matrix(math.quantileSeq(toStatisticsList(values), [0.25, 0.5, 0.75])),
+  wmean: weightedMean,
+  corr: correlation
+});
+
+/**
+ * 式全体が統計の要約・回帰かどうか
+ */
+function isStatisticsSummary(ast) {
+  return ast?.type === 'FunctionCall' && STATISTICS_SUMMARIES.includes(ast.name);
+}
+
+/**
+ * 要約・回帰の引数を計算して実数の配列にする関数
+ * @param {Object} node - 引数の抽象構文木（定義済みの変数・関数を置き換えたもの）
+ * @param {string} angleMode - 角度の単位
+ * @returns {Array} - 数値の配列
+ */
+function evaluateStatisticsList(node, angleMode) {
+  if (containsSymbols(node)) {
+    throw new Error('統計の計算には数値のリストを指定してください');
+  }
+  const value = math.evaluate(astToString(applyAngleMode(node, angleMode)), angleModeScope(angleMode));
+  return toStatisticsList([value]).map(entry => {
+    if (typeof entry !== 'number' || !Number.isFinite(entry)) {
+      throw new Error('統計の計算には実数のリストを指定してください');
+    }
+    return entry;
+  });
+}
+
+/**
+ * 最小二乗法で多項式 c_0 + c_1 x + ... + c_n x^n を当てはめる関数
+ * @returns {Array} - 係数 [c_0, ..., c_n]
+ */
+function fitPolynomial(x, y, degree) {
+  if (x.length <= degree) {
+    throw new Error(`${degree} 次の回帰には ${degree + 1} 組以上のデータが必要です`);
+  }
+  const vandermonde = x.map(value => Array.from({ length: degree + 1 }, (_, k) => value ** k));
+  const transposed = math.transpose(vandermonde);
+  try {
+    return math.flatten(math.lusolve(math.multiply(transposed, vandermonde), math.multiply(transposed, y)));
+  } catch (e) {
+    throw new Error('x の値の種類が少ないため回帰式を求められません');
+  }
+}
+
+/**
+ * 決定係数 R^2 = 1 - 残差平方和 / 全平方和 を求める関数
+ */
+function coefficientOfDetermination(y, predicted) {
+  const meanY = math.mean(y);
+  const residual = math.sum(y.map((value, i) => (value - predicted[i]) ** 2));
+  const total = math.sum(y.map(value => (value - meanY) ** 2));
+  return total === 0 ? 1 : 1 - residual / total;
+}
+
+/**
+ * 回帰式を求める関数
+ * 指数回帰 y = a e^{bx} は ln y の1次回帰で求め、決定係数は元の y の値で計算する
+ * @param {string} name - 回帰の種類（\linreg, \polyreg, \expreg）
+ * @param {Array} x - x の値
+ * @param {Array} y - y の値
+ * @param {number} degree - 多項式回帰の次数
+ * @returns {Object} - 種類（kind: 'polynomial' / 'exponential'）、係数（coefficients）、予測する関数（predict）、決定係数（r2）
+ */
+function computeRegression(name, x, y, degree) {
+  if (name === '\\expreg') {
+    if (y.some(value => value <= 0)) {
+      throw new Error('指数回帰の y の値は正の数にしてください');
+    }
+    const [logA, b] = fitPolynomial(x, y.map(Math.log), 1);
+    const predict = value => Math.exp(logA + b * value);
+    return { kind: 'exponential', coefficients: [Math.exp(logA), b], predict, r2: coefficientOfDetermination(y, x.map(predict)) };
+  }
+  const coefficients = fitPolynomial(x, y, degree);
+  const predict = value => coefficients.reduce((sum, c, k) => sum + c * value ** k, 0);
+  return { kind: 'polynomial', coefficients, predict, r2: coefficientOfDetermination(y, x.map(predict)) };
+}
+
+/**
+ * 回帰の引数（x のリスト、y のリスト、多項式回帰の次数）を計算する関数
+ * @param {Object} ast - 回帰の関数呼び出しの抽象構文木（定義済みの変数・関数を置き換えたもの）
+ * @param {string} angleMode - 角度の単位
+ * @returns {Object} - x, y の値と次数（degree）
+ */
+function getRegressionData(ast, angleMode) {
+  const expected = ast.name === '\\polyreg' ? 3 : 2;
+  if (ast.arguments.length !== expected) {
+    throw new Error(ast.name === '\\polyreg'
+      ? '\\polyreg の引数は x のリスト、y のリスト、次数です'
+      : `${ast.name} の引数は x のリストと y のリストです`);
+  }
+  const x = evaluateStatisticsList(ast.arguments[0], angleMode);
+  const y = evaluateStatisticsList(ast.arguments[1], angleMode);
+  if (x.length !== y.length) {
+    throw new Error('x と y のリストの長さが違います');
+  }
+  let degree = 1;
+  if (ast.name === '\\polyreg') {
+    degree = math.evaluate(astToString(ast.arguments[2]));
+    if (!Number.isInteger(degree) || degree < 1 || degree > MAX_REGRESSION_DEGREE) {
+      throw new Error(`多項式回帰の次数は 1 から ${MAX_REGRESSION_DEGREE} の整数にしてください`);
+    }
+  }
+  return { x, y, degree };
+}
+
+/**
+ * 回帰式を LaTeX 形式（y = 2x^{2} - 3x + 1, y = 1.5 e^{0.2x}）にする関数
+ * @param {Object} fit - computeRegression の結果
+ * @param {Function} format - 数値を LaTeX 形式にする関数
+ */
+function regressionEquationToLatex(fit, format) {
+  if (fit.kind === 'exponential') {
+    const [a, b] = fit.coefficients;
+    return `y = ${format(a)} e^{${format(b)} x}`;
+  }
+  // 丸め誤差程度の係数の項は書かない
+  const scale = Math.max(...fit.coefficients.map(Math.abs));
+  const terms = fit.coefficients
+    .map((c, k) => ({ c, power: k === 0 ? '' : k === 1 ? ' x' : ` x^{${k}}` }))
+    .filter(({ c }) => Math.abs(c) > REGRESSION_ZERO_TOLERANCE * scale)
+    .reverse();
+  if (terms.length === 0) {
+    return 'y = 0';
+  }
+  return 'y = ' + terms.map(({ c, power }, i) => {
+    const coefficient = format(Math.abs(c));
+    const magnitude = power && coefficient === '1' ? power.trim() : `${coefficient}${power}`;
+    if (i === 0) {
+      return c < 0 ? `-${magnitude}` : magnitude;
+    }
+    return `${c < 0 ? ' - ' : ' + '}${magnitude}`;
+  }).join('');
+}
+
+/**
+ * 見出しと値の組を見出し付きの表の LaTeX にする関数
+ */
+function statisticsRowsToLatex(rows) {
+  return `\\begin{array}{rl} ${rows.map(([label, value]) => `\\text{${label}} & ${value}`).join(' \\\\ ')} \\end{array}`;
+}
+
+/**
+ * 1つのリストの要約（個数・平均・中央値・最頻値・分散・標準偏差・四分位数・最小値・最大値）を求める関数
+ */
+function summarizeStatistics(list, format) {
+  const formatList = values => values.map(format).join(',\\ ');
+  const rows = [
+    ['個数', `n = ${list.length}`],
+    ['合計', `\\sum x = ${format(math.sum(list))}`],
+    ['平均', `\\bar{x} = ${format(math.mean(list))}`],
+    ['中央値', `\\tilde{x} = ${format(math.median(list))}`],
+    ['最頻値', formatList(math.mode(list))],
+    ['最小値', format(math.min(list))],
+    ['最大値', format(math.max(list))],
+    ['四分位数', `Q_1 = ${format(math.quantileSeq(list, 0.25))},\\ Q_3 = ${format(math.quantileSeq(list, 0.75))}`]
+  ];
+  if (list.length > 1) {
+    rows.push(
+      ['標本分散', `s^2 = ${format(math.variance(list))}`],
+      ['標本標準偏差', `s = ${format(math.std(list))}`]
+    );
+  }
+  rows.push(
+    ['母分散', `\\sigma^2 = ${format(math.variance(list, 'uncorrected'))}`],
+    ['母標準偏差', `\\sigma = ${format(math.std(list, 'uncorrected'))}`]
+  );
+  return statisticsRowsToLatex(rows);
+}
+
+/**
+ * 統計の要約・回帰を計算して LaTeX 形式に変換する関数
+ * @param {Object} ast - 要約・回帰の関数呼び出しの抽象構文木
+ * @param {Object} options - evaluateExpressionToLatex の表示形式
+ * @returns {Object} - 計算エンジンと結果のLaTeX表現
+ */
+function evaluateStatisticsSummaryToLatex(ast, options = {}) {
+  try {
+    const format = value => formatValueToLatex(value, { ...options.format, angleMode: options.angleMode });
+
+    if (ast.name === '\\stats') {
+      if (ast.arguments.length !== 1) {
+        throw new Error('\\stats の引数は数値のリスト1つです');
+      }
+      const list = evaluateStatisticsList(ast.arguments[0], options.angleMode);
+      return { engine: 'math.js', latex: `\\displaystyle ${summarizeStatistics(list, format)}` };
+    }
+
+    const { x, y, degree } = getRegressionData(ast, options.angleMode);
+    const fit = computeRegression(ast.name, x, y, degree);
+    const rows = [
+      ['回帰式', regressionEquationToLatex(fit, format)],
+      ['決定係数', `R^2 = ${format(fit.r2)}`]
+    ];
+    // y の値がすべて同じ場合は相関係数が定まらない
+    if (ast.name === '\\linreg' && new Set(y).size > 1) {
+      rows.push(['相関係数', `r = ${format(correlation(x, y))}`]);
+    }
+    rows.push(['データ数', `n = ${x.length}`]);
+    return { engine: 'math.js', latex: `\\displaystyle ${statisticsRowsToLatex(rows)}` };
+  } catch (e) {
+    console.error("Statistics error:", e);
+    return { engine: 'math.js', latex: 'エラー: ' + e.message };
+  }
+}
+
+/**
+ * 数値のノード（負の数は単項マイナス）を作る関数
+ */
+function statisticsNumberNode(value) {
+  const literal = { type: 'NumberLiteral', value: String(Math.abs(value)) };
+  return value < 0 ? { type: 'UnaryExpression', operator: '-', operand: literal } : literal;
+}
+
+/**
+ * 回帰式を x の式の抽象構文木にする関数（グラフに描くため）
+ */
+function regressionExpression(fit) {
+  const x = { type: 'Identifier', value: 'x' };
+  const product = (left, right) => ({ type: 'BinaryExpression', operator: '*', left, right });
+  const power = (left, right) => ({ type: 'BinaryExpression', operator: '^', left, right });
+  const parenthesized = expression => ({ type: 'ParenthesizedExpression', expression });
+
+  if (fit.kind === 'exponential') {
+    const [a, b] = fit.coefficients;
+    const exponent = parenthesized(product(parenthesized(statisticsNumberNode(b)), x));
+    return product(parenthesized(statisticsNumberNode(a)), power({ type: 'Identifier', value: 'e' }, exponent));
+  }
+  return fit.coefficients
+    .map((c, k) => product(parenthesized(statisticsNumberNode(c)), power(x, statisticsNumberNode(k))))
+    .reduce((sum, term) => ({ type: 'BinaryExpression', operator: '+', left: sum, right: term }));
+}
+
+/**
+ * 回帰の散布図と回帰曲線をグラフにする関数（回帰でない場合や計算できない場合は null）
+ * @param {Object} ast - 抽象構文木（定義済みの変数・関数を置き換える前）
+ * @param {string} angleMode - 角度の単位
+ * @returns {Object|null} - getGraphSource と同じ形式の関数のグラフとデータの点（data: {x, y} の配列）
+ */
+function getRegressionGraphSource(ast, angleMode) {
+  if (ast?.type !== 'FunctionCall' || !REGRESSIONS.includes(ast.name)) {
+    return null;
+  }
+  try {
+    const resolved = resolveUserDefinitions(ast);
+    const { x, y, degree } = getRegressionData(resolved, angleMode);
+    const fit = computeRegression(resolved.name, x, y, degree);
+    return {
+      kind: 'function',
+      variables: ['x'],
+      expressions: [regressionExpression(fit)],
+      data: x.map((value, i) => ({ x: value, y: y[i] }))
+    };
+  } catch (e) {
+    return null;
+  }
+}
@@ -0,0 +1,141 @@
+/**
+ * 物理単位と単位の変換
+ * 5\,\mathrm{km}/h や 9.81 m/s^2 * 3 kg のように単位付きの量を math.js の Unit として計算し、
+ * 60 mph to m/s（\to も可）で単位を変換します
+ * 単位として扱うのは \mathrm{...} / \text{...} で囲んだ名前、数値の後に空白を空けて続く単位名、
+ * 単位の後の / や * に続く単位名、変換先の単位名です（2m や 3x のように数値に続けて書いた文字は変数のまま）
+ */
+
+// math.js にない単位（名前 → 定義）
+const EXTRA_UNITS = {
+  mph: '1 mi/h'
+};
+
+// LaTeX で \mathrm{...} 以外の記号で表示する単位
+const UNIT_LATEX = {
+  deg: '{}^{\\circ}',
+  degC: '{}^{\\circ}\\mathrm{C}',
+  degF: '{}^{\\circ}\\mathrm{F}',
+  ohm: '\\Omega'
+};
+
+// 計算結果の単位をまとめて表示する SI 組立単位（kg m/s^2 → N）
+const SI_DERIVED_UNITS = ['N', 'J', 'W', 'Pa', 'Hz', 'C', 'V', 'ohm', 'F', 'S', 'Wb', 'T', 'H'];
+
+Object.entries(EXTRA_UNITS).forEach(([name, definition]) => {
+  if (!math.Unit.isValuelessUnit(name)) {
+    math.createUnit(name, definition);
+  }
+});
+
+/**
+ * 名前が単位（接頭辞付きを含む: km, ms）かどうか（e, i などの定数は単位としない）
+ */
+function isUnitName(name) {
+  return !CONSTANT_NAMES.includes(name) && math.Unit.isValuelessUnit(name);
+}
+
+/**
+ * 式が単位を含むかどうか
+ */
+function containsUnit(node) {
+  if (!node) return false;
+  if (node.type === 'Unit' || node.type === 'UnitConversion') {
+    return true;
+  }
+  return getChildNodes(node).some(containsUnit);
+}
+
+/**
+ * 計算結果の単位を表示用にまとめる関数
+ * 変換した結果（60 mph to m/s）はそのまま、それ以外は同じ次元の単位をまとめ（km/h * h → km）、
+ * SI 組立単位1つで表せる場合はその単位にする（kg m/s^2 → N）
+ * （math.js の simplify は直前に使った単位（mph など）を優先してしまうため使わない）
+ * @param {Object} unit - math.js の Unit
+ * @returns {Object} - 表示する Unit
+ */
+function simplifyUnitForDisplay(unit) {
+  if (unit.skipAutomaticSimplification || unit.value === null) {
+    return unit;
+  }
+
+  const derived = SI_DERIVED_UNITS.find(name => unit.units.length > 1 && unit.equalBase(math.unit(name)));
+  if (derived) {
+    return unit.to(derived);
+  }
+
+  // 次元ごとに最初に現れた単位へそろえて指数を足し合わせる
+  const powers = new Map();
+  unit.units.forEach(({ unit: baseUnit, prefix, power }) => {
+    const key = baseUnit.base.key;
+    const entry = powers.get(key) || { name: prefix.name + baseUnit.name, power: 0 };
+    entry.power += power;
+    powers.set(key, entry);
+  });
+  const merged = [...powers.values()].filter(entry => entry.power !== 0);
+  if (merged.length === unit.units.length || merged.length === 0) {
+    return unit;
+  }
+  return unit.to(merged.map(entry => `${entry.name}^${entry.power}`).join(' '));
+}
+
+/**
+ * 単位1つを LaTeX 形式に変換する関数（km → \mathrm{km}, s^2 → \mathrm{s}^{2}）
+ */
+function unitPartToLatex(name, power) {
+  const symbol = UNIT_LATEX[name] || `\\mathrm{${name}}`;
+  return power === 1 ? symbol : `${symbol}^{${power}}`;
+}
+
+/**
+ * Unit の単位部分を LaTeX 形式に変換する関数（m/s^2 → \mathrm{m}/\mathrm{s}^{2}）
+ * @param {Object} unit - math.js の Unit
+ * @returns {string} - LaTeX 形式の文字列
+ */
+function unitToLatex(unit) {
+  const parts = unit.units.map(({ unit: baseUnit, prefix, power }) => ({ name: prefix.name + baseUnit.name, power }));
+  const numerator = parts.filter(part => part.power > 0);
+  const denominator = parts.filter(part => part.power < 0);
+
+  // 分子がない場合は負の指数で表す（s^{-1}）
+  if (numerator.length === 0) {
+    return parts.map(part => unitPartToLatex(part.name, part.power)).join('\\,');
+  }
+  const numeratorLatex = numerator.map(part => unitPartToLatex(part.name, part.power)).join('\\,');
+  if (denominator.length === 0) {
+    return numeratorLatex;
+  }
+  const denominatorLatex = denominator.map(part => unitPartToLatex(part.name, -part.power)).join('\\,');
+  return denominator.length === 1
+    ? `${numeratorLatex}/${denominatorLatex}`
+    : `${numeratorLatex}/(${denominatorLatex})`;
+}
+
+/**
+ * 単位の計算で math.js が投げるエラーを日本語のメッセージにする関数（単位以外のエラーはそのまま）
+ * @param {Error} error - math.js のエラー
+ * @returns {string} - エラーメッセージ
+ */
+function localizeUnitError(error) {
+  const message = error.message;
+  const conversion = /^Units do not match \('(.+)' != '(.+)'\)$/.exec(message);
+  if (conversion) {
+    return `${conversion[2]} を ${conversion[1]} に変換できません（次元が異なります）`;
+  }
+  if (message.startsWith('Units do not match')) {
+    return '次元の異なる単位の量は足し引きできません';
+  }
+  if (message.startsWith('Cannot compare units with different base')) {
+    return '次元の異なる単位の量は比較できません';
+  }
+  if (message.includes('Unexpected type of argument in function to')) {
+    return '単位のない数は単位に変換できません';
+  }
+  if (/expected: Unit, actual: number|expected: number, actual: Unit/.test(message)) {
+    return '単位のある量と単位のない数は足し引き・比較できません';
+  }
+  if (/Unit in function \w+ is no angle/.test(message)) {
+    return '三角関数の引数には角度の単位（deg, rad）以外の単位は使えません';
+  }
+  return message;
+}
@@ -0,0 +1,403 @@
+/**
+ * ユーザー定義の変数と関数、計算結果の参照
+ * a = 3 や f(x) = x^2 + 1 の定義をセッション中保持し、
+ * 以降の計算では抽象構文木の変数を値に、関数呼び出しを関数の式に置き換えてから評価します
+ * （定義の右辺は定義した時点の変数・関数の値で置き換えて保存する）
+ * 計算結果も順に保存し、ans（直前の結果）、ans_n / \#n（n 番目の結果）を変数と同様に置き換えます
+ */
+
+// 変数名 → { value: 値の抽象構文木, latex: 一覧表示用の LaTeX }
+const userVariables = new Map();
+
+// 関数名 → { parameters: 引数名の配列, body: 式の抽象構文木, latex: 一覧表示用の LaTeX }
+const userFunctions = new Map();
+
+// 計算結果の値の抽象構文木（計算した順、ans_1 が最初の結果）
+// 式のまま保存するため、nerdamer で簡約した式や分数の結果も厳密な値のまま参照できる
+const previousResults = [];
+
+// 計算結果の参照の名前（ans, ans_3）
+const RESULT_REFERENCE_NAME_PATTERN = /^ans(?:_\d+)?$/;
+
+/**
+ * 構文解析に渡すユーザー定義関数の 関数名 → 引数の数 を返す関数
+ */
+function getUserFunctionArities() {
+  const arities = {};
+  userFunctions.forEach((definition, name) => {
+    arities[name] = definition.parameters.length;
+  });
+  return arities;
+}
+
+/**
+ * 構文解析に渡すユーザー定義の変数名の配列を返す関数（単位名と同じ名前の変数を区別する）
+ */
+function getUserVariableNames() {
+  return [...userVariables.keys()];
+}
+
+/**
+ * 一覧表示用に、定義を変数、関数の順で返す関数
+ * @returns {Array} - 名前（name）と LaTeX（latex）の配列
+ */
+function getUserDefinitions() {
+  return [
+    ...[...userVariables].map(([name, definition]) => ({ name, latex: definition.latex })),
+    ...[...userFunctions].map(([name, definition]) => ({ name, latex: definition.latex }))
+  ];
+}
+
+/**
+ * 定義を削除する関数
+ * @param {string} name - 変数名または関数名
+ */
+function deleteUserDefinition(name) {
+  userVariables.delete(name);
+  userFunctions.delete(name);
+}
+
+/**
+ * 抽象構文木の変数・関数呼び出しをユーザー定義の値・式に置き換える関数
+ * 極限・積分・微分の変数や関数の引数など、式の中で束縛された変数は置き換えない
+ * @param {Object} node - 抽象構文木のノード
+ * @param {Map} bindings - 変数名 → 置き換える式（省略時はユーザー定義の変数）
+ * @param {Set} shadowed - 置き換えない変数名
+ * @returns {Object} - 置き換えた新しい抽象構文木
+ */
+function resolveUserDefinitions(node, bindings = getVariableBindings(), shadowed = new Set()) {
+  if (!node) return node;
+
+  const resolve = (child, extraShadowed = []) => resolveUserDefinitions(
+    child,
+    bindings,
+    extraShadowed.length > 0 ? new Set([...shadowed, ...extraShadowed]) : shadowed
+  );
+
+  switch (node.type) {
+    case 'Identifier':
+    case 'Subscript':
+      const name = node.type === 'Identifier' ? node.value : node.name;
+      if (!shadowed.has(name) && bindings.has(name)) {
+        return { type: 'ParenthesizedExpression', expression: bindings.get(name) };
+      }
+      if (!shadowed.has(name) && RESULT_REFERENCE_NAME_PATTERN.test(name)) {
+        throw new Error(name === 'ans' ? '前の計算結果がありません' : `${name} の計算結果はありません`);
+      }
+      return node;
+
+    case 'FunctionCall':
+      const args = node.arguments.map(arg => resolve(arg));
+      const definition = userFunctions.get(node.name);
+      if (!definition) {
+        return { ...node, arguments: args };
+      }
+      if (args.length !== definition.parameters.length) {
+        throw new Error(`関数 ${node.name} の引数は ${definition.parameters.length} 個です`);
+      }
+      // 関数の式の引数を実引数に置き換える
+      const parameterBindings = new Map(definition.parameters.map((parameter, i) => [parameter, args[i]]));
+      return {
+        type: 'ParenthesizedExpression',
+        expression: resolveUserDefinitions(definition.body, parameterBindings)
+      };
+
+    case 'Limit':
+      return { ...node, target: resolve(node.target), body: resolve(node.body, [node.variable]) };
+
+    case 'Integral':
+      return {
+        ...node,
+        body: resolve(node.body, [node.variable]),
+        lower: node.lower && resolve(node.lower),
+        upper: node.upper && resolve(node.upper)
+      };
+
+    case 'Derivative':
+      const pointVariables = node.point ? [node.point.variable] : [];
+      return {
+        ...node,
+        body: resolve(node.body, [...node.variables, ...pointVariables]),
+        point: node.point && { ...node.point, value: resolve(node.point.value) }
+      };
+
+    case 'EquationSystem':
+      // 解く変数として指定された変数は置き換えない
+      return { ...node, equations: node.equations.map(equation => resolve(equation, node.variables)) };
+
+    default:
+      return mapChildNodes(node, child => resolve(child));
+  }
+}
+
+/**
+ * ユーザー定義の変数と計算結果の参照を 変数名 → 値の抽象構文木 の Map で返す関数
+ */
+function getVariableBindings() {
+  const bindings = new Map([...userVariables].map(([name, definition]) => [name, definition.value]));
+  previousResults.forEach((value, i) => bindings.set(`ans_${i + 1}`, value));
+  if (previousResults.length > 0) {
+    bindings.set('ans', previousResults[previousResults.length - 1]);
+  }
+  return bindings;
+}
+
+/**
+ * 計算結果を保存する関数
+ * 方程式・比較の結果や関数の定義は値ではないため保存しない
+ * @param {Object} value - 定義済みの変数・関数を置き換えた式、または定義した変数の値の抽象構文木
+ * @param {Object} options - 計算した時点の設定（toStoredValue を参照）
+ * @param {string} computed - 極限の計算で求めた値の文字列（toStoredValue を参照）
+ * @returns {number|null} - 結果の番号（ans_n の n、保存しない場合は null）
+ */
+function recordPreviousResult(value, options = {}, computed) {
+  if (
+    !value ||
+    ['EquationSystem', 'ComparisonExpression', 'AssignmentExpression', 'FunctionDefinition'].includes(value.type)
+  ) {
+    return null;
+  }
+  const stored = toStoredValue(value, options, computed);
+  if (!stored) {
+    // 極限が存在しない場合などは ans を変えない
+    return null;
+  }
+  previousResults.push(stored);
+  return previousResults.length;
+}
+
+/**
+ * 保存した計算結果があるかどうか
+ */
+function hasPreviousResult() {
+  return previousResults.length > 0;
+}
+
+/**
+ * 定義で保存した変数の値を返す関数（関数の定義は null）
+ */
+function getDefinedValue(ast) {
+  return ast.type === 'AssignmentExpression' ? userVariables.get(getAssignmentName(ast.left))?.value ?? null : null;
+}
+
+/**
+ * 入力が変数・関数の定義かどうかを判定する関数
+ * 未定義の変数への代入で右辺にその変数を含む場合（x = x^2 - 2）は方程式とみなす
+ * @param {Object} ast - 抽象構文木
+ */
+function isUserDefinition(ast) {
+  if (ast?.type === 'FunctionDefinition') {
+    return true;
+  }
+  if (ast?.type !== 'AssignmentExpression') {
+    return false;
+  }
+  const name = getAssignmentName(ast.left);
+  return userVariables.has(name) || !collectFreeVariables(ast.right).has(name);
+}
+
+/**
+ * 代入の左辺（Identifier または Subscript）の変数名
+ */
+function getAssignmentName(left) {
+  return left.type === 'Subscript' ? left.name : left.value;
+}
+
+/**
+ * 変数名を LaTeX 形式に変換する関数（x_1 → x_{1}, ギリシャ文字の theta → \theta）
+ */
+function variableNameToLatex(name) {
+  const [base, subscript] = name.split('_').map(part => GREEK_LETTER_NAMES.includes(part) ? `\\${part}` : part);
+  return subscript === undefined ? base : `${base}_{${subscript}}`;
+}
+
+/**
+ * 関数の式を一覧表示用の LaTeX 形式に変換する関数
+ */
+function functionBodyToLatex(body) {
+  const exprStr = astToString(evaluateCalculusNodes(body));
+  try {
+    return getNerdamer()(exprStr).toTeX();
+  } catch (e) {
+    return math.parse(exprStr).toTex({ parenthesis: 'keep', implicit: 'show' });
+  }
+}
+
+/**
+ * 値を保存用の抽象構文木にする関数
+ * 後で角度の単位や表示形式を変えても値が変わらないよう、保存する時点の設定で計算した結果を保存する
+ * （数値は数値・分数・複素数または厳密な値、変数を含む式は nerdamer で単純化した式、プログラマーモードはワードサイズに収めた整数）
+ * 計算できない値（単位の変換、統計の一覧など）は式のまま保存する
+ * @param {Object} value - 定義済みの変数・関数を置き換えた式
+ * @param {Object} options - 表示形式（displayMode）、角度の単位（angleMode）、プログラマーモードの設定（programmer）
+ * @param {string} computed - 極限の計算（evaluateLimitToLatex）で数値的な推定と照合済みの値の文字列
+ * @returns {Object|null} - 保存する値の抽象構文木（極限が存在しない場合は null）
+ */
+function toStoredValue(value, options = {}, computed) {
+  if (value.type === 'Limit') {
+    // 極限は nerdamer で計算し直すと停止しなくなったり符号を誤ったりするため、照合済みの値だけを保存する
+    return computed === undefined ? null : engineTextToAst(computed);
+  }
+  try {
+    if (options.displayMode === 'programmer' && options.programmer) {
+      return computedValueToAst(evaluateIntegerAst(value, options.programmer)) ?? value;
+    }
+    const angleMode = options.angleMode || 'rad';
+    const exprStr = astToString(applyAngleMode(evaluateCalculusNodes(value), angleMode));
+    if (containsSymbols(value)) {
+      return containsMatrix(value) || !isNerdamerAvailable()
+        ? value
+        : engineTextToAst(simplifyWithNerdamer(getNerdamer(), exprStr));
+    }
+    // 有理数は Fraction、平方根や π を含む値は nerdamer の厳密な値として保存し、後で分数表示に切り替えても厳密な値を保つ
+    const rational = evaluateRational(exprStr);
+    if (rational) {
+      return computedValueToAst(rational) ?? value;
+    }
+    const exact = exactValueText(exprStr);
+    if (exact) {
+      return engineTextToAst(exact);
+    }
+    return computedValueToAst(math.evaluate(exprStr, angleModeScope(angleMode))) ?? value;
+  } catch (e) {
+    console.error("Failed to evaluate stored value:", e);
+    return value;
+  }
+}
+
+/**
+ * 計算結果（数値・BigInt・Fraction・複素数・行列・単位付きの量）を抽象構文木に変換する関数
+ * @param {*} result - 計算結果
+ * @returns {Object|null} - 抽象構文木（変換できない値は null）
+ */
+function computedValueToAst(result) {
+  if (typeof result === 'number' || typeof result === 'bigint') {
+    return Number.isNaN(result) ? null : numberToAst(result);
+  }
+  switch (math.typeOf(result)) {
+    case 'Fraction': {
+      const numerator = numberToAst(result.n);
+      const fraction = result.d === 1
+        ? numerator
+        : { type: 'FunctionCall', name: '\\frac', arguments: [numerator, numberToAst(result.d)] };
+      return result.s < 0 ? { type: 'UnaryExpression', operator: '-', operand: fraction } : fraction;
+    }
+    case 'Complex': {
+      const real = numberToAst(result.re);
+      const imaginary = numberToAst(result.im);
+      if (!real || !imaginary) {
+        return null;
+      }
+      return {
+        type: 'ParenthesizedExpression',
+        expression: {
+          type: 'BinaryExpression',
+          operator: '+',
+          left: real,
+          right: { type: 'BinaryExpression', operator: '*', left: imaginary, right: { type: 'Identifier', value: 'i' } }
+        }
+      };
+    }
+    case 'Matrix': {
+      const entries = result.toArray();
+      if (entries.every(Array.isArray)) {
+        const rows = entries.map(row => row.map(computedValueToAst));
+        return rows.flat().every(Boolean) ? { type: 'MatrixExpression', rows } : null;
+      }
+      const elements = entries.map(computedValueToAst);
+      return elements.every(Boolean) ? { type: 'ArrayExpression', elements } : null;
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * 数値（number または BigInt）を数値リテラルの抽象構文木に変換する関数（負の数は単項マイナスとする）
+ */
+function numberToAst(value) {
+  if (value < 0) {
+    return { type: 'UnaryExpression', operator: '-', operand: numberToAst(-value) };
+  }
+  return value === Infinity ? { type: 'Identifier', value: 'Infinity' } : { type: 'NumberLiteral', value: String(value) };
+}
+
+/**
+ * nerdamer の結果の文字列を抽象構文木に変換する関数
+ * 関数名は \ を付けずに保存し、角度の単位の変換（applyAngleMode）を再び適用しないようにする
+ * @param {string} text - nerdamer の式の文字列
+ * @returns {Object} - 抽象構文木
+ */
+function engineTextToAst(text) {
+  const convert = node => {
+    switch (node.type) {
+      case 'ConstantNode':
+        return numberToAst(node.value);
+      case 'SymbolNode':
+        return { type: 'Identifier', value: node.name };
+      case 'ParenthesisNode':
+        return { type: 'ParenthesizedExpression', expression: convert(node.content) };
+      case 'FunctionNode':
+        return { type: 'FunctionCall', name: node.fn.name, arguments: node.args.map(convert) };
+      case 'OperatorNode':
+        if (node.args.length === 1 && ['-', '+'].includes(node.op)) {
+          return { type: 'UnaryExpression', operator: node.op, operand: convert(node.args[0]) };
+        }
+        if (node.args.length === 2 && ['+', '-', '*', '/', '^'].includes(node.op)) {
+          return { type: 'BinaryExpression', operator: node.op, left: convert(node.args[0]), right: convert(node.args[1]) };
+        }
+        break;
+    }
+    throw new Error(`保存できない式です: ${text}`);
+  };
+  return convert(math.parse(text));
+}
+
+/**
+ * 変数・関数の定義を評価して保存し、結果を LaTeX 形式で返す関数
+ * @param {Object} ast - AssignmentExpression または FunctionDefinition ノード
+ * @param {Object} options - 値の表示形式（evaluateExpressionToLatex に渡す）
+ * @returns {Object} - 計算エンジンと結果のLaTeX表現
+ */
+function evaluateDefinitionToLatex(ast, options = {}) {
+  try {
+    const name = ast.type === 'FunctionDefinition' ? ast.name : getAssignmentName(ast.left);
+    if (CONSTANT_NAMES.includes(name)) {
+      throw new Error(`定数 ${name} には代入できません`);
+    }
+    if (RESULT_REFERENCE_NAME_PATTERN.test(name)) {
+      throw new Error(`計算結果の参照 ${name} には代入できません`);
+    }
+
+    if (ast.type === 'FunctionDefinition') {
+      if (new Set(ast.parameters).size !== ast.parameters.length) {
+        throw new Error('関数の引数名が重複しています');
+      }
+      // 引数以外の変数・関数は定義した時点の値に置き換えて保存する
+      const body = resolveUserDefinitions(ast.body, getVariableBindings(), new Set(ast.parameters));
+      const latex = `${name}(${ast.parameters.map(variableNameToLatex).join(', ')}) = ${functionBodyToLatex(body)}`;
+
+      userVariables.delete(name);
+      userFunctions.set(name, { parameters: ast.parameters, body, latex });
+      return { engine: 'definition', latex: `\\displaystyle ${latex}` };
+    }
+
+    const value = resolveUserDefinitions(ast.right);
+    const result = evaluateExpressionToLatex(value, options);
+    if (result.latex.startsWith('エラー')) {
+      return result;
+    }
+    const stored = toStoredValue(value, options, result.value);
+    if (!stored) {
+      throw new Error('極限が存在しないため代入できません');
+    }
+    const latex = `${variableNameToLatex(name)} = ${result.latex.replace('\\displaystyle ', '')}`;
+
+    userFunctions.delete(name);
+    userVariables.set(name, { value: stored, latex });
+    return { engine: result.engine, latex: `\\displaystyle ${latex}` };
+  } catch (e) {
+    console.error("Definition error:", e);
+    return { engine: 'definition', latex: 'エラー: ' + e.message };
+  }
+}
@@ -0,0 +1,211 @@
+/**
+ * 数表（関数の値の表）
+ * 入力した式の変数に開始から終了まで刻み幅ごとの値（または値のリスト）を代入して計算し、
+ * LaTeX の array で表示、CSV または LaTeX の tabular としてコピーできるようにします
+ * 値の代入は文字列ではなく抽象構文木の変数を数値のノードに置き換えて行います
+ */
+
+// 表の行数の上限
+const TABLE_ROW_LIMIT = 200;
+
+// 刻み幅で求めた値を表示するときの丸め（0.1 * 3 = 0.30000000000000004 を 0.3 と表示する有効桁数）
+const TABLE_VALUE_PRECISION = 12;
+
+/**
+ * 数表にする式と変数を決める関数
+ * 1変数関数の定義 f(x) = ... はその関数の表とし、変数を指定しない場合は式に含まれる変数を使う
+ * @param {Object} ast - 抽象構文木（定義済みの変数・関数を置き換える前）
+ * @param {string} input - 入力文字列（見出しに使う）
+ * @param {string} variable - 変数名（空の場合は自動）
+ * @returns {Object} - 式（expression）、変数名（variable）、見出しの LaTeX（heading）
+ */
+function getTableSource(ast, input, variable) {
+  if (ast?.type === 'FunctionDefinition') {
+    if (ast.parameters.length !== 1) {
+      throw new Error('数表にできるのは1変数の関数だけです');
+    }
+    const parameter = ast.parameters[0];
+    return {
+      expression: evaluateCalculusNodes(resolveUserDefinitions(ast.body, getVariableBindings(), new Set([parameter]))),
+      variable: parameter,
+      heading: `${ast.name}(${variableNameToLatex(parameter)})`
+    };
+  }
+  if (!ast || ['AssignmentExpression', 'ComparisonExpression', 'EquationSystem'].includes(ast.type)) {
+    throw new Error('方程式や変数の定義は数表にできません');
+  }
+
+  // 指定した変数は定義済みでも置き換えない
+  const shadowed = new Set(variable ? [variable] : []);
+  const expression = evaluateCalculusNodes(resolveUserDefinitions(ast, getVariableBindings(), shadowed));
+  const freeVariables = [...collectFreeVariables(expression)];
+  const name = variable || freeVariables[0];
+  if (!variable && freeVariables.length !== 1) {
+    throw new Error('変数を指定してください');
+  }
+  const others = freeVariables.filter(item => item !== name);
+  if (others.length > 0) {
+    throw new Error(`変数 ${name} 以外の変数（${others.join(', ')}）を含む式は数表にできません`);
+  }
+  return { expression, variable: name, heading: input.trim() };
+}
+
+/**
+ * 数表の設定の値（2\pi, \frac{\pi}{4} など入力欄と同じ形式の式）を解析して計算する関数
+ * @param {string} text - 入力された値
+ * @param {string} label - エラーメッセージに使う項目名
+ * @param {string} angleMode - 角度の単位
+ * @returns {Object} - 実数の値（value）と代入に使う抽象構文木（node）
+ */
+function parseTableNumber(text, label, angleMode) {
+  let node = null;
+  let value = null;
+  try {
+    node = parse(lex(text));
+    value = math.evaluate(astToString(applyAngleMode(node, angleMode)), angleModeScope(angleMode));
+  } catch (e) {
+    value = null;
+  }
+  if (typeof value !== 'number' || !Number.isFinite(value)) {
+    throw new Error(`${label}には数値を入力してください`);
+  }
+  return { value, node };
+}
+
+/**
+ * 変数に代入する値の配列を作る関数
+ * 値のリストがある場合はその値（式のまま代入する）、ない場合は開始から終了まで刻み幅ごとの値（終了の値を含む）
+ * @param {Object} settings - 開始（start）、終了（end）、刻み幅（step）、値のリスト（list、カンマ区切り）
+ * @param {string} angleMode - 角度の単位
+ * @returns {Array} - 値 {value, node, label} の配列（value と label は表示用に丸めた値、label がない場合は node を表示する）
+ */
+function getTableValues({ start, end, step, list }, angleMode) {
+  if (list.trim() !== '') {
+    const items = list.split(',');
+    if (items.length > TABLE_ROW_LIMIT) {
+      throw new Error(`数表は ${TABLE_ROW_LIMIT} 行までです`);
+    }
+    return items.map(item => parseTableNumber(item, '値のリスト', angleMode));
+  }
+
+  const startNumber = parseTableNumber(start, '開始', angleMode);
+  const stepNumber = parseTableNumber(step, '刻み幅', angleMode);
+  const first = startNumber.value;
+  const last = parseTableNumber(end, '終了', angleMode).value;
+  const increment = stepNumber.value;
+  if (increment === 0 || (last - first) * increment < 0) {
+    throw new Error('刻み幅は 0 以外で、開始から終了に向かう値にしてください');
+  }
+  // 終了の値が丸め誤差で外れないよう少し余裕を持たせる
+  const count = Math.floor((last - first) / increment + 1e-9) + 1;
+  if (count > TABLE_ROW_LIMIT) {
+    throw new Error(`数表は ${TABLE_ROW_LIMIT} 行までです（刻み幅を大きくしてください）`);
+  }
+  // 代入には「開始 + i × 刻み幅」の式をそのまま使い（\pi を含む値でも厳密に計算できる）、表示する値（label）だけを丸める
+  return Array.from({ length: count }, (_, i) => {
+    const value = Number((first + increment * i).toPrecision(TABLE_VALUE_PRECISION));
+    return { value, node: tablePointNode(startNumber.node, stepNumber.node, i), label: tableNumberNode(value) };
+  });
+}
+
+/**
+ * i 番目の値「開始 + i × 刻み幅」のノードを作る関数
+ */
+function tablePointNode(startNode, stepNode, i) {
+  const group = expression => ({ type: 'ParenthesizedExpression', expression });
+  if (i === 0) {
+    return group(startNode);
+  }
+  const offset = { type: 'BinaryExpression', operator: '*', left: tableNumberNode(i), right: group(stepNode) };
+  return group({ type: 'BinaryExpression', operator: '+', left: group(startNode), right: offset });
+}
+
+/**
+ * 数値のノード（負の数は単項マイナス）を作る関数
+ */
+function tableNumberNode(value) {
+  const literal = { type: 'NumberLiteral', value: String(Math.abs(value)) };
+  return value < 0 ? { type: 'UnaryExpression', operator: '-', operand: literal } : literal;
+}
+
+/**
+ * 計算結果の値を CSV 用の文字列にする関数（計算できない場合は空）
+ */
+function tableValueToText(node, angleMode) {
+  try {
+    const exprStr = astToString(applyAngleMode(node, angleMode));
+    const value = removeRoundingNoise(math.evaluate(exprStr, angleModeScope(angleMode)), exprStr);
+    return math.format(value, { precision: 15 });
+  } catch (e) {
+    return '';
+  }
+}
+
+/**
+ * 計算結果の LaTeX を表のセル用にする関数（エラーは「エラー」とだけ表示）
+ */
+function tableCellLatex(result) {
+  if (result.latex.startsWith('エラー')) {
+    return '\\text{エラー}';
+  }
+  return result.latex.replace(/^\\displaystyle\s*/, '');
+}
+
+/**
+ * 数表を作る関数
+ * @param {Object} ast - 抽象構文木
+ * @param {string} input - 入力文字列
+ * @param {Object} settings - 変数名（variable）と getTableValues の設定
+ * @param {Object} options - evaluateExpressionToLatex の表示形式
+ * @returns {Object} - 変数名（variable）、見出し（heading）、行（rows: {x, xLatex, latex, text}、x は代入した値）
+ */
+function createValueTable(ast, input, settings, options = {}) {
+  const source = getTableSource(ast, input, settings.variable.trim());
+  const rows = getTableValues(settings, options.angleMode).map(point => {
+    const node = resolveUserDefinitions(source.expression, new Map([[source.variable, point.node]]));
+    return {
+      x: point.value,
+      xLatex: tableCellLatex(evaluateExpressionToLatex(point.label ?? point.node, options)),
+      latex: tableCellLatex(evaluateExpressionToLatex(node, options)),
+      text: tableValueToText(node, options.angleMode)
+    };
+  });
+  return { variable: source.variable, heading: source.heading, rows };
+}
+
+/**
+ * 数表を表示用の LaTeX の array にする関数
+ */
+function valueTableToLatex(table) {
+  const rows = table.rows.map(row => `${row.xLatex} & ${row.latex}`).join(' \\\\ ');
+  return `\\begin{array}{r|r} ${variableNameToLatex(table.variable)} & ${table.heading} \\\\ \\hline ${rows} \\end{array}`;
+}
+
+/**
+ * 数表を LaTeX の tabular にする関数（数式は $ で囲む）
+ */
+function valueTableToTabular(table) {
+  const rows = table.rows.map(row => `  $${row.xLatex}$ & $${row.latex}$ \\\\`);
+  return [
+    '\\begin{tabular}{r|r}',
+    `  $${variableNameToLatex(table.variable)}$ & $${table.heading}$ \\\\`,
+    '  \\hline',
+    ...rows,
+    '\\end{tabular}'
+  ].join('\n');
+}
+
+/**
+ * CSV のフィールドを必要に応じて " で囲む関数
+ */
+function csvField(text) {
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * 数表を CSV にする関数（値は有効数字15桁）
+ */
+function valueTableToCsv(table) {
+  const lines = [[table.variable, table.heading], ...table.rows.map(row => [String(row.x), row.text])];
+  return lines.map(line => line.map(csvField).join(',')).join('\n');
+}